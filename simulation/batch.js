@@ -0,0 +1,197 @@
+(function () {
+    /**
+     * Batch mode of sim3 and sim4: run the current setup many times without drawing it
+     * Features include:
+     * - Runs the scenario of the simulation with the next seeds after its seed, much faster than real time
+     * - Spreads the work over short slices of time, so the page stays responsive and shows its progress
+     * - Fan chart of the new infections per day: median and 5-95% band over the runs
+     * - Median and 5-95% band of the agents infected, the final attack rate, the peak day and the outbreak duration
+     *
+     * The runs themselves live in `CholeraEngine` (engine.js), see `createBatch`
+     */
+
+    /**
+     * Milliseconds of simulating before the page gets a chance to draw again
+     * @type {number}
+     * @constant
+     */
+    const SLICE_MILLISECONDS = 40;
+
+    /**
+     * Outcomes of a batch, rows of the outcome table and choices of the sweep heatmap, the key is the property of a batch summary
+     * @type {Array<{key: string, label: string}>}
+     * @constant
+     */
+    const OUTCOMES = [
+        { key: 'totalInfected', label: 'Agents infected' },
+        { key: 'attackRate', label: 'Final attack rate (%)' },
+        { key: 'peakDay', label: 'Peak day' },
+        { key: 'duration', label: 'Outbreak duration (days)' }
+    ];
+
+    /**
+     * Round a value of the outcome table to one decimal
+     * @param {number} value
+     * @returns {string}
+     */
+    function formatValue(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    /**
+     * Read a whole number from an input, kept between its min and max
+     * @param {HTMLInputElement} input - number input
+     * @returns {number}
+     */
+    function readWholeNumber(input) {
+        const value = Math.min(Math.max(parseInt(input.value) || parseInt(input.min), parseInt(input.min)), parseInt(input.max));
+        input.value = value;
+        return value;
+    }
+
+    /**
+     * Fill the outcome table with the median and band of each outcome
+     * @param {HTMLTableElement} table - outcome table
+     * @param {object} summary - batch summary, see `createBatch`
+     * @returns {void}
+     */
+    function showOutcomes(table, summary) {
+        table.innerHTML = '';
+
+        const headerRow = table.insertRow();
+        ['', 'median', '5-95%'].forEach((text) => {
+            headerRow.appendChild(document.createElement('th')).textContent = text;
+        });
+
+        OUTCOMES.forEach((outcome) => {
+            const bands = summary[outcome.key];
+            const row = table.insertRow();
+            row.insertCell().textContent = outcome.label;
+            row.insertCell().textContent = bands ? formatValue(bands.median) : '-';
+            row.insertCell().textContent = bands ? `${formatValue(bands.low)}-${formatValue(bands.high)}` : '-';
+        });
+    }
+
+    /**
+     * Run a batch or sweep in short slices of time, letting the page draw between them
+     * @param {function(): boolean} advance - simulates a little, returns whether work is left
+     * @param {function(): void} onProgress - called after every slice that leaves work
+     * @param {function(): void} onFinish - called once, when the work is done or stopped
+     * @returns {function(): void} - stops the work early, then calls `onFinish`
+     */
+    function runInSlices(advance, onProgress, onFinish) {
+        let timeoutId = 0;
+
+        /**
+         * Simulate for one slice of time, then continue after the page had a chance to draw
+         * @returns {void}
+         */
+        function runSlice() {
+            const sliceEnd = performance.now() + SLICE_MILLISECONDS;
+            let hasWorkLeft = true;
+            while (hasWorkLeft && performance.now() < sliceEnd) {
+                hasWorkLeft = advance();
+            }
+
+            if (!hasWorkLeft) {
+                onFinish();
+                return;
+            }
+
+            onProgress();
+            timeoutId = setTimeout(runSlice, 0);
+        }
+
+        runSlice();
+
+        return function stop() {
+            clearTimeout(timeoutId);
+            onFinish();
+        };
+    }
+
+    /**
+     * Wire the batch controls of one simulation wrapper
+     * @param {object} options
+     * @param {object} options.simulation - the `CholeraEngine` simulation whose setup is run
+     * @param {HTMLInputElement} options.runsInput - number of runs
+     * @param {HTMLInputElement} options.daysInput - simulated days per run
+     * @param {HTMLButtonElement} options.runButton - button starting the batch, or stopping it while it runs
+     * @param {HTMLElement} options.messageElement - element showing the progress and the seeds used
+     * @param {HTMLTableElement} options.outcomeTable - table of the attack rate, peak day and duration
+     * @param {{draw: function(Array<object>): void, reset: function(): void}} options.chart - fan chart, see `createFanChart`
+     * @returns {void}
+     */
+    function attachBatchControls(options) {
+        /**
+         * Batch in progress, null when none runs
+         * @type {object|null}
+         */
+        let batch = null;
+
+        /**
+         * Stops the batch in progress
+         * @type {function(): void}
+         */
+        let stopBatch = null;
+
+        /**
+         * Show the outcome of the finished runs, also after the batch was stopped early
+         * @returns {void}
+         */
+        function finishBatch() {
+            const summary = batch.getSummary();
+            batch = null;
+            options.runButton.textContent = 'run batch';
+            options.runsInput.disabled = false;
+            options.daysInput.disabled = false;
+
+            if (summary.runs === 0) {
+                options.messageElement.textContent = 'The batch was stopped before its first run ended.';
+                return;
+            }
+
+            const lastSeed = summary.seeds[summary.seeds.length - 1];
+            options.messageElement.textContent = `${summary.runs} runs of ${summary.days} days with seeds ${summary.seeds[0]} to ${lastSeed}, `
+                + `${summary.runsWithSpread} of them with new infections.`;
+            options.chart.draw(summary.dailyInfections);
+            showOutcomes(options.outcomeTable, summary);
+        }
+
+        /**
+         * Show how many runs are done
+         * @returns {void}
+         */
+        function showProgress() {
+            const progress = batch.getProgress();
+            options.messageElement.textContent = `Run ${progress.runsDone + 1} of ${progress.runs}...`;
+        }
+
+        options.runButton.addEventListener('click', function() {
+            // a second click stops the batch and shows the runs finished so far
+            if (batch) {
+                stopBatch();
+                return;
+            }
+
+            batch = CholeraEngine.createBatch(options.simulation.getScenario(), {
+                runs: readWholeNumber(options.runsInput),
+                days: readWholeNumber(options.daysInput)
+            });
+
+            options.runButton.textContent = 'stop batch';
+            options.runsInput.disabled = true;
+            options.daysInput.disabled = true;
+            options.chart.reset();
+            options.outcomeTable.innerHTML = '';
+            stopBatch = runInSlices(batch.advanceDay, showProgress, finishBatch);
+        });
+    }
+
+    window.CholeraBatch = {
+        attachBatchControls: attachBatchControls,
+        runInSlices: runInSlices,
+        readWholeNumber: readWholeNumber,
+        OUTCOMES: OUTCOMES
+    };
+}) ();
@@ -0,0 +1,1208 @@
+(function () {
+    /**
+     * Epidemic curve drawn with D3.js under the canvas of sim2-sim5
+     * Features include:
+     * - One line per agent state (susceptible, exposed, infected, recovered, vaccinated, isolated) over the simulated days
+     * - Day axis growing with the simulation
+     * - Tooltip with the count of a state when hovering a day
+     * - Reproduction number Rt per day with its 95% credible interval, the latest value and the Rt = 1 threshold
+     * - Transmission tree of infections and waterbodies over time, hovering a node highlights its agents and waterbodies on the canvas
+     * - Fan chart of the new infections per day over a batch of runs: median line inside the 5-95% band
+     * - Heatmap of an outcome over a sweep of one or two settings, clicking a cell loads its settings
+     *
+     * The charts only draw `getState().history`, `getReproductionNumbers()` or `getTransmissionTree()` of a `CholeraEngine` simulation or a batch or sweep summary,
+     * they never change the simulation
+     */
+
+    /**
+     * Graph configuration for the epidemic curve
+     * @type {{width: number, height: number, margin: {top: number, right: number, bottom: number, left: number}, minDays: number}}
+     * @constant
+     */
+    const graphConfig = {
+        width: 600,                                             // svg width, matches the canvas width
+        height: 220,                                            // svg height
+        margin: { top: 30, right: 30, bottom: 40, left: 50 },   // space for legend, axes and axis labels
+        minDays: 5                                              // the day axis shows at least 5 days
+    };
+
+    /**
+     * Lines drawn on the chart, the key is the property of a history entry
+     * colors follow the canvas: purple exposed and red infected agents, green vaccination rings, grey isolation boxes
+     * @type {Array<{key: string, label: string, color: string}>}
+     * @constant
+     */
+    const SERIES = [
+        { key: 'susceptible', label: 'Susceptible', color: '#333' },
+        { key: 'exposed', label: 'Exposed', color: 'purple' },
+        { key: 'infected', label: 'Infected', color: '#e74c3c' },
+        { key: 'recovered', label: 'Recovered', color: '#007bff' },
+        { key: 'vaccinated', label: 'Vaccinated', color: 'green' },
+        { key: 'isolated', label: 'Isolated', color: 'grey' }
+    ];
+
+    /**
+     * Create an epidemic curve inside a container element
+     * @param {string} containerId - id of the element the svg is appended to
+     * @returns {{draw: function(Array<object>): void, reset: function(): void}}
+     */
+    function createEpidemicChart(containerId) {
+        const graphWidth = graphConfig.width - graphConfig.margin.left - graphConfig.margin.right;
+        const graphHeight = graphConfig.height - graphConfig.margin.top - graphConfig.margin.bottom;
+
+        /**
+         * Summary of the last drawn history, to skip redrawing when nothing changed
+         * @type {string}
+         */
+        let lastDrawnKey = '';
+
+        // Create SVG
+        const svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('class', 'epidemic-chart')
+            .attr('width', graphConfig.width)
+            .attr('height', graphConfig.height)
+            .attr('viewBox', `0 0 ${graphConfig.width} ${graphConfig.height}`);
+
+        // Create graph group
+        const graphGroup = svg
+            .append('g')
+            .attr('transform', `translate(${graphConfig.margin.left}, ${graphConfig.margin.top})`);
+
+        // Create scales
+        const xScale = d3.scaleLinear()
+            .range([0, graphWidth]);
+
+        const yScale = d3.scaleLinear()
+            .range([graphHeight, 0]);
+
+        // Create axes
+        const xAxis = d3.axisBottom(xScale)
+            .tickFormat(d3.format('d'));
+
+        const yAxis = d3.axisLeft(yScale)
+            .ticks(5)
+            .tickFormat(d3.format('d'));
+
+        // Append axes
+        const gridGroup = graphGroup.append('g').attr('class', 'grid');
+
+        const xAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${graphHeight})`);
+
+        const yAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'y-axis');
+
+        // Add axis labels
+        svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('x', graphConfig.margin.left + graphWidth / 2)
+            .attr('y', graphConfig.height - 5)
+            .text('Days');
+
+        svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('transform', `translate(15, ${graphConfig.margin.top + graphHeight / 2}) rotate(-90)`)
+            .text('Agents');
+
+        // Add legend above the graph, one entry per series, spaced by the length of the labels
+        const legendOffsets = [];
+        SERIES.reduce((offset, series) => {
+            legendOffsets.push(offset);
+            return offset + 28 + series.label.length * 7;     // line, gap and 7px per monospace character
+        }, 0);
+
+        const legendItems = svg.append('g')
+            .attr('class', 'legend')
+            .attr('transform', `translate(${graphConfig.margin.left}, 12)`)
+            .selectAll('.legend-item')
+            .data(SERIES)
+            .enter()
+            .append('g')
+            .attr('class', 'legend-item')
+            .attr('transform', (d, i) => `translate(${legendOffsets[i]}, 0)`);
+
+        legendItems.append('line')
+            .attr('x1', 0)
+            .attr('x2', 16)
+            .attr('stroke', d => d.color)
+            .attr('stroke-width', 3);
+
+        legendItems.append('text')
+            .attr('x', 20)
+            .attr('dy', '0.35em')
+            .text(d => d.label);
+
+        // Create one line and one group of dots per series
+        const seriesGroups = graphGroup.selectAll('.series')
+            .data(SERIES)
+            .enter()
+            .append('g')
+            .attr('class', d => `series series-${d.key}`);
+
+        seriesGroups.append('path')
+            .attr('class', 'series-line')
+            .attr('fill', 'none')
+            .attr('stroke', d => d.color)
+            .attr('stroke-width', 2);
+
+        seriesGroups.append('g')
+            .attr('class', 'dots');
+
+        /**
+         * Draw the history of a simulation, does nothing when it did not change since the last draw
+         * @param {Array<{day: number}>} history - per-day counts from `getState().history`
+         * @returns {void}
+         */
+        function draw(history) {
+            const lastEntry = history[history.length - 1];
+            const drawKey = history.length + JSON.stringify(lastEntry);
+            if (drawKey === lastDrawnKey) return;
+            lastDrawnKey = drawKey;
+
+            // susceptible, exposed, infected and recovered together are all active agents
+            const maxAgents = d3.max(history, d => d.susceptible + d.exposed + d.infected + d.recovered) || 1;
+            const maxDay = Math.max(graphConfig.minDays, lastEntry ? lastEntry.day : 0);
+
+            xScale.domain([1, maxDay]);
+            yScale.domain([0, maxAgents]);
+
+            xAxisGroup.call(xAxis.ticks(Math.min(maxDay - 1, 10)));
+            yAxisGroup.call(yAxis);
+
+            // Update grid lines
+            const gridLines = gridGroup.selectAll('.grid-line')
+                .data(yScale.ticks(5));
+
+            gridLines.enter()
+                .append('line')
+                .attr('class', 'grid-line')
+                .merge(gridLines)
+                .attr('x1', 0)
+                .attr('x2', graphWidth)
+                .attr('y1', d => yScale(d))
+                .attr('y2', d => yScale(d));
+
+            gridLines.exit().remove();
+
+            seriesGroups.each(function (series) {
+                const group = d3.select(this);
+
+                // Create line generator
+                const lineGenerator = d3.line()
+                    .x(d => xScale(d.day))
+                    .y(d => yScale(d[series.key]));
+
+                group.select('.series-line')
+                    .datum(history)
+                    .attr('d', history.length > 1 ? lineGenerator : null);
+
+                // Update dots (data points)
+                const dots = group.select('.dots')
+                    .selectAll('.dot')
+                    .data(history);
+
+                dots.enter()
+                    .append('circle')
+                    .attr('class', 'dot')
+                    .attr('r', 3)
+                    .attr('fill', series.color)
+                    .on('mouseover', function (event, d) {
+                        d3.select(this).attr('r', 5);
+                        showTooltip(d, series);
+                    })
+                    .on('mouseout', function () {
+                        d3.select(this).attr('r', 3);
+                        graphGroup.selectAll('.tooltip').remove();
+                    })
+                    .merge(dots)
+                    .attr('cx', d => xScale(d.day))
+                    .attr('cy', d => yScale(d[series.key]));
+
+                dots.exit().remove();
+            });
+        }
+
+        /**
+         * Show the count of one series on one day next to its dot
+         * @param {{day: number}} entry - history entry of the hovered day
+         * @param {{key: string, label: string, color: string}} series - hovered series
+         * @returns {void}
+         */
+        function showTooltip(entry, series) {
+            // keep the 120px wide tooltip inside the svg on the first and last day
+            const tooltipX = Math.min(
+                Math.max(xScale(entry.day), 60 - graphConfig.margin.left),
+                graphWidth + graphConfig.margin.right - 60
+            );
+
+            const tooltip = graphGroup.append('g')
+                .attr('class', 'tooltip')
+                .attr('transform', `translate(${tooltipX}, ${yScale(entry[series.key]) - 8})`);
+
+            tooltip.append('rect')
+                .attr('x', -60)
+                .attr('y', -20)
+                .attr('width', 120)
+                .attr('height', 18)
+                .attr('rx', 3)
+                .attr('stroke', series.color);
+
+            tooltip.append('text')
+                .attr('text-anchor', 'middle')
+                .attr('y', -7)
+                .text(`Day ${entry.day}: ${entry[series.key]} ${series.label.toLowerCase()}`);
+        }
+
+        /**
+         * Clear the chart, the next `draw()` starts from an empty graph
+         * @returns {void}
+         */
+        function reset() {
+            lastDrawnKey = '';
+            seriesGroups.selectAll('.series-line').attr('d', null);
+            seriesGroups.selectAll('.dot').remove();
+            gridGroup.selectAll('.grid-line').remove();
+            graphGroup.selectAll('.tooltip').remove();
+        }
+
+        return {
+            draw: draw,
+            reset: reset
+        };
+    }
+
+    /**
+     * Create a chart of the daily reproduction number Rt: its trend inside the 95% credible interval,
+     * the Rt = 1 threshold between a growing and a shrinking outbreak, and the latest estimate above the graph
+     * @param {string} containerId - id of the element the svg is appended to
+     * @returns {{draw: function(Array<{day: number, rt: number|null, low: number|null, high: number|null}>): void, reset: function(): void}}
+     */
+    function createRtChart(containerId) {
+        const graphWidth = graphConfig.width - graphConfig.margin.left - graphConfig.margin.right;
+        const graphHeight = graphConfig.height - graphConfig.margin.top - graphConfig.margin.bottom;
+        const color = '#333';
+        const thresholdColor = '#e74c3c';   // above the threshold the outbreak grows, red like the infected agents
+        const maxAxisRt = 5;                // early estimates can be huge, the axis stops here and clamps them
+
+        /**
+         * Summary of the last drawn estimates, to skip redrawing when nothing changed
+         * @type {string}
+         */
+        let lastDrawnKey = '';
+
+        // Create SVG
+        const svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('class', 'epidemic-chart')
+            .attr('width', graphConfig.width)
+            .attr('height', graphConfig.height)
+            .attr('viewBox', `0 0 ${graphConfig.width} ${graphConfig.height}`);
+
+        const graphGroup = svg
+            .append('g')
+            .attr('transform', `translate(${graphConfig.margin.left}, ${graphConfig.margin.top})`);
+
+        const xScale = d3.scaleLinear()
+            .range([0, graphWidth]);
+
+        const yScale = d3.scaleLinear()
+            .range([graphHeight, 0])
+            .clamp(true);
+
+        const xAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${graphHeight})`);
+
+        const yAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'y-axis');
+
+        // Add axis labels
+        svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('x', graphConfig.margin.left + graphWidth / 2)
+            .attr('y', graphConfig.height - 5)
+            .text('Days');
+
+        svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('transform', `translate(15, ${graphConfig.margin.top + graphHeight / 2}) rotate(-90)`)
+            .text('Rt');
+
+        // Legend: the band, the Rt line and the threshold, the latest estimate on the right
+        const legend = svg.append('g')
+            .attr('class', 'legend')
+            .attr('transform', `translate(${graphConfig.margin.left}, 12)`);
+
+        legend.append('rect')
+            .attr('y', -5)
+            .attr('width', 16)
+            .attr('height', 10)
+            .attr('fill', color)
+            .attr('fill-opacity', 0.15);
+
+        legend.append('text')
+            .attr('x', 20)
+            .attr('dy', '0.35em')
+            .text('95% interval');
+
+        legend.append('line')
+            .attr('x1', 120)
+            .attr('x2', 136)
+            .attr('stroke', color)
+            .attr('stroke-width', 3);
+
+        legend.append('text')
+            .attr('x', 140)
+            .attr('dy', '0.35em')
+            .text('Rt');
+
+        legend.append('line')
+            .attr('x1', 170)
+            .attr('x2', 186)
+            .attr('stroke', thresholdColor)
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4 3');
+
+        legend.append('text')
+            .attr('x', 190)
+            .attr('dy', '0.35em')
+            .text('Rt = 1');
+
+        const latestValue = svg.append('text')
+            .attr('class', 'chart-status')
+            .attr('text-anchor', 'end')
+            .attr('x', graphConfig.width - graphConfig.margin.right)
+            .attr('y', 12)
+            .attr('dy', '0.35em');
+
+        const gridGroup = graphGroup.append('g').attr('class', 'grid');
+
+        // shade the growing side of the threshold
+        const growthZone = graphGroup.append('rect')
+            .attr('class', 'rt-growth-zone')
+            .attr('x', 0)
+            .attr('width', graphWidth)
+            .attr('fill', thresholdColor)
+            .attr('fill-opacity', 0.06);
+
+        const band = graphGroup.append('path')
+            .attr('class', 'rt-band')
+            .attr('fill', color)
+            .attr('fill-opacity', 0.15);
+
+        const thresholdLine = graphGroup.append('line')
+            .attr('class', 'rt-threshold')
+            .attr('x1', 0)
+            .attr('x2', graphWidth)
+            .attr('stroke', thresholdColor)
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4 3');
+
+        const rtLine = graphGroup.append('path')
+            .attr('class', 'rt-line')
+            .attr('fill', 'none')
+            .attr('stroke', color)
+            .attr('stroke-width', 2);
+
+        const dotGroup = graphGroup.append('g')
+            .attr('class', 'dots');
+
+        /**
+         * Draw the estimates of a simulation, does nothing when they did not change since the last draw
+         * days without an estimate leave a gap in the line
+         * @param {Array<{day: number, rt: number|null, low: number|null, high: number|null}>} estimates - from `getReproductionNumbers()`
+         * @returns {void}
+         */
+        function draw(estimates) {
+            const lastEntry = estimates[estimates.length - 1];
+            const drawKey = estimates.length + JSON.stringify(lastEntry);
+            if (drawKey === lastDrawnKey) return;
+            lastDrawnKey = drawKey;
+
+            const estimated = estimates.filter(d => d.rt !== null);
+            const maxDay = Math.max(graphConfig.minDays, estimates.length);
+            const maxRt = Math.min(maxAxisRt, Math.max(2, d3.max(estimated, d => d.high) || 0));
+
+            xScale.domain([1, maxDay]);
+            yScale.domain([0, maxRt]);
+
+            xAxisGroup.call(d3.axisBottom(xScale).ticks(Math.min(maxDay - 1, 10)).tickFormat(d3.format('d')));
+            yAxisGroup.call(d3.axisLeft(yScale).ticks(5));
+
+            const gridLines = gridGroup.selectAll('.grid-line')
+                .data(yScale.ticks(5));
+
+            gridLines.enter()
+                .append('line')
+                .attr('class', 'grid-line')
+                .merge(gridLines)
+                .attr('x1', 0)
+                .attr('x2', graphWidth)
+                .attr('y1', d => yScale(d))
+                .attr('y2', d => yScale(d));
+
+            gridLines.exit().remove();
+
+            growthZone.attr('y', 0).attr('height', yScale(1));
+            thresholdLine.attr('y1', yScale(1)).attr('y2', yScale(1));
+
+            band.datum(estimates)
+                .attr('d', d3.area()
+                    .defined(d => d.rt !== null)
+                    .x(d => xScale(d.day))
+                    .y0(d => yScale(d.low))
+                    .y1(d => yScale(d.high)));
+
+            rtLine.datum(estimates)
+                .attr('d', d3.line()
+                    .defined(d => d.rt !== null)
+                    .x(d => xScale(d.day))
+                    .y(d => yScale(d.rt)));
+
+            const dots = dotGroup.selectAll('.dot')
+                .data(estimated);
+
+            dots.enter()
+                .append('circle')
+                .attr('class', 'dot')
+                .attr('r', 3)
+                .on('mouseover', function (event, d) {
+                    d3.select(this).attr('r', 5);
+                    showTooltip(d);
+                })
+                .on('mouseout', function () {
+                    d3.select(this).attr('r', 3);
+                    graphGroup.selectAll('.tooltip').remove();
+                })
+                .merge(dots)
+                .attr('fill', d => d.rt > 1 ? thresholdColor : color)
+                .attr('cx', d => xScale(d.day))
+                .attr('cy', d => yScale(d.rt));
+
+            dots.exit().remove();
+
+            showLatest(lastEntry);
+        }
+
+        /**
+         * Show the estimate of the last finished day above the graph, red while the outbreak grows
+         * @param {{day: number, rt: number|null, low: number|null, high: number|null}|undefined} entry - estimate of the last finished day
+         * @returns {void}
+         */
+        function showLatest(entry) {
+            const format = d3.format('.2f');
+
+            if (!entry) {
+                latestValue.text('Rt: from the end of day 1').attr('fill', color);
+            } else if (entry.rt === null) {
+                latestValue.text(`Rt day ${entry.day}: too few infections`).attr('fill', color);
+            } else {
+                latestValue.text(`Rt day ${entry.day}: ${format(entry.rt)} (${format(entry.low)}-${format(entry.high)})`)
+                    .attr('fill', entry.rt > 1 ? thresholdColor : color);
+            }
+        }
+
+        /**
+         * Show the estimate and interval of one day next to its dot
+         * @param {{day: number, rt: number, low: number, high: number}} entry - estimate of the hovered day
+         * @returns {void}
+         */
+        function showTooltip(entry) {
+            const format = d3.format('.2f');
+
+            // keep the 200px wide tooltip inside the svg on the first and last day
+            const tooltipX = Math.min(
+                Math.max(xScale(entry.day), 100 - graphConfig.margin.left),
+                graphWidth + graphConfig.margin.right - 100
+            );
+
+            const tooltip = graphGroup.append('g')
+                .attr('class', 'tooltip')
+                .attr('transform', `translate(${tooltipX}, ${yScale(entry.rt) - 8})`);
+
+            tooltip.append('rect')
+                .attr('x', -100)
+                .attr('y', -20)
+                .attr('width', 200)
+                .attr('height', 18)
+                .attr('rx', 3)
+                .attr('stroke', entry.rt > 1 ? thresholdColor : color);
+
+            tooltip.append('text')
+                .attr('text-anchor', 'middle')
+                .attr('y', -7)
+                .text(`Day ${entry.day}: Rt ${format(entry.rt)} (${format(entry.low)}-${format(entry.high)})`);
+        }
+
+        /**
+         * Clear the chart, the next `draw()` starts from an empty graph
+         * @returns {void}
+         */
+        function reset() {
+            lastDrawnKey = '';
+            band.attr('d', null);
+            rtLine.attr('d', null);
+            dotGroup.selectAll('.dot').remove();
+            gridGroup.selectAll('.grid-line').remove();
+            graphGroup.selectAll('.tooltip').remove();
+            latestValue.text('');
+        }
+
+        return {
+            draw: draw,
+            reset: reset
+        };
+    }
+
+    /**
+     * Create a transmission tree: one row per waterbody and per infected agent, time running to the right.
+     * Lines lead from an infection to the water it shed into and from that water to the infections it caused,
+     * hovering a node fades everything but its links and reports the agents and waterbodies involved
+     * @param {string} containerId - id of the element the svg is appended to
+     * @param {object} options
+     * @param {function(string): string} options.getWaterbodyName - name of a waterbody by its id
+     * @param {function({agentIndices: Array<number>, waterbodyIds: Array<string>}|null): void} options.onHover
+     *     called with the agents and waterbodies of the hovered node and its links, null once the pointer leaves the node
+     * @returns {{draw: function({nodes: Array<object>, links: Array<object>}): void, reset: function(): void}}
+     */
+    function createTransmissionTree(containerId, options) {
+        const margin = { top: 30, right: 30, bottom: 40, left: 120 };  // wide left margin for the row names
+        const graphWidth = graphConfig.width - margin.left - margin.right;
+        const rowHeight = 14;
+        const infectionColor = '#e74c3c';   // infected agents are red on the canvas
+        const waterColor = '#00008b';       // fully contaminated water is dark blue on the canvas
+
+        /**
+         * Last drawn tree, `getTransmissionTree()` returns the same object until new events come in
+         * @type {object|null}
+         */
+        let lastDrawnTree = null;
+
+        /**
+         * Whether a hovered node is highlighted, its node is gone once the tree is drawn again
+         * @type {boolean}
+         */
+        let isHighlighting = false;
+
+        // Create SVG, its height grows with the number of rows
+        const svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('class', 'epidemic-chart')
+            .attr('width', graphConfig.width);
+
+        const graphGroup = svg
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const xScale = d3.scaleLinear()
+            .range([0, graphWidth]);
+
+        const xAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'x-axis');
+
+        const dayLabel = svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('x', margin.left + graphWidth / 2)
+            .text('Days');
+
+        // Legend: the two kinds of nodes, details of the hovered node on the right
+        const legend = svg.append('g')
+            .attr('class', 'legend')
+            .attr('transform', `translate(${margin.left}, 12)`);
+
+        legend.append('circle')
+            .attr('cx', 5)
+            .attr('r', 4)
+            .attr('fill', infectionColor);
+
+        legend.append('text')
+            .attr('x', 14)
+            .attr('dy', '0.35em')
+            .text('Infection');
+
+        legend.append('rect')
+            .attr('x', 91)
+            .attr('y', -4)
+            .attr('width', 8)
+            .attr('height', 8)
+            .attr('fill', waterColor);
+
+        legend.append('text')
+            .attr('x', 104)
+            .attr('dy', '0.35em')
+            .text('Infected water');
+
+        const details = svg.append('text')
+            .attr('class', 'chart-status')
+            .attr('text-anchor', 'end')
+            .attr('x', graphConfig.width - margin.right)
+            .attr('y', 12)
+            .attr('dy', '0.35em');
+
+        const rowGroup = graphGroup.append('g').attr('class', 'tree-rows');
+        const linkGroup = graphGroup.append('g').attr('class', 'tree-links');
+        const nodeGroup = graphGroup.append('g').attr('class', 'tree-nodes');
+
+        /**
+         * Name of the row of a node
+         * @param {{type: string, agentIndex: number|null, waterbodyId: string|null}} node - tree node
+         * @returns {string}
+         */
+        function getRowName(node) {
+            return node.type === 'water' ? options.getWaterbodyName(node.waterbodyId) : `Agent ${node.agentIndex + 1}`;
+        }
+
+        /**
+         * Day and time of day of a node, like "day 3 14:20"
+         * @param {{time: number}} node - tree node
+         * @returns {string}
+         */
+        function formatTime(node) {
+            const minuteOfDay = Math.round((node.time % 1) * 24 * 60);
+            const hours = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+            const minutes = String(minuteOfDay % 60).padStart(2, '0');
+            return `day ${Math.floor(node.time)} ${hours}:${minutes}`;
+        }
+
+        /**
+         * Draw a transmission tree, does nothing when it is the tree drawn last
+         * @param {{nodes: Array<object>, links: Array<object>}} tree - from `getTransmissionTree()`
+         * @returns {void}
+         */
+        function draw(tree) {
+            if (tree === lastDrawnTree) return;
+            lastDrawnTree = tree;
+            if (isHighlighting) clearHighlight();
+
+            // waterbodies first, then the agents, each in the order they first appear
+            const rowNames = [];
+            tree.nodes.filter(node => node.type === 'water').concat(tree.nodes.filter(node => node.type === 'infection')).forEach((node) => {
+                const name = getRowName(node);
+                if (!rowNames.includes(name)) rowNames.push(name);
+            });
+
+            const graphHeight = Math.max(graphConfig.height - margin.top - margin.bottom, rowNames.length * rowHeight);
+            const height = graphHeight + margin.top + margin.bottom;
+            svg.attr('height', height).attr('viewBox', `0 0 ${graphConfig.width} ${height}`);
+            dayLabel.attr('y', height - 5);
+
+            const nodesById = {};
+            tree.nodes.forEach((node) => {
+                nodesById[node.id] = node;
+            });
+
+            const maxDay = Math.max(graphConfig.minDays, Math.ceil(d3.max(tree.nodes, node => node.time) || 0));
+            xScale.domain([1, maxDay]);
+            const yScale = d3.scalePoint()
+                .domain(rowNames)
+                .range([rowHeight / 2, rowNames.length * rowHeight - rowHeight / 2]);
+
+            xAxisGroup
+                .attr('transform', `translate(0, ${graphHeight})`)
+                .call(d3.axisBottom(xScale).ticks(Math.min(maxDay - 1, 10)).tickFormat(d3.format('d')));
+
+            const rows = rowGroup.selectAll('.tree-row')
+                .data(rowNames);
+
+            const rowsEnter = rows.enter()
+                .append('g')
+                .attr('class', 'tree-row');
+
+            rowsEnter.append('line')
+                .attr('class', 'grid-line')
+                .attr('x1', 0)
+                .attr('x2', graphWidth);
+
+            rowsEnter.append('text')
+                .attr('x', -6)
+                .attr('text-anchor', 'end')
+                .attr('dy', '0.35em');
+
+            rowsEnter.merge(rows)
+                .attr('transform', name => `translate(0, ${yScale(name)})`)
+                .select('text')
+                .text(name => name);
+
+            rows.exit().remove();
+
+            const x = node => xScale(node.time);
+            const y = node => yScale(getRowName(node));
+
+            const links = linkGroup.selectAll('.tree-link')
+                .data(tree.links);
+
+            links.enter()
+                .append('line')
+                .attr('class', 'tree-link')
+                .attr('stroke', '#999')
+                .merge(links)
+                .attr('x1', link => x(nodesById[link.source]))
+                .attr('y1', link => y(nodesById[link.source]))
+                .attr('x2', link => x(nodesById[link.target]))
+                .attr('y2', link => y(nodesById[link.target]))
+                .attr('stroke-width', link => 1 + 2 * link.share)
+                .attr('stroke-dasharray', link => link.share > 0 ? null : '3 3');   // water infected by the initial contamination only
+
+            links.exit().remove();
+
+            nodeGroup.selectAll('.tree-node').remove();
+
+            const nodes = nodeGroup.selectAll('.tree-node')
+                .data(tree.nodes)
+                .enter()
+                .append('g')
+                .attr('class', 'tree-node')
+                .attr('transform', node => `translate(${x(node)}, ${y(node)})`)
+                .on('mouseover', function (event, node) {
+                    highlight(tree, node);
+                })
+                .on('mouseout', function () {
+                    clearHighlight();
+                });
+
+            nodes.filter(node => node.type === 'water')
+                .append('rect')
+                .attr('x', -4)
+                .attr('y', -4)
+                .attr('width', 8)
+                .attr('height', 8)
+                .attr('fill', waterColor);
+
+            // agents infected at the start have a black outline
+            nodes.filter(node => node.type === 'infection')
+                .append('circle')
+                .attr('r', 4)
+                .attr('fill', infectionColor)
+                .attr('stroke', node => node.waterbodyId === null ? 'black' : null)
+                .attr('stroke-width', 1.5);
+
+            details.text(tree.nodes.length > 0 ? 'Hover a node to trace it' : 'No infections yet');
+        }
+
+        /**
+         * Fade everything but a node and its links, and report its agents and waterbodies
+         * an infection also keeps the infections on the other side of its water nodes: who infected it and whom it infected
+         * @param {{nodes: Array<object>, links: Array<object>}} tree - drawn tree
+         * @param {object} hoveredNode - hovered node
+         * @returns {void}
+         */
+        function highlight(tree, hoveredNode) {
+            const hops = hoveredNode.type === 'infection' ? 2 : 1;
+            const nodeIds = new Set([hoveredNode.id]);
+            const linkSet = new Set();
+
+            for (let hop = 0; hop < hops; hop++) {
+                const reached = [...nodeIds];
+                tree.links.forEach((link) => {
+                    if (reached.includes(link.source) || reached.includes(link.target)) {
+                        linkSet.add(link);
+                        nodeIds.add(link.source);
+                        nodeIds.add(link.target);
+                    }
+                });
+            }
+
+            linkGroup.selectAll('.tree-link').attr('opacity', link => linkSet.has(link) ? 1 : 0.1);
+            nodeGroup.selectAll('.tree-node').attr('opacity', node => nodeIds.has(node.id) ? 1 : 0.15);
+
+            const highlighted = tree.nodes.filter(node => nodeIds.has(node.id));
+            isHighlighting = true;
+            options.onHover({
+                agentIndices: [...new Set(highlighted.filter(node => node.type === 'infection').map(node => node.agentIndex))],
+                waterbodyIds: [...new Set(highlighted.filter(node => node.type === 'water').map(node => node.waterbodyId))]
+            });
+
+            if (hoveredNode.type === 'water') {
+                details.text(`${getRowName(hoveredNode)}, ${formatTime(hoveredNode)}: ${hoveredNode.infections} infected`);
+            } else if (hoveredNode.waterbodyId === null) {
+                details.text(`${getRowName(hoveredNode)} infected at the start`);
+            } else {
+                details.text(`${getRowName(hoveredNode)} infected ${formatTime(hoveredNode)} at ${options.getWaterbodyName(hoveredNode.waterbodyId)}`);
+            }
+        }
+
+        /**
+         * Show every node and link again
+         * @returns {void}
+         */
+        function clearHighlight() {
+            linkGroup.selectAll('.tree-link').attr('opacity', 1);
+            nodeGroup.selectAll('.tree-node').attr('opacity', 1);
+            details.text('Hover a node to trace it');
+            isHighlighting = false;
+            options.onHover(null);
+        }
+
+        /**
+         * Clear the chart, the next `draw()` starts from an empty graph
+         * @returns {void}
+         */
+        function reset() {
+            if (isHighlighting) clearHighlight();
+            lastDrawnTree = null;
+            linkGroup.selectAll('.tree-link').remove();
+            nodeGroup.selectAll('.tree-node').remove();
+            details.text('');
+        }
+
+        return {
+            draw: draw,
+            reset: reset
+        };
+    }
+
+    /**
+     * Create a fan chart of the new infections per day over a batch of runs: the median as a line inside the 5-95% band
+     * @param {string} containerId - id of the element the svg is appended to
+     * @returns {{draw: function(Array<{day: number, low: number, median: number, high: number}>): void, reset: function(): void}}
+     */
+    function createFanChart(containerId) {
+        const graphWidth = graphConfig.width - graphConfig.margin.left - graphConfig.margin.right;
+        const graphHeight = graphConfig.height - graphConfig.margin.top - graphConfig.margin.bottom;
+        const color = '#e74c3c';            // infected agents are red on the canvas and the epidemic curve
+
+        // Create SVG
+        const svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('class', 'epidemic-chart')
+            .attr('width', graphConfig.width)
+            .attr('height', graphConfig.height)
+            .attr('viewBox', `0 0 ${graphConfig.width} ${graphConfig.height}`);
+
+        const graphGroup = svg
+            .append('g')
+            .attr('transform', `translate(${graphConfig.margin.left}, ${graphConfig.margin.top})`);
+
+        const xScale = d3.scaleLinear()
+            .range([0, graphWidth]);
+
+        const yScale = d3.scaleLinear()
+            .range([graphHeight, 0]);
+
+        const xAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${graphHeight})`);
+
+        const yAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'y-axis');
+
+        // Add axis labels
+        svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('x', graphConfig.margin.left + graphWidth / 2)
+            .attr('y', graphConfig.height - 5)
+            .text('Days');
+
+        svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('transform', `translate(15, ${graphConfig.margin.top + graphHeight / 2}) rotate(-90)`)
+            .text('New infections');
+
+        // Legend: the band and the median line
+        const legend = svg.append('g')
+            .attr('class', 'legend')
+            .attr('transform', `translate(${graphConfig.margin.left}, 12)`);
+
+        legend.append('rect')
+            .attr('y', -5)
+            .attr('width', 16)
+            .attr('height', 10)
+            .attr('fill', color)
+            .attr('fill-opacity', 0.25);
+
+        legend.append('text')
+            .attr('x', 20)
+            .attr('dy', '0.35em')
+            .text('5-95% of runs');
+
+        legend.append('line')
+            .attr('x1', 140)
+            .attr('x2', 156)
+            .attr('stroke', color)
+            .attr('stroke-width', 3);
+
+        legend.append('text')
+            .attr('x', 160)
+            .attr('dy', '0.35em')
+            .text('Median');
+
+        const gridGroup = graphGroup.append('g').attr('class', 'grid');
+
+        const band = graphGroup.append('path')
+            .attr('class', 'fan-band')
+            .attr('fill', color)
+            .attr('fill-opacity', 0.25);
+
+        const medianLine = graphGroup.append('path')
+            .attr('class', 'fan-median')
+            .attr('fill', 'none')
+            .attr('stroke', color)
+            .attr('stroke-width', 2);
+
+        const dotGroup = graphGroup.append('g')
+            .attr('class', 'dots');
+
+        /**
+         * Draw the bands of a batch summary
+         * @param {Array<{day: number, low: number, median: number, high: number}>} dailyBands - `dailyInfections` of a batch summary
+         * @returns {void}
+         */
+        function draw(dailyBands) {
+            const maxDay = Math.max(graphConfig.minDays, dailyBands.length);
+            const maxInfections = Math.max(1, d3.max(dailyBands, d => d.high) || 0);
+
+            xScale.domain([1, maxDay]);
+            yScale.domain([0, maxInfections]);
+
+            xAxisGroup.call(d3.axisBottom(xScale).ticks(Math.min(maxDay - 1, 10)).tickFormat(d3.format('d')));
+            yAxisGroup.call(d3.axisLeft(yScale).ticks(5));
+
+            const gridLines = gridGroup.selectAll('.grid-line')
+                .data(yScale.ticks(5));
+
+            gridLines.enter()
+                .append('line')
+                .attr('class', 'grid-line')
+                .merge(gridLines)
+                .attr('x1', 0)
+                .attr('x2', graphWidth)
+                .attr('y1', d => yScale(d))
+                .attr('y2', d => yScale(d));
+
+            gridLines.exit().remove();
+
+            band.datum(dailyBands)
+                .attr('d', d3.area()
+                    .x(d => xScale(d.day))
+                    .y0(d => yScale(d.low))
+                    .y1(d => yScale(d.high)));
+
+            medianLine.datum(dailyBands)
+                .attr('d', d3.line()
+                    .x(d => xScale(d.day))
+                    .y(d => yScale(d.median)));
+
+            const dots = dotGroup.selectAll('.dot')
+                .data(dailyBands);
+
+            dots.enter()
+                .append('circle')
+                .attr('class', 'dot')
+                .attr('r', 3)
+                .attr('fill', color)
+                .on('mouseover', function (event, d) {
+                    d3.select(this).attr('r', 5);
+                    showTooltip(d);
+                })
+                .on('mouseout', function () {
+                    d3.select(this).attr('r', 3);
+                    graphGroup.selectAll('.tooltip').remove();
+                })
+                .merge(dots)
+                .attr('cx', d => xScale(d.day))
+                .attr('cy', d => yScale(d.median));
+
+            dots.exit().remove();
+        }
+
+        /**
+         * Show the median and band of one day next to its dot
+         * @param {{day: number, low: number, median: number, high: number}} entry - bands of the hovered day
+         * @returns {void}
+         */
+        function showTooltip(entry) {
+            const format = d3.format('.1~f');
+
+            // keep the 200px wide tooltip inside the svg on the first and last day
+            const tooltipX = Math.min(
+                Math.max(xScale(entry.day), 100 - graphConfig.margin.left),
+                graphWidth + graphConfig.margin.right - 100
+            );
+
+            const tooltip = graphGroup.append('g')
+                .attr('class', 'tooltip')
+                .attr('transform', `translate(${tooltipX}, ${yScale(entry.median) - 8})`);
+
+            tooltip.append('rect')
+                .attr('x', -100)
+                .attr('y', -20)
+                .attr('width', 200)
+                .attr('height', 18)
+                .attr('rx', 3)
+                .attr('stroke', color);
+
+            tooltip.append('text')
+                .attr('text-anchor', 'middle')
+                .attr('y', -7)
+                .text(`Day ${entry.day}: median ${format(entry.median)} (${format(entry.low)}-${format(entry.high)})`);
+        }
+
+        /**
+         * Clear the chart
+         * @returns {void}
+         */
+        function reset() {
+            band.attr('d', null);
+            medianLine.attr('d', null);
+            dotGroup.selectAll('.dot').remove();
+            gridGroup.selectAll('.grid-line').remove();
+            graphGroup.selectAll('.tooltip').remove();
+        }
+
+        return {
+            draw: draw,
+            reset: reset
+        };
+    }
+
+    /**
+     * Create a heatmap of one outcome over a grid of one or two settings, each cell clickable
+     * @param {string} containerId - id of the element the svg is appended to
+     * @param {function(object): void} onCellClick - called with the clicked cell
+     * @returns {{draw: function(Array<{x: *, y: *, value: number|null}>, {xLabel: string, yLabel: string, valueLabel: string}): void, reset: function(): void}}
+     */
+    function createHeatmap(containerId, onCellClick) {
+        const height = 320;                 // taller than the curves, room for a 11 x 11 grid
+        const margin = { top: 30, right: 30, bottom: 40, left: 60 };
+        const graphWidth = graphConfig.width - margin.left - margin.right;
+        const graphHeight = height - margin.top - margin.bottom;
+        const format = d3.format('.1~f');
+
+        // Create SVG
+        const svg = d3.select(`#${containerId}`)
+            .append('svg')
+            .attr('class', 'epidemic-chart')
+            .attr('width', graphConfig.width)
+            .attr('height', height)
+            .attr('viewBox', `0 0 ${graphConfig.width} ${height}`);
+
+        const graphGroup = svg
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const cellGroup = graphGroup.append('g')
+            .attr('class', 'cells');
+
+        const xAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${graphHeight})`);
+
+        const yAxisGroup = graphGroup
+            .append('g')
+            .attr('class', 'y-axis');
+
+        const xLabel = svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('x', margin.left + graphWidth / 2)
+            .attr('y', height - 5);
+
+        const yLabel = svg.append('text')
+            .attr('class', 'axis-label')
+            .attr('text-anchor', 'middle')
+            .attr('transform', `translate(15, ${margin.top + graphHeight / 2}) rotate(-90)`);
+
+        const title = svg.append('text')
+            .attr('class', 'legend')
+            .attr('x', margin.left)
+            .attr('y', 16);
+
+        /**
+         * Draw one cell per combination, darker red for higher values, grey without a value
+         * @param {Array<{x: *, y: *, value: number|null}>} cells - value of every combination, y is null for a single setting
+         * @param {{xLabel: string, yLabel: string, valueLabel: string}} labels - names of the settings and of the outcome
+         * @returns {void}
+         */
+        function draw(cells, labels) {
+            const xValues = [...new Set(cells.map(cell => cell.x))];
+            const yValues = [...new Set(cells.map(cell => cell.y))];
+            const values = cells.map(cell => cell.value).filter(value => value !== null);
+
+            const xScale = d3.scaleBand().domain(xValues).range([0, graphWidth]).padding(0.05);
+            const yScale = d3.scaleBand().domain(yValues).range([graphHeight, 0]).padding(0.05);
+            const colorScale = d3.scaleSequential(d3.interpolateReds)
+                .domain([d3.min(values) || 0, Math.max(d3.max(values) || 0, (d3.min(values) || 0) + 1)]);
+
+            xAxisGroup.call(d3.axisBottom(xScale));
+            yAxisGroup.call(d3.axisLeft(yScale).tickFormat(value => (value === null ? '' : value)));
+            xLabel.text(labels.xLabel);
+            yLabel.text(labels.yLabel);
+            title.text(`${labels.valueLabel}, median over the runs of each cell - click a cell to load its settings`);
+
+            const cellGroups = cellGroup.selectAll('.heatmap-cell')
+                .data(cells, cell => `${cell.x}|${cell.y}`);
+
+            cellGroups.exit().remove();
+
+            const entered = cellGroups.enter()
+                .append('g')
+                .attr('class', 'heatmap-cell')
+                .style('cursor', 'pointer')
+                .on('click', (event, cell) => onCellClick(cell));
+
+            entered.append('rect');
+            entered.append('text')
+                .attr('text-anchor', 'middle')
+                .attr('dy', '0.35em');
+
+            const merged = entered.merge(cellGroups);
+
+            merged.select('rect')
+                .attr('x', cell => xScale(cell.x))
+                .attr('y', cell => yScale(cell.y))
+                .attr('width', xScale.bandwidth())
+                .attr('height', yScale.bandwidth())
+                .attr('fill', cell => (cell.value === null ? '#ccc' : colorScale(cell.value)));
+
+            // dark cells get white numbers
+            merged.select('text')
+                .attr('x', cell => xScale(cell.x) + xScale.bandwidth() / 2)
+                .attr('y', cell => yScale(cell.y) + yScale.bandwidth() / 2)
+                .attr('fill', cell => (cell.value !== null && d3.hsl(colorScale(cell.value)).l < 0.5 ? 'white' : 'black'))
+                .text(cell => (cell.value === null ? '-' : format(cell.value)));
+        }
+
+        /**
+         * Clear the heatmap
+         * @returns {void}
+         */
+        function reset() {
+            cellGroup.selectAll('.heatmap-cell').remove();
+            xAxisGroup.selectAll('*').remove();
+            yAxisGroup.selectAll('*').remove();
+            xLabel.text('');
+            yLabel.text('');
+            title.text('');
+        }
+
+        return {
+            draw: draw,
+            reset: reset
+        };
+    }
+
+    window.CholeraChart = {
+        createEpidemicChart: createEpidemicChart,
+        createRtChart: createRtChart,
+        createTransmissionTree: createTransmissionTree,
+        createFanChart: createFanChart,
+        createHeatmap: createHeatmap
+    };
+}) ();
@@ -0,0 +1,3440 @@
+(function (root, factory) {
+    // expose the engine as `CholeraEngine` in the browser and as a CommonJS module in Node
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CholeraEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Headless cholera simulation engine shared by sim2-sim5
+     * Features include:
+     * - Fixed-timestep clock counting simulated minutes, independent of the frame rate
+     * - 'school' layout: houses around one shared school waterbody (sim2-sim4)
+     * - Registry of named places (school, market, clinic, well, ...) and per-agent daily itineraries of time windows
+     * - 'communities' layout: communities each with their own waterbody (sim5)
+     * - Vibrio concentration in every waterbody, raised by infected shedding and lowered by decay and dilution
+     * - Infection risk from a dose-response curve on the concentration, time-delayed house infection
+     * - Exposed (incubation) state with a random incubation period before symptoms show
+     * - Asymptomatic carriers that shed like symptomatic agents but are never tested
+     * - Vaccination, rapid testing and isolation
+     * - Chlorination of the school waterbody and of a share of the house waterbodies, re-dosed at a fixed interval
+     * - Latrines separating defecation from drinking water, leaking into the nearest waterbody now and then
+     * - Per-day history of susceptible, exposed, infected, recovered, vaccinated and isolated agents and of the infections so far
+     * - Infection events with their time, waterbody and the shedding agents whose Vibrio was in it
+     * - Contamination events of every infected visit shedding into a waterbody, and the transmission tree built from both logs
+     * - Daily estimate of the reproduction number Rt from the infection events (Cori method)
+     * - Seeded random number generator so the same seed and parameters replay the same epidemic
+     * - Versioned scenario files (JSON) holding the complete setup of a simulation, checked before loading
+     * - Snapshots of the full runtime state, to continue a run later or branch several continuations from one point
+     * - Batches running a scenario many times without drawing, summarised as medians with 5-95% bands
+     * - Sweeps running a batch for every combination of the values of one or two settings
+     *
+     * The engine never touches the DOM. Renderers create a simulation with `createSimulation(config)`,
+     * advance it with `step(dtHours)` and draw whatever `getState()` returns.
+     * `step` only collects time, the simulation itself always moves in fixed ticks of `config.tickMinutes`
+     * so agents cover the same distance per simulated hour on every monitor and at every speed.
+     */
+
+    /**
+     * Default configuration, every value can be overridden through `createSimulation(config)`
+     * Coverages are percentages (0-100), durations are in days unless named otherwise
+     * @type {object}
+     * @constant
+     */
+    const DEFAULT_CONFIG = {
+        layout: 'school',                   // 'school' (sim2-sim4) or 'communities' (sim5)
+        width: 600,                         // world width, matches the canvas internal resolution
+        height: 400,                        // world height, matches the canvas internal resolution
+        scheduleStartTime: 8,               // simulation starts at 8:00 AM
+        startWeekday: 0,                    // weekday of day 1, 0 = Monday ... 6 = Sunday
+        holidays: [],                       // days without school, agents follow their weekend activity (school layout)
+        weekendActivities: {                // percentage of agents for each activity on a day without school (school layout)
+            home: 50,                       // stay at home
+            market: 30,                     // go to the market and use its water point
+            visit: 20                       // visit another house and use its water source
+        },
+        extraLocations: [                   // places agents can add to their itinerary besides school and market (school layout)
+            {id: 'clinic', name: 'Clinic', x: 400, y: 200, hasWater: false},
+            {id: 'church', name: 'Church', x: 200, y: 200, hasWater: false},
+            {id: 'well', name: 'Well', x: 40, y: 370, hasWater: true},
+            {id: 'river', name: 'River', x: 560, y: 40, hasWater: true}
+        ],
+        itineraries: null,                  // daily itinerary per agent index, agents without one spend school hours at 'school'
+        tickMinutes: 1,                     // simulated minutes per fixed simulation tick
+        schoolStart: 8,                     // school starts at 8:00 AM
+        schoolEnd: 17,                      // school ends at 5:00 PM
+        bathroomSlots: {
+            school: [12, 13, 14, 15, 16, 17],   // bathroom slots available at school (hours)
+            house: [20, 21, 22, 23],            // bathroom slots available at home (hours)
+            community: [9, 12, 15, 18, 21]      // bathroom slots in the communities layout (hours)
+        },
+        housePositions: [
+            {x: 150, y: 100},               //position 1
+            {x: 450, y: 300},               //position 2
+            {x: 450, y: 100},               //position 3
+            {x: 150, y: 300},               //position 4
+            {x: 500, y: 200},               //position 5
+            {x: 100, y: 200},               //position 6
+            {x: 375, y: 40},                //position 7
+            {x: 225, y: 360},               //position 8
+            {x: 375, y: 360},               //position 9
+            {x: 225, y: 40}                 //position 10
+        ],
+        initialInfected: [1, 2],            // agent indices infected at the start
+        activeAgentCount: 10,               // number of agents taking part (school layout)
+        agentSpeed: 180,                    // pixels per simulated hour (1.5 px per frame at 60 fps and 2 hours per second)
+        sheddingPerVisit: 5,                // Vibrio concentration (cells/mL) added to a waterbody by one infected visit
+        dailyDecayRate: 0.5,                // fraction of Vibrio in a waterbody dying off per simulated day
+        dailyDilutionRate: 0,               // fraction of a waterbody replaced by clean water per simulated day
+        ingestedVolume: 10,                 // mL of water an agent drinks per waterbody visit
+        doseResponseAlpha: 0.25,            // beta-Poisson dose-response shape for V. cholerae (Haas et al.)
+        doseResponseN50: 243,               // ingested cells infecting half of the exposed agents (Haas et al.)
+        contaminationConcentration: 1,      // concentration (cells/mL) from which a waterbody counts as contaminated
+        initialConcentration: 50,           // concentration (cells/mL) of initially contaminated waterbodies
+        houseInfectionDelay: 3,             // simulated hours before a house turns infected after its waterbody got contaminated
+        minIncubationHours: 2,              // shortest incubation period (simulated hours) between drinking contaminated water and symptoms
+        maxIncubationHours: 120,            // longest incubation period (simulated hours), 5 days
+        asymptomaticRate: 0,                // percentage of infections that never show symptoms but still shed
+        infectionDuration: 7,               // days of infection before immunity
+        recoveryDuration: 2000,             // days of recovered (immune) state
+        serialIntervalMeanDays: 4,          // mean days between the infection of a shedding agent and the infections it causes, for Rt
+        serialIntervalSdDays: 2,            // standard deviation of that serial interval
+        rtWindowDays: 7,                    // days of infections each Rt estimate is based on
+        vaccinationCoverage: 0,             // percentage of susceptible agents vaccinated
+        vaccinationEffectiveness: 69,       // percentage of infections prevented by the vaccine
+        rapidTestCoverage: 0,               // percentage of symptomatic (infected, not exposed) agents tested each morning
+        rapidTestSensitivity: 91,           // percentage of infected agents detected by the rapid test
+        rapidTestHour: 7,                   // hour of the daily rapid test round
+        isolationDuration: 3,               // days of isolation after a positive test
+        closeSchool: false,                 // keep the school closed for the whole run (school layout)
+        schoolClosureDays: [],              // days on which the school is closed
+        closeSchoolOnContamination: false,  // close the school on days starting with contaminated school water
+        schoolClosureCaseThreshold: 0,      // symptomatic cases at the start of a day closing the school that day, 0 turns it off
+        chlorinateSchoolWater: false,       // whether the school waterbody is chlorinated
+        chlorinationCoverage: 0,            // percentage of house waterbodies (of active agents) chlorinated
+        chlorinationEfficacy: 99,           // percentage of Vibrio killed by a dose, and of Vibrio shed while the chlorine lasts
+        chlorinationDuration: 2,            // days a dose of chlorine keeps working
+        chlorinationRedoseInterval: 2,      // days between two doses, longer than the duration leaves the water unprotected in between
+        latrineCoverage: 0,                 // percentage of active agents with a household latrine, they also use the school latrine
+        latrineLeakRate: 10,                // percentage of latrine uses by infected agents leaking into the nearest waterbody
+        communityPositions: null,           // community centres (communities layout), defaults to the sim5 layout
+        agentsPerCommunity: 10,             // number of agents per community
+        mobilityMatrix: null,               // daily probability that a resident of community i visits community j, gravity model when null
+        maxDailyTravelProbability: 0.8,     // daily probability to travel of the best connected community (gravity model)
+        closedCommunityId: null,            // community closed to in and out travel (communities layout), none when null
+        closureStartDay: 3,                 // day from which `closedCommunityId` is closed
+        mobilityReduction: 0,               // percentage of the daily trips cancelled by travel restrictions
+        autoClosureThreshold: 0,            // symptomatic cases among its residents that close a community, 0 turns it off
+        communityRadius: 35,                // distance between a community waterbody and its houses
+        initiallyContaminated: [0],         // community waterbodies contaminated at the start (communities layout)
+        seed: null                          // seed of the random number generator, a random seed is drawn when null
+    };
+
+    /**
+     * Concentration (cells/mL) drawn as a fully contaminated waterbody by `getContaminationLevel`
+     * @type {number}
+     * @constant
+     */
+    const FULL_CONTAMINATION_CONCENTRATION = 100;
+
+    /**
+     * Salts deriving independent random streams from one seed
+     * Setup decisions use their own stream so e.g. dragging the vaccination slider does not shift later random draws
+     * @type {{run: number, vaccination: number, chlorination: number, latrine: number}}
+     * @constant
+     */
+    const RANDOM_STREAMS = {
+        run: 0,                             // every decision taken while the simulation runs
+        vaccination: 1,                     // who gets vaccinated at the start
+        chlorination: 2,                    // which house waterbodies get chlorinated
+        latrine: 3                          // which agents get a latrine
+    };
+
+    /**
+     * Create a seeded pseudo random number generator (mulberry32)
+     * Same seed gives the same sequence of numbers on every browser and in Node
+     * @param {number} seed - 32-bit unsigned integer seed
+     * @returns {{next: function(): number, getState: function(): number, setState: function(number): void}}
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+
+        /**
+         * Next random number
+         * @returns {number} - random number between 0 (inclusive) and 1 (exclusive), like Math.random()
+         */
+        function next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        return {
+            next: next,
+            getState: () => state,
+            setState: (newState) => { state = newState >>> 0; }
+        };
+    }
+
+    /**
+     * Derive the seed of an independent random stream from the simulation seed
+     * @param {number} seed - simulation seed
+     * @param {number} stream - one of `RANDOM_STREAMS`
+     * @returns {number} - 32-bit unsigned integer seed
+     */
+    function deriveSeed(seed, stream) {
+        return (seed ^ Math.imul(stream + 1, 0x9E3779B1)) >>> 0;
+    }
+
+    /**
+     * Draw a new random seed for simulations created without one
+     * @returns {number} - 32-bit unsigned integer seed
+     */
+    function createRandomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Shuffle an array in place with the Fisher-Yates algorithm and return it
+     * @param {Array} array - array to shuffle
+     * @param {{next: function(): number}} random - random number generator
+     * @returns {Array} - the same array, shuffled
+     */
+    function shuffle(array, random) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            const temp = array[i];
+            array[i] = array[j];
+            array[j] = temp;
+        }
+        return array;
+    }
+
+    /**
+     * Probability of infection after ingesting a dose of Vibrio cells (beta-Poisson dose-response curve)
+     * @param {number} dose - ingested cells
+     * @param {number} alpha - shape of the curve
+     * @param {number} n50 - dose infecting half of the exposed agents
+     * @returns {number} - infection probability between 0 and 1
+     */
+    function doseResponse(dose, alpha, n50) {
+        const beta = n50 / (Math.pow(2, 1 / alpha) - 1);
+        return 1 - Math.pow(1 + dose / beta, -alpha);
+    }
+
+    /**
+     * Contamination level of a waterbody for shading, 0 for clean water and 1 from `FULL_CONTAMINATION_CONCENTRATION` up
+     * logarithmic, so a single shedding visit is visible as well as a heavily contaminated waterbody
+     * @param {number} concentration - Vibrio concentration (cells/mL)
+     * @returns {number} - level between 0 and 1
+     */
+    function getContaminationLevel(concentration) {
+        return Math.min(1, Math.log10(1 + concentration) / Math.log10(1 + FULL_CONTAMINATION_CONCENTRATION));
+    }
+
+    /**
+     * Fill color of a waterbody, shading continuously from lightblue (clean) to darkblue with its Vibrio concentration
+     * @param {number} concentration - Vibrio concentration (cells/mL)
+     * @returns {string} - rgb color
+     */
+    function getWaterColor(concentration) {
+        const level = getContaminationLevel(concentration);
+
+        // interpolate between lightblue (173, 216, 230) and darkblue (0, 0, 139)
+        const red = Math.round(173 * (1 - level));
+        const green = Math.round(216 * (1 - level));
+        const blue = Math.round(230 - 91 * level);
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+
+    /**
+     * Names of the weekdays, Monday first
+     * @type {Array<string>}
+     * @constant
+     */
+    const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+    /**
+     * Labels relative to an agent, mapped to the registry prefix and the house they belong to
+     * 'visit' labels point at the house the agent visits today
+     * @type {Object<string, {prefix: string, isVisit: boolean}>}
+     * @constant
+     */
+    const AGENT_LOCATION_LABELS = {
+        house: {prefix: 'house', isVisit: false},
+        houseWater: {prefix: 'houseWater', isVisit: false},
+        houseLatrine: {prefix: 'houseLatrine', isVisit: false},
+        visitHouse: {prefix: 'house', isVisit: true},
+        visitWater: {prefix: 'houseWater', isVisit: true},
+        visitLatrine: {prefix: 'houseLatrine', isVisit: true}
+    };
+
+    /**
+     * Create a time manager counting whole simulated minutes
+     * Whole minutes avoid floating point drift, hour and day boundaries are always hit exactly
+     * @param {number} scheduleStartTime - Hour of the day the simulation starts at
+     * @param {number} [startWeekday] - weekday of day 1, 0 = Monday ... 6 = Sunday
+     * @returns {{scheduleStartTime: number, startWeekday: number, elapsedMinutes: number, currentDay: number}}
+     */
+    function createTimeManager(scheduleStartTime, startWeekday) {
+        return {
+            scheduleStartTime: scheduleStartTime,   // hour to start the day
+            startWeekday: startWeekday || 0,        // day 1 is a Monday unless told otherwise
+            elapsedMinutes: 0,                      // simulated minutes since the simulation started
+            currentDay: 0                           // initial simulation start at day 0
+        };
+    }
+
+    /**
+     * Get the minute of the day (0-1439) including the schedule start time
+     * @param {object} timeManager - the time manager object
+     * @returns {number} - minutes since midnight
+     */
+    function getMinuteOfDay(timeManager) {
+        return (timeManager.elapsedMinutes + timeManager.scheduleStartTime * 60) % (24 * 60);
+    }
+
+    /**
+     * Get Current hour of the day (0-23 hours)
+     * @param {object} timeManager - the time manager object
+     * @returns {number} - current hour in 24-hour format
+     */
+    function getCurrentHour(timeManager) {
+        return Math.floor(getMinuteOfDay(timeManager) / 60);
+    }
+
+    /**
+     * Get current day number, a new day starts at 00:00
+     * @param {object} timeManager - the time manager object
+     * @returns {number} - current day number
+     */
+    function getCurrentDay(timeManager) {
+        return Math.floor((timeManager.elapsedMinutes + timeManager.scheduleStartTime * 60) / (24 * 60)) + 1;
+    }
+
+    /**
+     * Get the weekday of the current day
+     * @param {object} timeManager - the time manager object
+     * @returns {number} - weekday, 0 = Monday ... 6 = Sunday
+     */
+    function getWeekday(timeManager) {
+        return (timeManager.startWeekday + getCurrentDay(timeManager) - 1) % 7;
+    }
+
+    /**
+     * Get the name of the current weekday for display
+     * @param {object} timeManager - the time manager object
+     * @returns {string} - weekday name, e.g. 'Monday'
+     */
+    function getWeekdayName(timeManager) {
+        return WEEKDAY_NAMES[getWeekday(timeManager)];
+    }
+
+    /**
+     * Check if the current day is a Saturday or a Sunday
+     * @param {object} timeManager - the time manager object
+     * @returns {boolean} - true on weekends
+     */
+    function isWeekend(timeManager) {
+        return getWeekday(timeManager) >= 5;
+    }
+
+    /**
+     * Advance the time manager by a number of whole simulated minutes
+     * @param {object} timeManager - the time manager object
+     * @param {number} minutes - simulated minutes to add
+     * @returns {void}
+     */
+    function updateTimeManager(timeManager, minutes) {
+        timeManager.elapsedMinutes += minutes;
+        timeManager.currentDay = getCurrentDay(timeManager);        // update the property for current day
+    }
+
+    /**
+     * reset the time manager to initial state
+     * @param {object} timeManager - the time manager object
+     * @returns {void}
+     */
+    function resetTimeManager(timeManager) {
+        timeManager.elapsedMinutes = 0;
+        timeManager.currentDay = 0;
+    }
+
+    /**
+     * get Formatted time string (HH:MM) for display
+     * @param {object} timeManager - the time manager object
+     * @returns {string} - formatted time string
+     */
+    function getTimeString(timeManager) {
+        const minuteOfDay = getMinuteOfDay(timeManager);
+        const hour = Math.floor(minuteOfDay / 60);
+        const minute = minuteOfDay % 60;
+        return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Position of an agent between the last two ticks, for smooth rendering between fixed ticks
+     * @param {{x: number, y: number, previousX: number, previousY: number}} agent - the agent to draw
+     * @param {number} alpha - fraction of the next tick already collected (`getState().interpolation`)
+     * @returns {{x: number, y: number}} - position to draw the agent at
+     */
+    function interpolatePosition(agent, alpha) {
+        return {
+            x: agent.previousX + (agent.x - agent.previousX) * alpha,
+            y: agent.previousY + (agent.y - agent.previousY) * alpha
+        };
+    }
+
+    /**
+     * Generate agent position around each waterbody in circle
+     * @param {number} centerX - X coordinate of the circle centre
+     * @param {number} centerY - Y coordinate of the circle centre
+     * @param {number} radius - circle radius
+     * @param {number} count - number of positions
+     * @returns {Array<{x: number, y: number}>} Array of agent positions
+     */
+    function generateAgentPositions(centerX, centerY, radius, count) {
+        const positions = [];
+        const angleStep = (2 * Math.PI) / count;    // calculate angle step based on count, to space out agent between angle. the output is in radian
+
+        for (let i = 0; i < count; i++) {
+            const angle = i * angleStep;          // calculate angle for current agent
+            positions.push({
+                x: centerX + radius * Math.cos(angle), // calculate x position
+                y: centerY + radius * Math.sin(angle), // calculate y position
+            });
+        }
+        return positions;       // return array of positions
+    }
+
+    /**
+     * Default community centres of sim5, spread over the world
+     * @param {number} width - world width
+     * @param {number} height - world height
+     * @returns {Array<{x: number, y: number}>}
+     */
+    function getDefaultCommunityPositions(width, height) {
+        return [
+            {x: width * 2 / 4, y: height * 3 / 6},               //position 1
+            {x: width * 3 / 8, y: height * 1 / 6},               //position 2
+            {x: width * 5 / 8, y: height * 1 / 6},               //position 3
+            {x: width * 1 / 8, y: height * 3 / 6},               //position 4
+            {x: width * 7 / 8, y: height * 3 / 6},               //position 5
+            {x: width * 1 / 4, y: height * 5 / 6},               //position 6
+            {x: width * 3 / 4, y: height * 5 / 6},               //position 7
+        ];
+    }
+
+    /**
+     * Gravity-model mobility between communities
+     * the flow from i to j grows with both sizes and falls with the squared distance, so the daily probability
+     * that one resident of i visits j grows with the size of j only; staying home is what is left of each row.
+     * The matrix is scaled so residents of the best connected community travel on `maxDailyTravel` of the days
+     * @param {Array<{x: number, y: number}>} positions - community centres
+     * @param {Array<number>} sizes - number of residents of each community
+     * @param {number} maxDailyTravel - daily probability to travel of the best connected community (0-1)
+     * @returns {Array<Array<number>>} - daily visit probability from community i (row) to community j (column)
+     */
+    function getGravityMobilityMatrix(positions, sizes, maxDailyTravel) {
+        const attraction = positions.map((from, i) => positions.map((to, j) => {
+            if (i === j) return 0;                  // staying in the own community is not a visit
+            return sizes[j] / Math.pow(Math.hypot(to.x - from.x, to.y - from.y), 2);
+        }));
+
+        const maxRowSum = Math.max(0, ...attraction.map(row => row.reduce((sum, value) => sum + value, 0)));
+        return attraction.map(row => row.map(value => maxRowSum > 0 ? value * maxDailyTravel / maxRowSum : 0));
+    }
+
+    /**
+     * Version of the scenario format written by `createScenario`, files of other versions are refused
+     * @type {number}
+     * @constant
+     */
+    const SCENARIO_VERSION = 1;
+
+    /**
+     * Version of the snapshot format written by `getSnapshot`, files of other versions are refused
+     * @type {number}
+     * @constant
+     */
+    const SNAPSHOT_VERSION = 1;
+
+    /**
+     * Runtime objects of a snapshot, restored onto the objects of the rebuilt world so the location registry keeps pointing at them
+     * single objects are null in the layout that does not use them
+     * @type {{lists: Array<string>, objects: Array<string>}}
+     * @constant
+     */
+    const SNAPSHOT_WORLD_OBJECTS = {
+        lists: ['agents', 'houses', 'houseWaterBodies', 'houseLatrines', 'extraWaterBodies', 'communities', 'waterbodies', 'latrines'],
+        objects: ['schoolWaterBody', 'marketWaterBody', 'schoolLatrine']
+    };
+
+    /**
+     * Sections of a scenario file, listing the config keys each holds with the type of their value
+     * types ending in '?' also accept null, see `SCENARIO_VALUE_CHECKS`
+     * @type {Object<string, Object<string, string>>}
+     * @constant
+     */
+    const SCENARIO_SCHEMA = {
+        locations: {
+            width: 'number',
+            height: 'number',
+            housePositions: 'positions',
+            extraLocations: 'places',
+            communityPositions: 'positions?',
+            communityRadius: 'number'
+        },
+        agents: {
+            activeAgentCount: 'integer',
+            agentsPerCommunity: 'integer',
+            agentSpeed: 'number',
+            initialInfected: 'indices',
+            itineraries: 'itineraries?',
+            mobilityMatrix: 'matrix?',
+            maxDailyTravelProbability: 'probability'
+        },
+        schedule: {
+            tickMinutes: 'number',
+            scheduleStartTime: 'hour',
+            startWeekday: 'weekday',
+            holidays: 'days',
+            weekendActivities: 'activities',
+            schoolStart: 'hour',
+            schoolEnd: 'hour',
+            bathroomSlots: 'bathroomSlots'
+        },
+        disease: {
+            sheddingPerVisit: 'number',
+            dailyDecayRate: 'probability',
+            dailyDilutionRate: 'probability',
+            ingestedVolume: 'number',
+            doseResponseAlpha: 'number',
+            doseResponseN50: 'number',
+            contaminationConcentration: 'number',
+            initialConcentration: 'number',
+            initiallyContaminated: 'indices',
+            houseInfectionDelay: 'number',
+            minIncubationHours: 'number',
+            maxIncubationHours: 'number',
+            asymptomaticRate: 'percentage',
+            infectionDuration: 'number',
+            recoveryDuration: 'number',
+            serialIntervalMeanDays: 'number',
+            serialIntervalSdDays: 'number',
+            rtWindowDays: 'integer'
+        },
+        interventions: {
+            vaccinationCoverage: 'percentage',
+            vaccinationEffectiveness: 'percentage',
+            rapidTestCoverage: 'percentage',
+            rapidTestSensitivity: 'percentage',
+            rapidTestHour: 'hour',
+            isolationDuration: 'number',
+            closeSchool: 'boolean',
+            schoolClosureDays: 'days',
+            closeSchoolOnContamination: 'boolean',
+            schoolClosureCaseThreshold: 'integer',
+            chlorinateSchoolWater: 'boolean',
+            chlorinationCoverage: 'percentage',
+            chlorinationEfficacy: 'percentage',
+            chlorinationDuration: 'number',
+            chlorinationRedoseInterval: 'number',
+            latrineCoverage: 'percentage',
+            latrineLeakRate: 'percentage',
+            closedCommunityId: 'integer?',
+            closureStartDay: 'integer',
+            mobilityReduction: 'percentage',
+            autoClosureThreshold: 'integer'
+        }
+    };
+
+    /**
+     * Whether a value is a finite number
+     * @param {*} value - value to check
+     * @returns {boolean}
+     */
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    /**
+     * Whether a value is a whole number between min and max
+     * @param {*} value - value to check
+     * @param {number} min - smallest allowed value
+     * @param {number} max - largest allowed value
+     * @returns {boolean}
+     */
+    function isIntegerBetween(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    /**
+     * Whether a value is a plain object (not null and not an array)
+     * @param {*} value - value to check
+     * @returns {boolean}
+     */
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Checks of the value types of a scenario, each returns what was expected when the value does not fit, null otherwise
+     * @type {Object<string, function(*): string|null>}
+     * @constant
+     */
+    const SCENARIO_VALUE_CHECKS = {
+        number: value => isFiniteNumber(value) && value >= 0 ? null : 'a number of at least 0',
+        integer: value => isIntegerBetween(value, 0, Infinity) ? null : 'a whole number of at least 0',
+        percentage: value => isFiniteNumber(value) && value >= 0 && value <= 100 ? null : 'a percentage between 0 and 100',
+        probability: value => isFiniteNumber(value) && value >= 0 && value <= 1 ? null : 'a probability between 0 and 1',
+        hour: value => isIntegerBetween(value, 0, 24) ? null : 'a whole hour between 0 and 24',
+        weekday: value => isIntegerBetween(value, 0, 6) ? null : 'a weekday between 0 (Monday) and 6 (Sunday)',
+        boolean: value => typeof value === 'boolean' ? null : 'true or false',
+        days: value => Array.isArray(value) && value.every(day => isIntegerBetween(day, 1, Infinity))
+            ? null : 'a list of days counting from 1, like [3, 4, 5]',
+        indices: value => Array.isArray(value) && value.every(index => isIntegerBetween(index, 0, Infinity))
+            ? null : 'a list of indices counting from 0, like [1, 2]',
+        positions: value => Array.isArray(value) && value.length > 0
+            && value.every(pos => isPlainObject(pos) && isFiniteNumber(pos.x) && isFiniteNumber(pos.y))
+            ? null : 'a list of positions like [{"x": 150, "y": 100}]',
+        places: value => Array.isArray(value) && value.every(place => isPlainObject(place)
+            && typeof place.id === 'string' && place.id !== '' && typeof place.name === 'string'
+            && isFiniteNumber(place.x) && isFiniteNumber(place.y) && typeof place.hasWater === 'boolean')
+            ? null : 'a list of places like [{"id": "well", "name": "Well", "x": 40, "y": 370, "hasWater": true}]',
+        itineraries: value => Array.isArray(value) && value.every(itinerary => itinerary === null || (Array.isArray(itinerary)
+            && itinerary.every(entry => isPlainObject(entry) && isIntegerBetween(entry.startHour, 0, 24)
+                && isIntegerBetween(entry.endHour, 0, 24) && typeof entry.locationId === 'string')))
+            ? null : 'a list with one itinerary per agent (or null), like [[{"startHour": 8, "endHour": 17, "locationId": "school"}]]',
+        matrix: value => Array.isArray(value) && value.every(row => Array.isArray(row) && row.length === value.length
+            && row.every(probability => isFiniteNumber(probability) && probability >= 0 && probability <= 1))
+            ? null : 'a square table of probabilities between 0 and 1, one row per community',
+        activities: value => isPlainObject(value) && ['home', 'market', 'visit'].every(key => isFiniteNumber(value[key]) && value[key] >= 0)
+            ? null : 'an object like {"home": 50, "market": 30, "visit": 20}',
+        bathroomSlots: value => isPlainObject(value) && ['school', 'house', 'community'].every(key => Array.isArray(value[key])
+            && value[key].length > 0 && value[key].every(hour => isIntegerBetween(hour, 0, 23)))
+            ? null : 'an object with lists of hours (0-23) for "school", "house" and "community"'
+    };
+
+    /**
+     * Ids of the places every school layout registers itself, extra places cannot use them
+     * @param {string} id - id of an extra place
+     * @returns {boolean}
+     */
+    function isBuiltInLocationId(id) {
+        return ['school', 'schoolWater', 'schoolLatrine', 'market', 'marketWater', 'house'].includes(id)
+            || /^house(Water|Latrine)?-\d+$/.test(id);
+    }
+
+    /**
+     * Write the setup of a simulation as a scenario: layout, seed and one section per part of the config
+     * @param {object} config - config of a simulation
+     * @returns {object} - scenario that `JSON.stringify` turns into a scenario file
+     */
+    function createScenario(config) {
+        const scenario = {version: SCENARIO_VERSION, layout: config.layout, seed: config.seed};
+
+        Object.keys(SCENARIO_SCHEMA).forEach((section) => {
+            scenario[section] = {};
+            Object.keys(SCENARIO_SCHEMA[section]).forEach((key) => {
+                // copy so the scenario does not change with the simulation
+                scenario[section][key] = JSON.parse(JSON.stringify(config[key]));
+            });
+        });
+
+        return scenario;
+    }
+
+    /**
+     * Check a parsed scenario file against the scenario format
+     * every section and setting is optional, missing settings keep their default
+     * @param {*} scenario - parsed scenario file
+     * @returns {Array<string>} - readable description of every problem, empty when the scenario is valid
+     */
+    function validateScenario(scenario) {
+        if (!isPlainObject(scenario)) return ['The scenario file does not hold a scenario object.'];
+
+        const errors = [];
+
+        if (scenario.version !== SCENARIO_VERSION) {
+            errors.push(`Unsupported scenario version ${JSON.stringify(scenario.version)}, this page reads version ${SCENARIO_VERSION}.`);
+        }
+        if (scenario.layout !== 'school' && scenario.layout !== 'communities') {
+            errors.push(`"layout" should be "school" or "communities", got ${JSON.stringify(scenario.layout)}.`);
+        }
+        if (scenario.seed !== undefined && scenario.seed !== null && !isIntegerBetween(scenario.seed, 0, 4294967295)) {
+            errors.push(`"seed" should be null or a whole number between 0 and 4294967295, got ${JSON.stringify(scenario.seed)}.`);
+        }
+
+        Object.keys(scenario).forEach((section) => {
+            if (['version', 'layout', 'seed'].includes(section)) return;
+
+            if (!SCENARIO_SCHEMA[section]) {
+                errors.push(`Unknown section "${section}", expected ${Object.keys(SCENARIO_SCHEMA).map(name => `"${name}"`).join(', ')}.`);
+                return;
+            }
+            if (!isPlainObject(scenario[section])) {
+                errors.push(`Section "${section}" should be an object.`);
+                return;
+            }
+
+            Object.keys(scenario[section]).forEach((key) => {
+                const type = SCENARIO_SCHEMA[section][key];
+                if (!type) {
+                    errors.push(`Unknown setting "${section}.${key}".`);
+                    return;
+                }
+
+                const value = scenario[section][key];
+                if (type.endsWith('?') && value === null) return;
+
+                const expected = SCENARIO_VALUE_CHECKS[type.replace('?', '')](value);
+                if (expected) {
+                    errors.push(`"${section}.${key}" should be ${expected}, got ${JSON.stringify(value)}.`);
+                }
+            });
+        });
+
+        // settings depending on each other, only checked once every value has the right type
+        if (errors.length > 0) return errors;
+
+        const config = Object.assign({}, DEFAULT_CONFIG, scenarioToConfig(scenario));
+        const communityCount = (config.communityPositions || getDefaultCommunityPositions(config.width, config.height)).length;
+
+        if (config.schoolStart >= config.schoolEnd) {
+            errors.push('"schedule.schoolStart" should be earlier than "schedule.schoolEnd".');
+        }
+        if (config.minIncubationHours > config.maxIncubationHours) {
+            errors.push('"disease.minIncubationHours" should not be longer than "disease.maxIncubationHours".');
+        }
+        if (config.serialIntervalMeanDays === 0 || config.serialIntervalSdDays === 0 || config.rtWindowDays === 0) {
+            errors.push('"disease.serialIntervalMeanDays", "disease.serialIntervalSdDays" and "disease.rtWindowDays" should be more than 0.');
+        }
+        if (config.activeAgentCount > config.housePositions.length) {
+            errors.push(`"agents.activeAgentCount" should be at most the ${config.housePositions.length} houses of "locations.housePositions".`);
+        }
+        if (config.initialInfected.some(index => index >= config.housePositions.length)) {
+            errors.push(`"agents.initialInfected" should only list agents 0 to ${config.housePositions.length - 1}, one per house.`);
+        }
+        if (config.itineraries && config.itineraries.length > config.housePositions.length) {
+            errors.push(`"agents.itineraries" should have at most one itinerary per house (${config.housePositions.length}).`);
+        }
+        if (config.mobilityMatrix && config.mobilityMatrix.length !== communityCount) {
+            errors.push(`"agents.mobilityMatrix" should have one row per community (${communityCount}).`);
+        }
+        if (config.initiallyContaminated.some(index => index >= communityCount)) {
+            errors.push(`"disease.initiallyContaminated" should only list communities 0 to ${communityCount - 1}.`);
+        }
+        if (config.closedCommunityId !== null && config.closedCommunityId >= communityCount) {
+            errors.push(`"interventions.closedCommunityId" should be null or a community from 0 to ${communityCount - 1}.`);
+        }
+
+        const placeIds = config.extraLocations.map(place => place.id);
+        placeIds.forEach((id, index) => {
+            if (isBuiltInLocationId(id)) {
+                errors.push(`"locations.extraLocations" cannot use the id "${id}", it names a built-in place.`);
+            } else if (placeIds.indexOf(id) !== index) {
+                errors.push(`"locations.extraLocations" uses the id "${id}" more than once.`);
+            }
+        });
+
+        // itineraries can send agents home or to a destination of the registry, like `setAgentItinerary`
+        const destinationIds = ['house', 'school', 'market'].concat(placeIds);
+        const unknownDestinations = {};
+        (config.itineraries || []).forEach((itinerary, agentIndex) => {
+            (itinerary || []).forEach((entry) => {
+                if (destinationIds.includes(entry.locationId)) return;
+                unknownDestinations[entry.locationId] = (unknownDestinations[entry.locationId] || []).concat(agentIndex);
+            });
+        });
+        Object.keys(unknownDestinations).forEach((id) => {
+            const agentIndices = [...new Set(unknownDestinations[id])];
+            errors.push(`"agents.itineraries" sends agent${agentIndices.length > 1 ? 's' : ''} ${agentIndices.join(', ')} to the unknown place "${id}", `
+                + `use "house", "school", "market" or an id of "locations.extraLocations" (${placeIds.join(', ') || 'none'}).`);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Flatten the sections of a valid scenario into config overrides
+     * @param {object} scenario - scenario that passed `validateScenario`
+     * @returns {object} - config keys set by the scenario, copied
+     */
+    function scenarioToConfig(scenario) {
+        const overrides = {};
+
+        Object.keys(SCENARIO_SCHEMA).forEach((section) => {
+            Object.keys(scenario[section] || {}).forEach((key) => {
+                overrides[key] = JSON.parse(JSON.stringify(scenario[section][key]));
+            });
+        });
+
+        return overrides;
+    }
+
+    /**
+     * Create a new simulation
+     * @param {object} [userConfig] - overrides for `DEFAULT_CONFIG`
+     * @returns {{step: function(number): void, runFor: function(number): void, skipToNextDay: function(): void,
+     *     getState: function(): object, reset: function(): void,
+     *     setActiveAgentCount: function(number): void, setVaccinationCoverage: function(number): void,
+     *     setRapidTestCoverage: function(number): void, setAsymptomaticRate: function(number): void,
+     *     setSchoolChlorination: function(boolean): void, setChlorinationCoverage: function(number): void,
+     *     setChlorinationEfficacy: function(number): void, setLatrineCoverage: function(number): void,
+     *     setSchoolClosure: function(boolean): void, setSchoolClosureDays: function(Array<number>): void,
+     *     setReactiveSchoolClosure: function(boolean, number): void, setHolidays: function(Array<number>): void,
+     *     setAgentItinerary: function(number, Array<object>|null): void,
+     *     setAgentsPerCommunity: function(number): void, setMobilityProbability: function(number, number, number): void,
+     *     resetMobilityMatrix: function(): void, setCommunityClosure: function(number|null, number): void,
+     *     setMobilityReduction: function(number): void, setAutoClosureThreshold: function(number): void,
+     *     setSeed: function(number): void, getScenario: function(): object, loadScenario: function(object): Array<string>,
+     *     getSnapshot: function(): object, restoreSnapshot: function(object): Array<string>,
+     *     config: object}}
+     */
+    function createSimulation(userConfig) {
+        const config = Object.assign({}, DEFAULT_CONFIG, userConfig);
+        config.seed = config.seed === null || config.seed === undefined ? createRandomSeed() : config.seed >>> 0;
+
+        /**
+         * Random number generator used by every decision taken while the simulation runs
+         * re-seeded by `reset()` so each run from the same seed is identical
+         * @type {{next: function(): number, getState: function(): number, setState: function(number): void}}
+         */
+        const random = createRandom(deriveSeed(config.seed, RANDOM_STREAMS.run));
+
+        /**
+         * Time manager of this simulation
+         * @type {{scheduleStartTime: number, startWeekday: number, elapsedMinutes: number, currentDay: number}}
+         */
+        const timeManager = createTimeManager(config.scheduleStartTime, config.startWeekday);
+
+        /**
+         * Simulated minutes collected by `step()` but not yet simulated, always less than one tick
+         * @type {number}
+         */
+        let accumulatedMinutes = 0;
+
+        /**
+         * Tracks current day to detect day changes
+         * @type {number}
+         */
+        let previousDay = 0;
+
+        /**
+         * track if rapid test has been performed that day
+         * @type {boolean}
+         */
+        let hasPerformedRapidTestToday = false;
+
+        /**
+         * whether the school is closed today, agents then stay at home during school hours (school layout)
+         * @type {boolean}
+         */
+        let isSchoolClosed = false;
+
+        /**
+         * days on which the school was closed so far
+         * @type {Array<number>}
+         */
+        let closedSchoolDays = [];
+
+        /**
+         * whether today is a school day, weekends and holidays have no school (school layout)
+         * @type {boolean}
+         */
+        let isSchoolDay = true;
+
+        /**
+         * School location at the center of the world (school layout)
+         * @type {{x: number, y: number}|null}
+         */
+        let school = null;
+
+        /**
+         * School water body shared by all agents (school layout)
+         * @type {{x: number, y: number, id: string, concentration: number, isContaminated: boolean, infectedVisitCount: number,
+         *     contributions: Object<number, number>, isTreated: boolean, isChlorinated: boolean, lastDoseMinute: number|null}|null}
+         */
+        let schoolWaterBody = null;
+
+        /**
+         * Houses, one per agent (school layout)
+         * @type {Array<{x: number, y: number, isInfected: boolean, id: number}>}
+         */
+        let houses = [];
+
+        /**
+         * House water bodies, offset to the left or right of each house (school layout)
+         * @type {Array<{x: number, y: number, concentration: number, isContaminated: boolean, infectedVisitCount: number, contaminatedTime: number, houseId: number,
+         *     isTreated: boolean, isChlorinated: boolean, lastDoseMinute: number|null}>}
+         * @property {number} contaminatedTime - Simulated hours since contamination
+         * @property {boolean} isTreated - Part of the chlorination programme
+         * @property {boolean} isChlorinated - The last dose of chlorine is still working
+         * @property {number|null} lastDoseMinute - `elapsedMinutes` of the last dose of chlorine
+         */
+        let houseWaterBodies = [];
+
+        /**
+         * School latrine, used by agents with a household latrine while at school (school layout)
+         * @type {{x: number, y: number, useCount: number, leakCount: number}|null}
+         */
+        let schoolLatrine = null;
+
+        /**
+         * Market visited on days without school, between the school and the northern houses (school layout)
+         * @type {{x: number, y: number}|null}
+         */
+        let market = null;
+
+        /**
+         * Water point of the market, shared by everyone at the market (school layout)
+         * @type {{x: number, y: number, id: string, concentration: number, isContaminated: boolean, infectedVisitCount: number,
+         *     contributions: Object<number, number>}|null}
+         */
+        let marketWaterBody = null;
+
+        /**
+         * One latrine next to each house, used when the agent of the house has a latrine (school layout)
+         * @type {Array<{x: number, y: number, houseId: number, useCount: number, leakCount: number}>}
+         */
+        let houseLatrines = [];
+
+        /**
+         * Water points of the extra locations with `hasWater` (school layout)
+         * @type {Array<{x: number, y: number, id: string, locationId: string, concentration: number, isContaminated: boolean, infectedVisitCount: number,
+         *     contributions: Object<number, number>}>}
+         */
+        let extraWaterBodies = [];
+
+        /**
+         * Every named place of the school layout keyed by its id, see `buildLocationRegistry`
+         * @type {Object<string, {id: string, name: string, x: number, y: number, isDestination: boolean, isExtra: boolean,
+         *     waterId: string|null, waterbody: object|null, latrine: object|null}>}
+         */
+        let locations = {};
+
+        /**
+         * Community centres (communities layout), closed communities allow no travel in or out
+         * @type {Array<{x: number, y: number, id: number, isClosed: boolean, closedSinceDay: number|null}>}
+         */
+        let communities = [];
+
+        /**
+         * One waterbody per community (communities layout)
+         * @type {Array<{x: number, y: number, id: string, communityId: number, concentration: number, isContaminated: boolean, infectedVisitCount: number,
+         *     contributions: Object<number, number>}>}
+         */
+        let waterbodies = [];
+
+        /**
+         * One latrine per community, next to its waterbody (communities layout)
+         * @type {Array<{x: number, y: number, communityId: number, useCount: number, leakCount: number}>}
+         */
+        let latrines = [];
+
+        /**
+         * Daily probability that a resident of community i (row) visits community j (column) (communities layout)
+         * @type {Array<Array<number>>}
+         */
+        let mobilityMatrix = [];
+
+        /**
+         * All agents of the simulation
+         * @type {Array<object>}
+         */
+        let agents = [];
+
+        /**
+         * Agent counts per simulated day, `history[day - 1]` holds the counts of that day
+         * The entry of the current day follows the simulation every tick, entries of past days hold the counts at the end of that day
+         * @type {Array<{day: number, susceptible: number, exposed: number, infected: number, recovered: number, asymptomatic: number, vaccinated: number, isolated: number}>}
+         */
+        let history = [];
+
+        /**
+         * Every infection of this run in the order they happened, the agents infected at the start included
+         * `waterbodyId` is the waterbody the agent drank from, null for the agents infected at the start.
+         * `sources` are the agents whose shed Vibrio was still in that water, with their share of its concentration,
+         * the rest of the concentration came from the initial contamination
+         * @type {Array<{minute: number, day: number, agentIndex: number, waterbodyId: string|null, sources: Array<{agentIndex: number, share: number}>}>}
+         */
+        let infectionEvents = [];
+
+        /**
+         * Every infected visit shedding into a waterbody of this run, directly or through a leaking latrine, in the order they happened
+         * together with `infectionEvents` the provenance of each contamination and of the infections that followed it
+         * @type {Array<{minute: number, day: number, agentIndex: number, waterbodyId: string, amount: number}>}
+         */
+        let contaminationEvents = [];
+
+        /**
+         * Last transmission tree built by `getTransmissionTree`, built again only once new events came in
+         * @type {{infectionEvents: Array<object>|null, infectionCount: number, contaminationCount: number, tree: object|null}}
+         */
+        let transmissionTreeCache = {infectionEvents: null, infectionCount: 0, contaminationCount: 0, tree: null};
+
+        // build the world for the chosen layout
+        if (config.layout === 'communities') {
+            buildCommunityWorld();
+        } else {
+            buildSchoolWorld();
+        }
+
+        /**
+         * Build school, houses, waterbodies and one agent per house (school layout)
+         * Agent properties:
+         * - speed: movement speed in pixels per simulated hour
+         * - previousX / previousY: position at the previous tick, used to interpolate rendering
+         * - currentLocation / targetLocation: location ids of the registry, or labels relative to the agent ('house', 'visitWater', ...),
+         *   see `resolveItinerary`
+         * - itinerary: time-windowed daily schedule, see `getAgentItinerary`
+         * - scheduledLocation: where the itinerary puts the agent at the current hour
+         * - isExposed, incubationEndMinute: incubation state, symptoms start once `elapsedMinutes` reaches incubationEndMinute
+         * - isInfected, infectionStartDay, isRecovered, recoveryStartDay: infection state
+         * - isAsymptomatic: infected agent without symptoms, sheds like any infected agent but is never tested
+         * - isActive: whether agent is visible/active (controlled by slider)
+         * - isAtSchool: whether agent is currently at school (vs at home)
+         * - schoolBathroomHour, houseBathroomHour: daily assigned bathroom hours
+         * - hasVisitedSchoolBathroomToday, hasVisitedHouseBathroomToday, isTravelingToBathroom: bathroom state
+         * - isVaccinated, isTested, isIsolated, isolationStartDay, isolationEndDay, hasLatrine: intervention state
+         * @returns {void}
+         */
+        function buildSchoolWorld() {
+            school = {x: config.width / 2, y: config.height / 2};
+
+            schoolWaterBody = {
+                x: school.x,
+                y: school.y + 60,
+                id: 'schoolWater',              // id of the waterbody in the location registry and in infection events
+                concentration: 0,               // Vibrio concentration (cells/mL)
+                isContaminated: false,          // concentration at or above `config.contaminationConcentration`
+                infectedVisitCount: 0,          // track number of infected agent visit to the waterbody
+                contributions: {},              // Vibrio concentration (cells/mL) still left of the shedding of each agent, by agent index
+                isTreated: false,               // part of the chlorination programme
+                isChlorinated: false,           // the last dose of chlorine is still working
+                lastDoseMinute: null            // `elapsedMinutes` of the last dose of chlorine
+            };
+
+            houses = config.housePositions.map((pos, index) => ({
+                x: pos.x,
+                y: pos.y,
+                isInfected: false,
+                id: index
+            }));
+
+            houseWaterBodies = houses.map((house, index) => ({
+                x: house.x > config.width / 2 ? house.x + 60 : house.x - 60,
+                y: house.y,
+                id: `houseWater-${index}`,
+                concentration: 0,
+                isContaminated: false,
+                infectedVisitCount: 0,
+                contributions: {},
+                contaminatedTime: 0,
+                houseId: index,
+                isTreated: false,
+                isChlorinated: false,
+                lastDoseMinute: null
+            }));
+
+            market = {x: school.x, y: school.y - 90};
+
+            marketWaterBody = {
+                x: market.x + 50,
+                y: market.y,
+                id: 'marketWater',
+                concentration: 0,
+                isContaminated: false,
+                infectedVisitCount: 0,
+                contributions: {}
+            };
+
+            // latrine between the school and its waterbody, house latrines on the other side of the house than its waterbody
+            schoolLatrine = {x: school.x - 50, y: school.y + 50, useCount: 0, leakCount: 0};
+
+            houseLatrines = houses.map((house, index) => ({
+                x: house.x > config.width / 2 ? house.x - 35 : house.x + 35,
+                y: house.y,
+                houseId: index,
+                useCount: 0,
+                leakCount: 0
+            }));
+
+            extraWaterBodies = config.extraLocations.filter(place => place.hasWater).map(place => ({
+                x: place.x,
+                y: place.y,
+                id: place.id,
+                locationId: place.id,
+                concentration: 0,
+                isContaminated: false,
+                infectedVisitCount: 0,
+                contributions: {}
+            }));
+
+            agents = houses.map((house, index) => ({
+                x: house.x + 10,
+                y: house.y + 10,
+                previousX: house.x + 10,
+                previousY: house.y + 10,
+                speed: config.agentSpeed,
+                currentLocation: 'house',
+                targetLocation: 'house',
+                isExposed: false,
+                incubationEndMinute: null,
+                isInfected: false,
+                isAsymptomatic: false,
+                infectionStartDay: null,
+                isRecovered: false,
+                recoveryStartDay: 0,
+                infectionCount: 0,              // infections of this agent in this run, the initial one and reinfections included
+                houseId: index,
+                isActive: index < config.activeAgentCount,
+                isAtSchool: false,
+                isAwayFromHome: false,          // at school, at the market or visiting during the day
+                dayLocation: 'school',          // where the agent spends school hours today: 'school', 'house', 'market' or 'visitHouse'
+                visitHouseIndex: null,          // house visited today when `dayLocation` is 'visitHouse'
+                itinerary: getAgentItinerary(index),
+                scheduledLocation: 'house',
+                schoolBathroomHour: null,
+                houseBathroomHour: null,
+                hasVisitedSchoolBathroomToday: false,
+                hasVisitedHouseBathroomToday: false,
+                isTravelingToBathroom: false,
+                isVaccinated: false,
+                isTested: false,
+                isIsolated: false,
+                isolationStartDay: 0,
+                isolationEndDay: 0,
+                hasLatrine: false
+            }));
+
+            buildLocationRegistry();
+        }
+
+        /**
+         * Register every named place of the school layout under its id
+         * houses, their waterbodies and latrines are registered as 'house-<index>', 'houseWater-<index>' and 'houseLatrine-<index>'.
+         * Destinations are the places an itinerary can send an agent to, `waterId` is the water point used there during the
+         * school hours bathroom slot (null when the place has none)
+         * @returns {void}
+         */
+        function buildLocationRegistry() {
+            locations = {};
+
+            function register(id, name, position, details) {
+                locations[id] = Object.assign({
+                    id: id,
+                    name: name,
+                    x: position.x,
+                    y: position.y,
+                    isDestination: false,
+                    isExtra: false,
+                    waterId: null,
+                    waterbody: null,
+                    latrine: null
+                }, details);
+            }
+
+            register('school', 'School', school, {isDestination: true, waterId: 'schoolWater'});
+            register('schoolWater', 'School water', schoolWaterBody, {waterId: 'schoolWater', waterbody: schoolWaterBody});
+            register('schoolLatrine', 'School latrine', schoolLatrine, {latrine: schoolLatrine});
+            register('market', 'Market', market, {isDestination: true, waterId: 'marketWater'});
+            register('marketWater', 'Market water', marketWaterBody, {waterId: 'marketWater', waterbody: marketWaterBody});
+
+            houses.forEach((house, index) => {
+                register(`house-${index}`, `House ${index + 1}`, house, {waterId: `houseWater-${index}`});
+                register(`houseWater-${index}`, `House ${index + 1} water`, houseWaterBodies[index],
+                    {waterId: `houseWater-${index}`, waterbody: houseWaterBodies[index]});
+                register(`houseLatrine-${index}`, `House ${index + 1} latrine`, houseLatrines[index], {latrine: houseLatrines[index]});
+            });
+
+            config.extraLocations.forEach((place) => {
+                const waterbody = extraWaterBodies.find(extraWater => extraWater.locationId === place.id) || null;
+                register(place.id, place.name, place, {
+                    isDestination: true,
+                    isExtra: true,
+                    waterId: waterbody ? place.id : null,
+                    waterbody: waterbody
+                });
+            });
+        }
+
+        /**
+         * Default daily itinerary: school hours at school, the rest of the day at home
+         * @returns {Array<{startHour: number, endHour: number, locationId: string}>}
+         */
+        function getDefaultItinerary() {
+            return [{startHour: config.schoolStart, endHour: config.schoolEnd, locationId: 'school'}];
+        }
+
+        /**
+         * Daily itinerary of an agent, from `config.itineraries` or the default school day
+         * Each entry sends the agent to a destination of the registry from `startHour` until `endHour` (0-24),
+         * hours without an entry are spent at home. A 'school' entry follows the calendar: on days without school
+         * the agent spends it on its weekend activity, and at home while the school is closed
+         * @param {number} agentIndex - index of the agent
+         * @returns {Array<{startHour: number, endHour: number, locationId: string}>} - a copy sorted by start hour
+         */
+        function getAgentItinerary(agentIndex) {
+            const itinerary = (config.itineraries && config.itineraries[agentIndex]) || getDefaultItinerary();
+            return itinerary.map(entry => Object.assign({}, entry)).sort((a, b) => a.startHour - b.startHour);
+        }
+
+        /**
+         * Build communities, their waterbodies and the agents living around them (communities layout)
+         * @returns {void}
+         */
+        function buildCommunityWorld() {
+            const positions = config.communityPositions || getDefaultCommunityPositions(config.width, config.height);
+
+            communities = positions.map((pos, index) => ({x: pos.x, y: pos.y, id: index, isClosed: false, closedSinceDay: null}));
+
+            waterbodies = communities.map((community, index) => ({
+                x: community.x,
+                y: community.y,
+                id: `communityWater-${index}`,
+                communityId: index,
+                concentration: 0,
+                isContaminated: false,
+                infectedVisitCount: 0,
+                contributions: {}
+            }));
+
+            latrines = communities.map((community, index) => ({
+                x: community.x,
+                y: community.y - 25,
+                communityId: index,
+                useCount: 0,
+                leakCount: 0
+            }));
+
+            agents = [];
+            communities.forEach((community, communityIndex) => {
+                // generate positions for agents around the (single) community waterbody
+                const agentPositions = generateAgentPositions(community.x, community.y, config.communityRadius, config.agentsPerCommunity);
+
+                agentPositions.forEach((pos, agentIndex) => {
+                    agents.push({
+                        x: pos.x,               // agent starting x position
+                        y: pos.y,               // agent starting y position
+                        previousX: pos.x,       // agent position at the previous tick, for interpolation
+                        previousY: pos.y,
+                        houseX: pos.x,          // agent house x position
+                        houseY: pos.y,          // agent house y position
+                        communityId: communityIndex,
+                        agentId: agentIndex,    // agent index within community
+                        speed: config.agentSpeed,
+                        targetCommunityId: communityIndex,  // community visited today, drawn each day from the mobility matrix
+                        currentLocation: 'house',
+                        targetLocation: 'house',
+                        isExposed: false,
+                        incubationEndMinute: null,
+                        isInfected: false,
+                        isAsymptomatic: false,
+                        infectionStartDay: null,
+                        isRecovered: false,
+                        recoveryStartDay: 0,
+                        infectionCount: 0,
+                        isActive: true,
+                        isMobile: false,        // all agents are stationary at start
+                        bathroomHour: null,     // hour after which the agent uses the water of the community it reaches
+                        hasVisitedBathroomToday: false,
+                        isVaccinated: false,
+                        isTested: false,
+                        isIsolated: false,
+                        isolationStartDay: 0,
+                        isolationEndDay: 0,
+                        hasLatrine: false
+                    });
+                });
+            });
+
+            // an edited matrix survives a rebuild, otherwise follow the gravity model for the new sizes
+            mobilityMatrix = config.mobilityMatrix ? config.mobilityMatrix.map(row => row.slice()) : getDefaultMobilityMatrix();
+        }
+
+        /**
+         * Gravity-model mobility matrix of the current communities, all with `config.agentsPerCommunity` residents
+         * @returns {Array<Array<number>>}
+         */
+        function getDefaultMobilityMatrix() {
+            const sizes = communities.map(() => config.agentsPerCommunity);
+            return getGravityMobilityMatrix(communities, sizes, config.maxDailyTravelProbability);
+        }
+
+        /**
+         * Put agents, waterbodies, houses and time back to the initial state
+         * Agents listed in `config.initialInfected` start infected on day 1
+         * @returns {void}
+         */
+        function reset() {
+            random.setState(deriveSeed(config.seed, RANDOM_STREAMS.run));
+            resetTimeManager(timeManager);
+            accumulatedMinutes = 0;
+            previousDay = 0;
+            hasPerformedRapidTestToday = false;
+            isSchoolClosed = false;
+            closedSchoolDays = [];
+            isSchoolDay = true;
+            history = [];
+            infectionEvents = [];
+            contaminationEvents = [];
+
+            if (config.layout === 'communities') {
+                agents.forEach((agent) => {
+                    agent.x = agent.houseX;
+                    agent.y = agent.houseY;
+                    agent.previousX = agent.x;
+                    agent.previousY = agent.y;
+                    agent.currentLocation = 'house';
+                    agent.targetLocation = 'house';
+                    agent.targetCommunityId = agent.communityId;
+                    agent.isExposed = false;
+                    agent.incubationEndMinute = null;
+                    agent.isInfected = false;
+                    agent.isAsymptomatic = false;
+                    agent.infectionStartDay = null;
+                    agent.isRecovered = false;
+                    agent.recoveryStartDay = 0;
+                    agent.infectionCount = 0;
+                    agent.isActive = true;
+                    agent.isMobile = false;
+                    agent.bathroomHour = null;
+                    agent.hasVisitedBathroomToday = false;
+                    agent.isVaccinated = false;
+                    agent.isTested = false;
+                    agent.isIsolated = false;
+                    agent.isolationStartDay = 0;
+                    agent.isolationEndDay = 0;
+                });
+
+                communities.forEach((community) => {
+                    community.isClosed = false;
+                    community.closedSinceDay = null;
+                });
+
+                // the outbreak starts from the initially contaminated waterbodies, no agent is infected at the start
+                waterbodies.forEach((waterbody, index) => {
+                    waterbody.concentration = config.initiallyContaminated.includes(index) ? config.initialConcentration : 0;
+                    waterbody.infectedVisitCount = 0;
+                    waterbody.contributions = {};
+                    updateContaminationState(waterbody);
+                });
+
+                assignVaccination();
+                assignLatrines();
+                recordHistory();
+                return;
+            }
+
+            agents.forEach((agent, index) => {
+                const isInitiallyInfected = config.initialInfected.includes(index);
+
+                agent.x = houses[index].x + 10;
+                agent.y = houses[index].y + 10;
+                agent.previousX = agent.x;
+                agent.previousY = agent.y;
+                agent.currentLocation = 'house';
+                agent.targetLocation = 'house';
+                agent.isExposed = false;
+                agent.incubationEndMinute = null;
+                agent.isInfected = isInitiallyInfected;
+                agent.isAsymptomatic = false;                           // agents infected at the start show symptoms
+                agent.infectionStartDay = isInitiallyInfected ? 1 : null;
+                agent.isRecovered = false;
+                agent.recoveryStartDay = 0;
+                agent.infectionCount = isInitiallyInfected ? 1 : 0;
+                if (isInitiallyInfected) recordInfectionEvent(index, null);
+                agent.isAtSchool = false;
+                agent.isAwayFromHome = false;
+                agent.dayLocation = 'school';
+                agent.visitHouseIndex = null;
+                agent.itinerary = getAgentItinerary(index);
+                agent.scheduledLocation = 'house';
+                agent.schoolBathroomHour = null;
+                agent.houseBathroomHour = null;
+                agent.hasVisitedSchoolBathroomToday = false;
+                agent.hasVisitedHouseBathroomToday = false;
+                agent.isTravelingToBathroom = false;
+                agent.isVaccinated = false;
+                agent.isTested = false;
+                agent.isIsolated = false;
+                agent.isolationStartDay = 0;
+                agent.isolationEndDay = 0;
+            });
+
+            // reset  waterbody contamination state
+            schoolWaterBody.concentration = 0;
+            schoolWaterBody.isContaminated = false;
+            schoolWaterBody.infectedVisitCount = 0;
+            schoolWaterBody.contributions = {};
+            houseWaterBodies.forEach(waterBody => {
+                waterBody.concentration = 0;
+                waterBody.isContaminated = false;
+                waterBody.infectedVisitCount = 0;
+                waterBody.contributions = {};
+                waterBody.contaminatedTime = 0;
+            });
+            marketWaterBody.concentration = 0;
+            marketWaterBody.isContaminated = false;
+            marketWaterBody.infectedVisitCount = 0;
+            marketWaterBody.contributions = {};
+            extraWaterBodies.forEach(waterBody => {
+                waterBody.concentration = 0;
+                waterBody.isContaminated = false;
+                waterBody.infectedVisitCount = 0;
+                waterBody.contributions = {};
+            });
+
+            // reset house infection state
+            houses.forEach(house => {
+                house.isInfected = false;
+            });
+
+            // vaccinate, chlorinate and build latrines based on the current coverage
+            assignVaccination();
+            assignChlorination();
+            assignLatrines();
+
+            recordHistory();
+        }
+
+        /**
+         * Entry of an agent's itinerary covering the current hour
+         * @param {object} agent - the agent to check
+         * @param {number} currentHour - hour of the day (0-23)
+         * @returns {{startHour: number, endHour: number, locationId: string}|null} - null when the agent is due at home
+         */
+        function findItineraryEntry(agent, currentHour) {
+            return agent.itinerary.find(entry => currentHour >= entry.startHour && currentHour < entry.endHour) || null;
+        }
+
+        /**
+         * Determine agent's target location from its itinerary
+         * a 'school' entry sends the agent where it spends the school hours today, see `assignDailyActivities`
+         * @param {object} agent - The agent to check
+         * @returns {string} - Target Location label
+         */
+        function getAgentTargetLocation(agent) {
+            // inactive and isolated agents stay at home
+            if (!agent.isActive) return 'house';
+            if (agent.isIsolated) return 'house';
+
+            const entry = findItineraryEntry(agent, getCurrentHour(timeManager));
+
+            // at school, or at home, the market or another house on days without school
+            let targetLocation = 'house';
+            if (entry) {
+                targetLocation = entry.locationId === 'school' ? agent.dayLocation : entry.locationId;
+            }
+
+            agent.scheduledLocation = targetLocation;
+            agent.isAtSchool = (targetLocation === 'school');    // true when targetLocation is 'school', false otherwise
+            agent.isAwayFromHome = (targetLocation !== 'house');
+            return targetLocation;
+        }
+
+        /**
+         * Registry id of a location label for a specific agent
+         * @param {string} labelInput - registry id, or a label relative to the agent ('house', 'houseWater', 'houseLatrine',
+         *     'visitHouse', 'visitWater', 'visitLatrine')
+         * @param {number} agentIndex - Index of the agent in the agents array
+         * @returns {string} - id of the location in `locations`
+         */
+        function getLocationId(labelInput, agentIndex) {
+            const relativeLabel = AGENT_LOCATION_LABELS[labelInput];
+            if (!relativeLabel) return labelInput;
+
+            const houseIndex = relativeLabel.isVisit ? agents[agentIndex].visitHouseIndex : agentIndex;
+            return `${relativeLabel.prefix}-${houseIndex}`;
+        }
+
+        /**
+         * Resolves a location label to actual world coordinates for a specific agent
+         * @param {string} labelInput - registry id ('school', 'schoolWater', 'market', 'clinic', ...) or a label relative to the agent
+         * @param {number} agentIndex - Index of the agent in the agents array
+         * @returns {{x: number, y: number}} Coordinates of the requested location, the school for unknown labels
+         */
+        function resolveItinerary(labelInput, agentIndex) {
+            const location = locations[getLocationId(labelInput, agentIndex)] || locations.school;
+            return {x: location.x, y: location.y};
+        }
+
+        /**
+         *  Resolve a location label (currentLocation) to actual x, y coordinates (communities layout)
+         * @param {string} locationLabelInput - locationLabel home or visit community
+         * @param {object} agent - agent object
+         * @returns {{x: number, y: number}} - x,y coordinates of the location
+         */
+        function resolveLocation(locationLabelInput, agent) {
+            switch(locationLabelInput) {
+                case 'house' :
+                    return { x: agent.houseX, y: agent.houseY };
+                case 'visitOtherCommunity' :
+                    return { x: communities[agent.targetCommunityId].x, y: communities[agent.targetCommunityId].y };
+                default :
+                    return { x: agent.houseX, y: agent.houseY }; // default to agent's home community
+            }
+        }
+
+        /**
+         * Move an agent towards a target by its speed over `dtHours`
+         * @param {object} agent - the agent to move
+         * @param {{x: number, y: number}} target - target coordinates
+         * @param {number} dtHours - simulated hours elapsed
+         * @returns {boolean} - true when the agent reached the target
+         */
+        function moveAgentTowards(agent, target, dtHours) {
+            const dx = target.x - agent.x;
+            const dy = target.y - agent.y;
+            const distance = Math.hypot(dx, dy);
+            const stepDistance = agent.speed * dtHours;
+
+            // snap to target when close enough to avoid overshooting and agent vibrating at the target
+            if (distance < stepDistance) {
+                agent.x = target.x;
+                agent.y = target.y;
+                return true;
+            }
+
+            agent.x += (dx / distance) * stepDistance;
+            agent.y += (dy / distance) * stepDistance;
+            return false;
+        }
+
+        /**
+         * Assign vaccination status to susceptible agents based on coverage percentage
+         * only vaccinate non-infected active agent, the previous vaccination is cleared first
+         * in the communities layout the coverage applies to each community on its own
+         * uses its own random stream so the result only depends on seed, coverage and active agents
+         * @returns {void}
+         */
+        function assignVaccination() {
+            agents.forEach(agent => {
+                agent.isVaccinated = false;
+            });
+
+            const susceptibleAgents = agents.filter(agent => agent.isActive && !agent.isInfected);
+            const vaccinationGroups = config.layout === 'communities'
+                ? communities.map(community => susceptibleAgents.filter(agent => agent.communityId === community.id))
+                : [susceptibleAgents];
+            const vaccinationRandom = createRandom(deriveSeed(config.seed, RANDOM_STREAMS.vaccination));
+
+            vaccinationGroups.forEach((group) => {
+                const numberToVaccinate = Math.round(group.length * (config.vaccinationCoverage / 100));
+                const shuffled = shuffle(group, vaccinationRandom);
+
+                for (let i = 0; i < numberToVaccinate; i++) {
+                    shuffled[i].isVaccinated = true;
+                }
+            });
+        }
+
+        /**
+         * Kill a share of the Vibrio in a waterbody with a new dose of chlorine
+         * @param {object} waterbody - the treated waterbody
+         * @returns {void}
+         */
+        function doseChlorine(waterbody) {
+            scaleConcentration(waterbody, 1 - (config.chlorinationEfficacy / 100));
+            waterbody.isChlorinated = true;
+            waterbody.lastDoseMinute = timeManager.elapsedMinutes;
+            updateContaminationState(waterbody);
+        }
+
+        /**
+         * Choose the chlorinated waterbodies and give them their first dose (school layout)
+         * the school waterbody follows `config.chlorinateSchoolWater`, house waterbodies of active agents follow the coverage
+         * uses its own random stream so the result only depends on seed, coverage and active agents
+         * @returns {void}
+         */
+        function assignChlorination() {
+            [schoolWaterBody].concat(houseWaterBodies).forEach((waterbody) => {
+                waterbody.isTreated = false;
+                waterbody.isChlorinated = false;
+                waterbody.lastDoseMinute = null;
+            });
+
+            schoolWaterBody.isTreated = config.chlorinateSchoolWater;
+
+            const activeHouseWaterBodies = houseWaterBodies.filter((houseWaterBody, agentIndex) => agents[agentIndex].isActive);
+            const numberToTreat = Math.round(activeHouseWaterBodies.length * (config.chlorinationCoverage / 100));
+            const shuffled = shuffle(activeHouseWaterBodies, createRandom(deriveSeed(config.seed, RANDOM_STREAMS.chlorination)));
+
+            for (let i = 0; i < numberToTreat; i++) {
+                shuffled[i].isTreated = true;
+            }
+
+            [schoolWaterBody].concat(houseWaterBodies).forEach((waterbody) => {
+                if (waterbody.isTreated) doseChlorine(waterbody);
+            });
+        }
+
+        /**
+         * Let doses of chlorine wear off after `config.chlorinationDuration` days
+         * and re-dose treated waterbodies every `config.chlorinationRedoseInterval` days (school layout)
+         * @returns {void}
+         */
+        function updateChlorination() {
+            [schoolWaterBody].concat(houseWaterBodies).forEach((waterbody) => {
+                if (!waterbody.isTreated) return;
+
+                const daysSinceDose = (timeManager.elapsedMinutes - waterbody.lastDoseMinute) / (24 * 60);
+                if (daysSinceDose >= config.chlorinationRedoseInterval) {
+                    doseChlorine(waterbody);
+                } else {
+                    waterbody.isChlorinated = daysSinceDose < config.chlorinationDuration;
+                }
+            });
+        }
+
+        /**
+         * Give a household latrine to active agents based on the latrine coverage percentage
+         * uses its own random stream so the result only depends on seed, coverage and active agents
+         * @returns {void}
+         */
+        function assignLatrines() {
+            agents.forEach(agent => {
+                agent.hasLatrine = false;
+            });
+            [schoolLatrine].concat(houseLatrines, latrines).forEach((latrine) => {
+                if (!latrine) return;         // no school latrine in the communities layout
+                latrine.useCount = 0;
+                latrine.leakCount = 0;
+            });
+
+            const activeAgents = agents.filter(agent => agent.isActive);
+            const numberWithLatrine = Math.round(activeAgents.length * (config.latrineCoverage / 100));
+            const shuffled = shuffle(activeAgents, createRandom(deriveSeed(config.seed, RANDOM_STREAMS.latrine)));
+
+            for (let i = 0; i < numberWithLatrine; i++) {
+                shuffled[i].hasLatrine = true;
+            }
+        }
+
+        /**
+         * All waterbodies of the current layout
+         * @returns {Array<object>} - community waterbodies, or the school, house and market waterbodies
+         */
+        function getAllWaterbodies() {
+            return config.layout === 'communities'
+                ? waterbodies
+                : [schoolWaterBody].concat(houseWaterBodies, [marketWaterBody], extraWaterBodies);
+        }
+
+        /**
+         * Find the waterbody closest to a location
+         * @param {{x: number, y: number}} location - location to search from
+         * @returns {object} - the closest waterbody of the current layout
+         */
+        function findNearestWaterbody(location) {
+            return getAllWaterbodies().reduce((nearest, waterbody) =>
+                Math.hypot(waterbody.x - location.x, waterbody.y - location.y) < Math.hypot(nearest.x - location.x, nearest.y - location.y)
+                    ? waterbody
+                    : nearest
+            );
+        }
+
+        /**
+         * An agent defecates into a latrine instead of a waterbody
+         * the latrine keeps the Vibrio of infected agents away from the water, except when it leaks into the nearest waterbody
+         * @param {{x: number, y: number, useCount: number, leakCount: number}} latrine - the used latrine
+         * @param {object} agent - the agent using the latrine
+         * @returns {void}
+         */
+        function useLatrine(latrine, agent) {
+            latrine.useCount += 1;
+
+            // exposed agents shed too little to contaminate, infected agents count with or without symptoms
+            if (!agent.isInfected) return;
+
+            if (random.next() < (config.latrineLeakRate / 100)) {
+                latrine.leakCount += 1;
+                shedIntoWaterbody(findNearestWaterbody(latrine), agent);
+            }
+        }
+
+        /**
+         * Assign rapid test to agent based on the rapid test coverage percentage
+         * only test symptomatic infected agent, exposed agents and asymptomatic carriers show no symptoms and are not tested
+         * positive agents are isolated at home for `config.isolationDuration` days
+         * @returns {void}
+         */
+        function assignRapidTest() {
+            const eligibleTestAgents = agents.filter(agent =>
+                agent.isActive && agent.isInfected && !agent.isAsymptomatic && !agent.isIsolated
+            );
+            const numberToTest = Math.round(eligibleTestAgents.length * (config.rapidTestCoverage / 100));
+
+            // If no agents to test, return early
+            if (numberToTest === 0) return;
+
+            const shuffled = shuffle(eligibleTestAgents, random);
+
+            for (let i = 0; i < numberToTest; i++) {
+                shuffled[i].isTested = true;
+
+                // check if agent tested positive, meaning the random number is less than the rapid test sensitivity
+                if (random.next() < (config.rapidTestSensitivity / 100)) {
+                    shuffled[i].isIsolated = true;
+                    shuffled[i].isolationStartDay = timeManager.currentDay;
+                    shuffled[i].isolationEndDay = timeManager.currentDay + config.isolationDuration;
+                }
+            }
+        }
+
+        /**
+         * Draw a random incubation period between `config.minIncubationHours` and `config.maxIncubationHours`
+         * @returns {number} - incubation period in whole simulated minutes
+         */
+        function drawIncubationMinutes() {
+            const incubationHours = config.minIncubationHours + random.next() * (config.maxIncubationHours - config.minIncubationHours);
+            return Math.round(incubationHours * 60);
+        }
+
+        /**
+         * Checks if an agent gets exposed when drinking from a waterbody
+         * The infection probability follows the dose-response curve on the ingested Vibrio cells
+         * Exposed agents become infected after a random incubation period
+         * Vaccinated agent has reduced infection risk based on vaccine effectiveness,
+         * immune, exposed and already infected agent cannot be re-infected
+         * @param {object} agent - the drinking agent
+         * @param {{concentration: number}} waterbody - the waterbody the agent drinks from
+         * @returns {void}
+         */
+        function exposeAgentToWater(agent, waterbody) {
+            if (waterbody.concentration <= 0) return;
+            if (agent.isExposed || agent.isInfected || agent.isRecovered) return;
+
+            const dose = waterbody.concentration * config.ingestedVolume;
+            let infectionProbability = doseResponse(dose, config.doseResponseAlpha, config.doseResponseN50);
+
+            // the vaccine prevents its effectiveness share of the infections
+            if (agent.isVaccinated) {
+                infectionProbability *= 1 - (config.vaccinationEffectiveness / 100);
+            }
+
+            if (random.next() >= infectionProbability) return;
+
+            agent.isExposed = true;
+            agent.incubationEndMinute = timeManager.elapsedMinutes + drawIncubationMinutes();   // track when symptoms start
+            agent.infectionCount += 1;
+            recordInfectionEvent(agents.indexOf(agent), waterbody);
+        }
+
+        /**
+         * Add an infection to `infectionEvents`, crediting the agents whose shed Vibrio was in the water in proportion to their share
+         * @param {number} agentIndex - index of the infected agent
+         * @param {object|null} waterbody - the waterbody the agent drank from, null for the agents infected at the start
+         * @returns {void}
+         */
+        function recordInfectionEvent(agentIndex, waterbody) {
+            const sources = waterbody === null ? [] : Object.keys(waterbody.contributions).map(sourceIndex => ({
+                agentIndex: Number(sourceIndex),
+                share: waterbody.contributions[sourceIndex] / waterbody.concentration
+            }));
+
+            infectionEvents.push({
+                minute: timeManager.elapsedMinutes,
+                day: getCurrentDay(timeManager),
+                agentIndex: agentIndex,
+                waterbodyId: waterbody === null ? null : waterbody.id,
+                sources: sources.sort((a, b) => b.share - a.share)
+            });
+        }
+
+        /**
+         * Checks if an agent gets exposed when it reaches the school water
+         * @param {string} agentLocationInput - The location label the agent just reached
+         * @param {number} agentIndex - Index of the agent being checked
+         * @returns {void}
+         */
+        function checkAgentInfection(agentLocationInput, agentIndex) {
+            if (agentLocationInput !== 'schoolWater') return;
+
+            exposeAgentToWater(agents[agentIndex], schoolWaterBody);
+        }
+
+        /**
+         * update incubation, infection and immunity status for all agents
+         * exposed agent will become infected once the incubation period is over, with or without symptoms
+         * agent will become immune after infection duration over
+         * Immune agent will become susceptible again after immunity duration over
+         * @returns {void}
+         */
+        function updateAgentInfectionStatus() {
+            const currentDay = timeManager.currentDay;
+
+            agents.forEach((agent) => {
+                // check if the incubation period of an exposed agent is over
+                if (agent.isExposed && timeManager.elapsedMinutes >= agent.incubationEndMinute) {
+                    agent.isExposed = false;
+                    agent.incubationEndMinute = null;
+                    agent.isInfected = true;
+                    agent.infectionStartDay = currentDay;       // track the day when the incubation ended
+
+                    // always draw, so changing the asymptomatic rate does not shift the later random draws
+                    agent.isAsymptomatic = random.next() < (config.asymptomaticRate / 100);
+                }
+
+                //check if agent is infected and track the infection durations
+                if (agent.isInfected && agent.infectionStartDay !== null) {
+                    if (currentDay - agent.infectionStartDay >= config.infectionDuration) {
+                        agent.isInfected = false;               // set agent to not infected
+                        agent.isAsymptomatic = false;
+                        agent.isRecovered = true;               // set agent to recovered (immune)
+                        agent.recoveryStartDay = currentDay;    // set recovery start day to current day
+                    }
+                }
+
+                // check if agent is recovered and track the recovery duration
+                if (agent.isRecovered && agent.recoveryStartDay !== null) {
+                    if (currentDay - agent.recoveryStartDay >= config.recoveryDuration) {
+                        agent.isRecovered = false;          // set agent to not recovered (susceptible again)
+                        agent.recoveryStartDay = 0;
+                    }
+                }
+            });
+        }
+
+        /**
+         * Update the contaminated flag of a waterbody from its concentration
+         * @param {{concentration: number, isContaminated: boolean}} waterbody - the waterbody to update
+         * @returns {void}
+         */
+        function updateContaminationState(waterbody) {
+            waterbody.isContaminated = waterbody.concentration >= config.contaminationConcentration;
+        }
+
+        /**
+         * Add the Vibrio shed by one infected visit to a waterbody, and remember which agent shed it
+         * while a dose of chlorine is working it kills its efficacy share of the shed Vibrio
+         * @param {{concentration: number, isContaminated: boolean, infectedVisitCount: number, contributions: Object<number, number>, isChlorinated: boolean}} waterbody
+         *     the visited waterbody
+         * @param {object} agent - the shedding agent
+         * @returns {void}
+         */
+        function shedIntoWaterbody(waterbody, agent) {
+            const survivingFraction = waterbody.isChlorinated ? 1 - (config.chlorinationEfficacy / 100) : 1;
+            const shed = config.sheddingPerVisit * survivingFraction;
+            const agentIndex = agents.indexOf(agent);
+
+            waterbody.concentration += shed;
+            waterbody.contributions[agentIndex] = (waterbody.contributions[agentIndex] || 0) + shed;
+            waterbody.infectedVisitCount += 1;
+            updateContaminationState(waterbody);
+
+            contaminationEvents.push({
+                minute: timeManager.elapsedMinutes,
+                day: getCurrentDay(timeManager),
+                agentIndex: agentIndex,
+                waterbodyId: waterbody.id,
+                amount: shed
+            });
+        }
+
+        /**
+         * Multiply the Vibrio concentration of a waterbody, and what is left of the shedding of each agent with it
+         * @param {{concentration: number, contributions: Object<number, number>}} waterbody - the waterbody whose Vibrio die off
+         * @param {number} factor - surviving fraction
+         * @returns {void}
+         */
+        function scaleConcentration(waterbody, factor) {
+            waterbody.concentration *= factor;
+            Object.keys(waterbody.contributions).forEach((agentIndex) => {
+                waterbody.contributions[agentIndex] *= factor;
+            });
+        }
+
+        /**
+         * Infected agent visits raise the Vibrio concentration of their house water body
+         * @param {string} targetLocationInput - The location label the agent just reached
+         * @param {number} agentIndex - Index of the agent being checked
+         * @returns {void}
+         */
+        function checkHouseWaterContamination(targetLocationInput, agentIndex) {
+            // exposed agents shed too little to contaminate, infected agents count with or without symptoms
+            if (targetLocationInput === 'houseWater' && agents[agentIndex].isInfected) {
+                shedIntoWaterbody(houseWaterBodies[agentIndex], agents[agentIndex]);
+            }
+        }
+
+        /**
+         * Infected agent visits raise the Vibrio concentration of the school waterbody
+         * @param {string} targetLocationInput - The location label the agent just reached
+         * @param {number} agentIndex - Index of the agent being checked
+         * @returns {void}
+         */
+        function contaminateSchoolWaterbody(targetLocationInput, agentIndex) {
+            // exposed agents shed too little to contaminate, infected agents count with or without symptoms
+            if (targetLocationInput === 'schoolWater' && agents[agentIndex].isInfected) {
+                shedIntoWaterbody(schoolWaterBody, agents[agentIndex]);
+            }
+        }
+
+        /**
+         * Vibrio in every waterbody dies off and is diluted by clean water over time
+         * @param {number} dtHours - simulated hours elapsed
+         * @returns {void}
+         */
+        function updateWaterbodyConcentrations(dtHours) {
+            const remainingFraction = Math.pow((1 - config.dailyDecayRate) * (1 - config.dailyDilutionRate), dtHours / 24);
+
+            getAllWaterbodies().forEach((waterbody) => {
+                scaleConcentration(waterbody, remainingFraction);
+
+                // below 0.01 cells/mL the waterbody is clean again
+                if (waterbody.concentration < 0.01) {
+                    waterbody.concentration = 0;
+                    waterbody.contributions = {};
+                }
+                updateContaminationState(waterbody);
+            });
+        }
+
+        /**
+         * Updates house infection state based on water body contamination duration
+         * Houses become infected after their waterbody stayed contaminated for `config.houseInfectionDelay` hours,
+         * the timer starts again when the waterbody got clean in between
+         * @param {number} dtHours - simulated hours elapsed
+         * @returns {void}
+         */
+        function updateHouseInfectionState(dtHours) {
+            houseWaterBodies.forEach((houseWaterBody, agentIndex) => {
+                if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
+
+                if (!houseWaterBody.isContaminated) {
+                    houseWaterBody.contaminatedTime = 0;
+                }
+
+                if (houseWaterBody.isContaminated && !houses[agentIndex].isInfected) {
+                    houseWaterBody.contaminatedTime += dtHours;
+
+                    if (houseWaterBody.contaminatedTime >= config.houseInfectionDelay) {
+                        houses[agentIndex].isInfected = true;
+                    }
+                }
+
+                // once the agent recovered, the house is not shown as infected anymore
+                if (houseWaterBody.isContaminated && agents[agentIndex].isRecovered) {
+                    houses[agentIndex].isInfected = false;
+                }
+            });
+        }
+
+        /**
+         * assign random bathroom slot for an agent at a location
+         * @param {string} location - 'school' or 'house'
+         * @returns {number} - random hour from available slots
+         */
+        function assignRandomBathroomSlot(location) {
+            const availableSlots = config.bathroomSlots[location];
+            return availableSlots[Math.floor(random.next() * availableSlots.length)];
+        }
+
+        /**
+         * Assign bathroom schedule for all agents for the current day
+         * each agent get random bathroom slot at home and at school each day
+         * @returns {void}
+         */
+        function assignDailyBathroomSchedules() {
+            agents.forEach((agent) => {
+                if (!agent.isActive) return;         // skip inactive agents
+
+                agent.schoolBathroomHour = assignRandomBathroomSlot('school');
+                agent.houseBathroomHour = assignRandomBathroomSlot('house');
+
+                // Reset bathroom visit flag for new day
+                agent.hasVisitedSchoolBathroomToday = false;
+                agent.hasVisitedHouseBathroomToday = false;
+            });
+        }
+
+        /**
+         * Check if agent should visit bathroom based on current hour and location
+         * Agents with a latrine go to the latrine first and drink at the waterbody afterwards
+         * Away from home the agent uses the water of where its itinerary puts it: the school, the visited house
+         * (its latrine when the host has one) or the water point of any other registered place, places without one are skipped
+         * @param {object} agent - the agent to check
+         * @param {number} currentHour - Current simulation hour (0-23)
+         * @returns {string|null} - water or latrine location label if visiting bathroom, null otherwise
+         */
+        function shouldVisitBathroom(agent, currentHour) {
+            if (!agent.isActive) return null;
+
+            if (agent.isAwayFromHome && currentHour === agent.schoolBathroomHour && !agent.hasVisitedSchoolBathroomToday) {
+                if (agent.scheduledLocation === 'visitHouse') {
+                    return agents[agent.visitHouseIndex].hasLatrine ? 'visitLatrine' : 'visitWater';
+                }
+                if (agent.scheduledLocation === 'school') {
+                    return agent.hasLatrine ? 'schoolLatrine' : 'schoolWater';
+                }
+                const place = locations[agent.scheduledLocation];
+                return place ? place.waterId : null;
+            }
+
+            if (!agent.isAwayFromHome && currentHour === agent.houseBathroomHour && !agent.hasVisitedHouseBathroomToday) {
+                return agent.hasLatrine ? 'houseLatrine' : 'houseWater';
+            }
+
+            return null;
+        }
+
+        /**
+         * Mark that bathroom visit has been completed, visits away from home use the school hours slot
+         * @param {object} agent - The agent that visited
+         * @param {string} bathroomLocation - 'houseWater', or the water the agent used away from home
+         * @returns {void}
+         */
+        function markBathroomVisitComplete(agent, bathroomLocation) {
+            if (bathroomLocation === 'houseWater') {
+                agent.hasVisitedHouseBathroomToday = true;
+            } else {
+                agent.hasVisitedSchoolBathroomToday = true;
+            }
+        }
+
+        /**
+         * Updates position of all active agents by moving them towards their target (school layout)
+         * Handles bathroom visits, infection checks and contamination on arrival
+         * @param {number} dtHours - simulated hours elapsed
+         * @returns {void}
+         */
+        function updateAgentMovement(dtHours) {
+            const currentHour = getCurrentHour(timeManager);
+
+            agents.forEach((agent, agentIndex) => {
+                if (!agent.isActive) return;         // skip inactive agents
+
+                // check if agent need to go to bathroom at the current hour
+                const isItBathroomTimeTarget = shouldVisitBathroom(agent, currentHour);
+                if (isItBathroomTimeTarget && !agent.isTravelingToBathroom) {
+                    agent.targetLocation = isItBathroomTimeTarget;
+                    agent.isTravelingToBathroom = true;
+                }
+
+                // if agent is not going to the bathroom, follow normal schedule
+                if (!agent.isTravelingToBathroom) {
+                    agent.targetLocation = getAgentTargetLocation(agent);
+                }
+
+                const target = resolveItinerary(agent.targetLocation, agentIndex);
+                if (!moveAgentTowards(agent, target, dtHours)) return;
+
+                agent.currentLocation = agent.targetLocation;
+
+                // handle bathroom visit completion
+                if (agent.isTravelingToBathroom) {
+                    // latrine users defecate at the latrine, then walk on to the waterbody to drink
+                    if (agent.currentLocation === 'schoolLatrine') {
+                        useLatrine(schoolLatrine, agent);
+                        agent.targetLocation = 'schoolWater';
+                        return;
+                    }
+                    if (agent.currentLocation === 'houseLatrine') {
+                        useLatrine(houseLatrines[agentIndex], agent);
+                        agent.targetLocation = 'houseWater';
+                        return;
+                    }
+                    if (agent.currentLocation === 'visitLatrine') {
+                        useLatrine(houseLatrines[agent.visitHouseIndex], agent);
+                        agent.targetLocation = 'visitWater';
+                        return;
+                    }
+
+                    markBathroomVisitComplete(agent, agent.currentLocation);
+
+                    // trigger contamination or infection checks, latrine users only drink at the waterbody
+                    if (agent.currentLocation === 'schoolWater') {
+                        if (!agent.hasLatrine) contaminateSchoolWaterbody(agent.currentLocation, agentIndex);
+                        checkAgentInfection(agent.currentLocation, agentIndex);
+                    } else if (agent.currentLocation === 'houseWater') {
+                        if (!agent.hasLatrine) checkHouseWaterContamination(agent.currentLocation, agentIndex);
+                    } else if (agent.currentLocation === 'visitWater') {
+                        // visitors defecate into the host's latrine when it has one
+                        const hostWaterBody = houseWaterBodies[agent.visitHouseIndex];
+                        if (!agents[agent.visitHouseIndex].hasLatrine && agent.isInfected) shedIntoWaterbody(hostWaterBody, agent);
+                        exposeAgentToWater(agent, hostWaterBody);
+                    } else if (locations[agent.currentLocation] && locations[agent.currentLocation].waterbody) {
+                        // market, well, river and other water points without a latrine
+                        const waterbody = locations[agent.currentLocation].waterbody;
+                        if (agent.isInfected) shedIntoWaterbody(waterbody, agent);
+                        exposeAgentToWater(agent, waterbody);
+                    }
+
+                    // return to where the itinerary puts the agent (school, market, visited house, house, ...) after bathroom visit
+                    agent.isTravelingToBathroom = false;
+                    agent.targetLocation = getAgentTargetLocation(agent);
+                }
+            });
+        }
+
+        /**
+         * Draw the community a resident visits today from its row of the mobility matrix
+         * rows adding up to more than 1 always travel, in proportion to their probabilities
+         * @param {number} communityId - home community of the resident
+         * @returns {number|null} - visited community id, null when the resident stays in its community
+         */
+        function drawDestinationCommunity(communityId) {
+            const row = mobilityMatrix[communityId];
+            const rowSum = row.reduce((sum, probability) => sum + probability, 0);
+            let remaining = random.next() * Math.max(1, rowSum);
+
+            for (let targetId = 0; targetId < row.length; targetId++) {
+                remaining -= row[targetId];
+                if (remaining < 0) return targetId;
+            }
+            return null;
+        }
+
+        /**
+         * Close communities to travel at the start of a day (communities layout)
+         * the chosen community closes from `config.closureStartDay`, any community closes once its symptomatic cases
+         * reach `config.autoClosureThreshold`; a closed community stays closed until reset
+         * @param {number} currentDay - the day that just started
+         * @returns {void}
+         */
+        function updateCommunityClosures(currentDay) {
+            communities.forEach((community) => {
+                if (community.isClosed) return;
+
+                const isChosenClosure = community.id === config.closedCommunityId && currentDay >= config.closureStartDay;
+
+                // asymptomatic carriers are not noticed, so they do not count as cases
+                const caseCount = agents.filter(agent =>
+                    agent.communityId === community.id && agent.isInfected && !agent.isAsymptomatic
+                ).length;
+                const isOverThreshold = config.autoClosureThreshold > 0 && caseCount >= config.autoClosureThreshold;
+
+                if (isChosenClosure || isOverThreshold) {
+                    community.isClosed = true;
+                    community.closedSinceDay = currentDay;
+                }
+            });
+        }
+
+        /**
+         * Activate agents and draw where they travel today (communities layout)
+         * day 1: only community 0 agent can travel
+         * day 2+: all communities can travel
+         * nobody travels out of or into a closed community, and travel restrictions cancel `config.mobilityReduction` percent of the trips
+         * @returns {void}
+         */
+        function activateAgentsForDay() {
+            const currentDay = getCurrentDay(timeManager);
+
+            agents.forEach((agent) => {
+                // always draw, so the day 1 restriction, closures and restrictions do not shift the later random draws
+                const destinationId = drawDestinationCommunity(agent.communityId);
+                const isTripCancelled = random.next() < (config.mobilityReduction / 100);
+                const canTravel = (currentDay >= 2 || agent.communityId === 0) && !isTripCancelled;
+
+                agent.isActive = true;
+                agent.isMobile = canTravel
+                    && destinationId !== null
+                    && !communities[agent.communityId].isClosed
+                    && !communities[destinationId].isClosed;
+                agent.targetCommunityId = agent.isMobile ? destinationId : agent.communityId;
+            });
+        }
+
+        /**
+         * Assign bathroom hour for all agents for the current day (communities layout)
+         * @returns {void}
+         */
+        function assignCommunityBathroomSchedules() {
+            agents.forEach((agent) => {
+                if (!agent.isActive) return;         // skip inactive agents
+
+                agent.bathroomHour = assignRandomBathroomSlot('community');
+                agent.hasVisitedBathroomToday = false;
+            });
+        }
+
+        /**
+         * An agent drinks from and relieves itself at the waterbody of the community it is in (communities layout)
+         * latrine users defecate into the community latrine, the others straight into the waterbody
+         * @param {object} agent - the visiting agent
+         * @param {number} communityId - id of the community the agent is in
+         * @returns {void}
+         */
+        function useCommunityWaterbody(agent, communityId) {
+            const waterbody = waterbodies[communityId];
+
+            if (agent.hasLatrine) {
+                useLatrine(latrines[communityId], agent);
+            } else if (agent.isInfected) {
+                // exposed agents shed too little to contaminate, infected agents count with or without symptoms
+                shedIntoWaterbody(waterbody, agent);
+            }
+
+            exposeAgentToWater(agent, waterbody);
+            agent.hasVisitedBathroomToday = true;
+        }
+
+        /**
+         * Update agent position to move back and forth between house and target community (communities layout)
+         * once a day, at the first community reached after its bathroom hour, the agent uses the waterbody there
+         * isolated agents and agents not travelling today go back home and stay there
+         * @param {number} dtHours - simulated hours elapsed
+         * @returns {void}
+         */
+        function updateCommunityAgentMovement(dtHours) {
+            const currentHour = getCurrentHour(timeManager);
+
+            agents.forEach((agent) => {
+                if (!agent.isActive) return;
+
+                const staysHome = agent.isIsolated || !agent.isMobile;
+                if (staysHome) agent.targetLocation = 'house';
+
+                // agents are only at a community when they reach it, agents staying home reach their house every tick
+                const target = resolveLocation(agent.targetLocation, agent);
+                const isAtCommunity = moveAgentTowards(agent, target, dtHours);
+
+                if (isAtCommunity) {
+                    agent.currentLocation = agent.targetLocation;
+
+                    // Switching the target location
+                    if (!staysHome) {
+                        agent.targetLocation = agent.currentLocation === 'house' ? 'visitOtherCommunity' : 'house';
+                    }
+                }
+
+                if (!isAtCommunity || agent.hasVisitedBathroomToday) return;
+                if (agent.bathroomHour === null || currentHour < agent.bathroomHour) return;
+
+                const communityId = agent.currentLocation === 'visitOtherCommunity' ? agent.targetCommunityId : agent.communityId;
+                useCommunityWaterbody(agent, communityId);
+            });
+        }
+
+        /**
+         * Decide at the start of a day whether the school is closed that day (school layout)
+         * the school closes when it is closed by hand, on a scheduled closure day, on days starting with contaminated
+         * school water if chosen, or when the symptomatic cases reach `config.schoolClosureCaseThreshold`
+         * @param {number} currentDay - the day that just started
+         * @returns {void}
+         */
+        function updateSchoolClosure(currentDay) {
+            // asymptomatic carriers are not noticed, so they do not count as cases
+            const caseCount = agents.filter(agent => agent.isActive && agent.isInfected && !agent.isAsymptomatic).length;
+
+            isSchoolClosed = config.closeSchool
+                || config.schoolClosureDays.includes(currentDay)
+                || (config.closeSchoolOnContamination && schoolWaterBody.isContaminated)
+                || (config.schoolClosureCaseThreshold > 0 && caseCount >= config.schoolClosureCaseThreshold);
+
+            if (isSchoolClosed) {
+                closedSchoolDays.push(currentDay);
+            }
+        }
+
+        /**
+         * Decide where each agent spends the school hours of a new day (school layout)
+         * school days: at school, or at home while the school is closed
+         * weekends and holidays: at home, at the market or at another house, drawn from `config.weekendActivities`
+         * @param {number} currentDay - the day that just started
+         * @returns {void}
+         */
+        function assignDailyActivities(currentDay) {
+            isSchoolDay = !isWeekend(timeManager) && !config.holidays.includes(currentDay);
+
+            agents.forEach((agent, agentIndex) => {
+                if (!agent.isActive) return;         // skip inactive agents
+
+                agent.visitHouseIndex = null;
+
+                if (isSchoolDay) {
+                    agent.dayLocation = isSchoolClosed ? 'house' : 'school';
+                    return;
+                }
+
+                const activities = config.weekendActivities;
+                let remaining = random.next() * (activities.home + activities.market + activities.visit);
+
+                remaining -= activities.market;
+                if (remaining < 0) {
+                    agent.dayLocation = 'market';
+                    return;
+                }
+
+                // visit the house of another active agent, stay home when there is nobody to visit
+                const hostIndices = agents.map((other, index) => index).filter(index => index !== agentIndex && agents[index].isActive);
+                remaining -= activities.visit;
+                if (remaining < 0 && hostIndices.length > 0) {
+                    agent.dayLocation = 'visitHouse';
+                    agent.visitHouseIndex = hostIndices[Math.floor(random.next() * hostIndices.length)];
+                    return;
+                }
+
+                agent.dayLocation = 'house';
+            });
+        }
+
+        /**
+         * Start of a new simulated day: daily schedules, test flags and isolation release
+         * @param {number} currentDay - the day that just started
+         * @returns {void}
+         */
+        function startNewDay(currentDay) {
+            if (config.layout === 'communities') {
+                updateCommunityClosures(currentDay);
+                activateAgentsForDay();
+                assignCommunityBathroomSchedules();
+            } else {
+                updateSchoolClosure(currentDay);
+                assignDailyActivities(currentDay);
+                assignDailyBathroomSchedules();
+            }
+
+            // reset agent's test flag daily and release agents whose isolation period has ended
+            agents.forEach(agent => {
+                agent.isTested = false;
+                if (currentDay >= agent.isolationEndDay) {
+                    agent.isIsolated = false;
+                }
+            });
+
+            hasPerformedRapidTestToday = false;
+        }
+
+        /**
+         * Count the active agents in each state
+         * susceptible, exposed, infected and recovered split the active agents,
+         * asymptomatic, vaccinated and isolated agents are also counted in one of those,
+         * infections and everInfected count since the start of the run
+         * @returns {{susceptible: number, exposed: number, infected: number, recovered: number, asymptomatic: number, vaccinated: number, isolated: number,
+         *     infections: number, everInfected: number}}
+         */
+        function countAgentStates() {
+            const counts = {susceptible: 0, exposed: 0, infected: 0, recovered: 0, asymptomatic: 0, vaccinated: 0, isolated: 0,
+                infections: 0, everInfected: 0};
+
+            agents.forEach((agent) => {
+                if (!agent.isActive) return;         // skip inactive agents
+
+                if (agent.isExposed) {
+                    counts.exposed += 1;
+                } else if (agent.isInfected) {
+                    counts.infected += 1;
+                } else if (agent.isRecovered) {
+                    counts.recovered += 1;
+                } else {
+                    counts.susceptible += 1;
+                }
+
+                if (agent.isAsymptomatic) counts.asymptomatic += 1;
+                if (agent.isVaccinated) counts.vaccinated += 1;
+                if (agent.isIsolated) counts.isolated += 1;
+
+                // infections so far, and agents infected at least once
+                counts.infections += agent.infectionCount;
+                if (agent.infectionCount > 0) counts.everInfected += 1;
+            });
+
+            return counts;
+        }
+
+        /**
+         * Store the current agent counts as the history entry of the current day
+         * @returns {void}
+         */
+        function recordHistory() {
+            const day = getCurrentDay(timeManager);
+            history[day - 1] = Object.assign({day: day}, countAgentStates());
+        }
+
+        /**
+         * Run one fixed simulation tick of `config.tickMinutes`
+         * Movement, bathroom schedules, rapid tests, chlorination, Vibrio decay and contamination timers all advance here
+         * @returns {void}
+         */
+        function tick() {
+            const tickHours = config.tickMinutes / 60;
+
+            updateTimeManager(timeManager, config.tickMinutes);
+
+            // remember where agents were so renderers can interpolate between ticks
+            agents.forEach((agent) => {
+                agent.previousX = agent.x;
+                agent.previousY = agent.y;
+            });
+
+            // check for day change
+            const currentDay = timeManager.currentDay;
+            if (currentDay !== previousDay) {
+                previousDay = currentDay;
+                startNewDay(currentDay);
+            }
+
+            updateWaterbodyConcentrations(tickHours);
+
+            if (config.layout !== 'communities') {
+                updateChlorination();
+            }
+
+            // Perform rapid tests daily at the rapid test hour
+            if (getCurrentHour(timeManager) === config.rapidTestHour && !hasPerformedRapidTestToday) {
+                assignRapidTest();
+                hasPerformedRapidTestToday = true;
+            }
+
+            updateAgentInfectionStatus();
+
+            if (config.layout === 'communities') {
+                updateCommunityAgentMovement(tickHours);
+                recordHistory();
+                return;
+            }
+
+            updateAgentMovement(tickHours);
+            updateHouseInfectionState(tickHours);
+            recordHistory();
+        }
+
+        /**
+         * Advance the simulation by a number of simulated hours
+         * The time is collected and simulated in whole fixed ticks, the remainder is kept for the next call
+         * @param {number} dtHours - simulated hours to advance
+         * @returns {void}
+         */
+        function step(dtHours) {
+            accumulatedMinutes += dtHours * 60;
+
+            while (accumulatedMinutes >= config.tickMinutes) {
+                accumulatedMinutes -= config.tickMinutes;
+                tick();
+            }
+        }
+
+        /**
+         * Advance the simulation by exactly a number of simulated hours, e.g. the "step one hour" button
+         * Unlike `step` the time is not collected, the ticks run straight away
+         * @param {number} hours - simulated hours to advance
+         * @returns {void}
+         */
+        function runFor(hours) {
+            const ticks = Math.round((hours * 60) / config.tickMinutes);
+            for (let i = 0; i < ticks; i++) {
+                tick();
+            }
+        }
+
+        /**
+         * Advance the simulation to midnight, the start of the next day
+         * @returns {void}
+         */
+        function skipToNextDay() {
+            const minutesLeft = 24 * 60 - getMinuteOfDay(timeManager);
+            runFor(minutesLeft / 60);
+        }
+
+        /**
+         * Get the current state for rendering
+         * The returned objects are the live simulation objects and must be treated as read-only
+         * @returns {object} - time, locations, waterbodies, agents, the per-day history and the infection and contamination events
+         */
+        function getState() {
+            return {
+                layout: config.layout,
+                seed: config.seed,
+                elapsedHours: timeManager.elapsedMinutes / 60,
+                interpolation: accumulatedMinutes / config.tickMinutes,    // fraction of the next tick already collected, for `interpolatePosition`
+                hour: getCurrentHour(timeManager),
+                minuteOfDay: getMinuteOfDay(timeManager),
+                day: getCurrentDay(timeManager),
+                weekday: getWeekday(timeManager),
+                weekdayName: getWeekdayName(timeManager),
+                timeString: getTimeString(timeManager),
+                school: school,
+                schoolWaterBody: schoolWaterBody,
+                houses: houses,
+                houseWaterBodies: houseWaterBodies,
+                schoolLatrine: schoolLatrine,
+                isSchoolClosed: isSchoolClosed,
+                closedSchoolDays: closedSchoolDays,
+                isSchoolDay: isSchoolDay,
+                market: market,
+                marketWaterBody: marketWaterBody,
+                extraWaterBodies: extraWaterBodies,
+                locations: locations,
+                houseLatrines: houseLatrines,
+                communities: communities,
+                waterbodies: waterbodies,
+                latrines: latrines,
+                mobilityMatrix: mobilityMatrix,
+                agents: agents,
+                history: history,
+                infectionEvents: infectionEvents,
+                contaminationEvents: contaminationEvents
+            };
+        }
+
+        /**
+         * Waterbody of the current layout by its id
+         * @param {string} id - id of the waterbody, as in the infection and contamination events
+         * @returns {object|null} - the live waterbody, null when the layout has none with this id
+         */
+        function getWaterbody(id) {
+            return getAllWaterbodies().find(waterbody => waterbody.id === id) || null;
+        }
+
+        /**
+         * Transmission tree of this run, see `buildTransmissionTree`
+         * @returns {{nodes: Array<object>, links: Array<object>}}
+         */
+        function getTransmissionTree() {
+            const cache = transmissionTreeCache;
+            if (cache.infectionEvents !== infectionEvents || cache.infectionCount !== infectionEvents.length
+                || cache.contaminationCount !== contaminationEvents.length) {
+                transmissionTreeCache = {
+                    infectionEvents: infectionEvents,
+                    infectionCount: infectionEvents.length,
+                    contaminationCount: contaminationEvents.length,
+                    tree: buildTransmissionTree(infectionEvents, contaminationEvents, config.scheduleStartTime)
+                };
+            }
+            return transmissionTreeCache.tree;
+        }
+
+        /**
+         * Daily reproduction number Rt of the finished days, estimated from the infection events, see `estimateReproductionNumbers`
+         * the current day is left out until it ends, its infections are not all in yet
+         * @returns {Array<{day: number, infections: number, rt: number|null, low: number|null, high: number|null}>}
+         */
+        function getReproductionNumbers() {
+            return estimateReproductionNumbers(infectionEvents, getCurrentDay(timeManager) - 1, {
+                serialIntervalMeanDays: config.serialIntervalMeanDays,
+                serialIntervalSdDays: config.serialIntervalSdDays,
+                windowDays: config.rtWindowDays
+            });
+        }
+
+        /**
+         * Updates which agents are active, agents with index less than count are active (school layout)
+         * @param {number} count - Number of agents to activate
+         * @returns {void}
+         */
+        function setActiveAgentCount(count) {
+            config.activeAgentCount = count;
+            agents.forEach((agent, agentIndex) => {
+                agent.isActive = agentIndex < count;
+            });
+            assignVaccination();
+            assignChlorination();
+            assignLatrines();
+            recordHistory();
+        }
+
+        /**
+         * Change the vaccination coverage and re-draw which agents are vaccinated
+         * @param {number} coverage - vaccination coverage (0-100%)
+         * @returns {void}
+         */
+        function setVaccinationCoverage(coverage) {
+            config.vaccinationCoverage = coverage;
+            assignVaccination();
+            recordHistory();
+        }
+
+        /**
+         * Change the rapid test coverage and clear current tests and isolations
+         * @param {number} coverage - rapid test coverage (0-100%)
+         * @returns {void}
+         */
+        function setRapidTestCoverage(coverage) {
+            config.rapidTestCoverage = coverage;
+            agents.forEach((agent) => {
+                agent.isTested = false;
+                agent.isIsolated = false;
+                agent.isolationStartDay = 0;
+                agent.isolationEndDay = 0;
+            });
+            recordHistory();
+        }
+
+        /**
+         * Change the percentage of infections without symptoms, applies to agents whose incubation ends from now on
+         * @param {number} rate - asymptomatic rate (0-100%)
+         * @returns {void}
+         */
+        function setAsymptomaticRate(rate) {
+            config.asymptomaticRate = rate;
+        }
+
+        /**
+         * Switch chlorination of the school waterbody on or off, a switched on waterbody gets its first dose now
+         * @param {boolean} enabled - whether the school waterbody is chlorinated
+         * @returns {void}
+         */
+        function setSchoolChlorination(enabled) {
+            config.chlorinateSchoolWater = enabled;
+            assignChlorination();
+        }
+
+        /**
+         * Change the share of chlorinated house waterbodies and re-draw which ones are chlorinated
+         * @param {number} coverage - chlorination coverage (0-100%)
+         * @returns {void}
+         */
+        function setChlorinationCoverage(coverage) {
+            config.chlorinationCoverage = coverage;
+            assignChlorination();
+        }
+
+        /**
+         * Change the share of Vibrio killed by chlorine, applies to doses and shedding from now on
+         * @param {number} efficacy - chlorination efficacy (0-100%)
+         * @returns {void}
+         */
+        function setChlorinationEfficacy(efficacy) {
+            config.chlorinationEfficacy = efficacy;
+        }
+
+        /**
+         * Change the share of agents with a latrine and re-draw who has one
+         * @param {number} coverage - latrine coverage (0-100%)
+         * @returns {void}
+         */
+        function setLatrineCoverage(coverage) {
+            config.latrineCoverage = coverage;
+            assignLatrines();
+        }
+
+        /**
+         * Keep the school closed for the whole run or open it again, applies from the next day (school layout)
+         * @param {boolean} closed - whether the school is closed
+         * @returns {void}
+         */
+        function setSchoolClosure(closed) {
+            config.closeSchool = closed;
+        }
+
+        /**
+         * Change the days on which the school is closed (school layout)
+         * @param {Array<number>} days - closed days
+         * @returns {void}
+         */
+        function setSchoolClosureDays(days) {
+            config.schoolClosureDays = days.slice();
+        }
+
+        /**
+         * Change the reactive school closure: on contaminated school water and/or from a number of symptomatic cases (school layout)
+         * @param {boolean} onContamination - close on days starting with contaminated school water
+         * @param {number} caseThreshold - symptomatic cases closing the school, 0 turns it off
+         * @returns {void}
+         */
+        function setReactiveSchoolClosure(onContamination, caseThreshold) {
+            config.closeSchoolOnContamination = onContamination;
+            config.schoolClosureCaseThreshold = caseThreshold;
+        }
+
+        /**
+         * Change the days without school, applies from the next day (school layout)
+         * @param {Array<number>} days - holidays
+         * @returns {void}
+         */
+        function setHolidays(days) {
+            config.holidays = days.slice();
+        }
+
+        /**
+         * Change the daily itinerary of an agent, applies immediately (school layout)
+         * hours are clamped to 0-24, entries ending before they start or sending the agent to a place that is neither
+         * 'house' nor a destination of the registry are dropped; when entries overlap the one starting first wins
+         * @param {number} agentIndex - index of the agent
+         * @param {Array<{startHour: number, endHour: number, locationId: string}>|null} itinerary - new itinerary, null restores the default
+         * @returns {void}
+         */
+        function setAgentItinerary(agentIndex, itinerary) {
+            const entries = itinerary === null ? getDefaultItinerary() : itinerary
+                .map(entry => ({
+                    startHour: Math.max(0, Math.min(24, Math.round(entry.startHour))),
+                    endHour: Math.max(0, Math.min(24, Math.round(entry.endHour))),
+                    locationId: entry.locationId
+                }))
+                .filter(entry => entry.startHour < entry.endHour
+                    && (entry.locationId === 'house' || (locations[entry.locationId] && locations[entry.locationId].isDestination)));
+
+            config.itineraries = agents.map((agent, index) => index === agentIndex ? entries : agent.itinerary);
+            agents[agentIndex].itinerary = getAgentItinerary(agentIndex);
+        }
+
+        /**
+         * Change the number of agents per community, rebuild their houses around the waterbodies and restart (communities layout)
+         * @param {number} count - agents per community
+         * @returns {void}
+         */
+        function setAgentsPerCommunity(count) {
+            config.agentsPerCommunity = count;
+            buildCommunityWorld();
+            reset();
+        }
+
+        /**
+         * Change the daily probability that a resident of one community visits another (communities layout)
+         * the edited matrix is kept when the communities are rebuilt
+         * @param {number} fromCommunityId - home community of the residents
+         * @param {number} toCommunityId - visited community
+         * @param {number} probability - daily visit probability (0-1)
+         * @returns {void}
+         */
+        function setMobilityProbability(fromCommunityId, toCommunityId, probability) {
+            if (fromCommunityId === toCommunityId) return;      // staying in the own community is not a visit
+
+            mobilityMatrix[fromCommunityId][toCommunityId] = Math.min(1, Math.max(0, probability));
+            config.mobilityMatrix = mobilityMatrix.map(row => row.slice());
+        }
+
+        /**
+         * Go back to the gravity-model mobility matrix for the current community sizes (communities layout)
+         * @returns {void}
+         */
+        function resetMobilityMatrix() {
+            config.mobilityMatrix = null;
+            mobilityMatrix = getDefaultMobilityMatrix();
+        }
+
+        /**
+         * Choose the community closed to travel and the day its closure starts (communities layout)
+         * @param {number|null} communityId - closed community, null for none
+         * @param {number} startDay - first day of the closure
+         * @returns {void}
+         */
+        function setCommunityClosure(communityId, startDay) {
+            config.closedCommunityId = communityId;
+            config.closureStartDay = startDay;
+        }
+
+        /**
+         * Change the percentage of daily trips cancelled by travel restrictions, applies from the next day
+         * @param {number} reduction - mobility reduction (0-100%)
+         * @returns {void}
+         */
+        function setMobilityReduction(reduction) {
+            config.mobilityReduction = reduction;
+        }
+
+        /**
+         * Change the number of symptomatic cases among its residents that closes a community, 0 turns it off
+         * @param {number} threshold - case count closing a community
+         * @returns {void}
+         */
+        function setAutoClosureThreshold(threshold) {
+            config.autoClosureThreshold = threshold;
+        }
+
+        /**
+         * Change the seed and restart the simulation from the initial state
+         * @param {number} seed - new seed (32-bit unsigned integer)
+         * @returns {void}
+         */
+        function setSeed(seed) {
+            config.seed = seed >>> 0;
+            reset();
+        }
+
+        /**
+         * Runtime objects of the world by their name in `SNAPSHOT_WORLD_OBJECTS`
+         * @returns {object}
+         */
+        function getWorldObjects() {
+            return {
+                agents: agents,
+                houses: houses,
+                houseWaterBodies: houseWaterBodies,
+                houseLatrines: houseLatrines,
+                extraWaterBodies: extraWaterBodies,
+                communities: communities,
+                waterbodies: waterbodies,
+                latrines: latrines,
+                schoolWaterBody: schoolWaterBody,
+                marketWaterBody: marketWaterBody,
+                schoolLatrine: schoolLatrine
+            };
+        }
+
+        /**
+         * Everything needed to continue this simulation later: its scenario and its full runtime state,
+         * including the time, the daily flags and the state of the random number generator
+         * @returns {{version: number, scenario: object, state: object}} - plain data, ready for `JSON.stringify`
+         */
+        function getSnapshot() {
+            return JSON.parse(JSON.stringify({
+                version: SNAPSHOT_VERSION,
+                scenario: createScenario(config),
+                state: Object.assign({
+                    elapsedMinutes: timeManager.elapsedMinutes,
+                    currentDay: timeManager.currentDay,
+                    accumulatedMinutes: accumulatedMinutes,
+                    previousDay: previousDay,
+                    hasPerformedRapidTestToday: hasPerformedRapidTestToday,
+                    isSchoolClosed: isSchoolClosed,
+                    closedSchoolDays: closedSchoolDays,
+                    isSchoolDay: isSchoolDay,
+                    randomState: random.getState(),
+                    mobilityMatrix: mobilityMatrix,
+                    history: history,
+                    infectionEvents: infectionEvents,
+                    contaminationEvents: contaminationEvents
+                }, getWorldObjects())
+            }));
+        }
+
+        /**
+         * Check a parsed snapshot file, including that its state fits the world its scenario builds
+         * @param {*} snapshot - parsed snapshot file
+         * @returns {Array<string>} - readable description of every problem, empty when the snapshot can be restored
+         */
+        function validateSnapshot(snapshot) {
+            if (!isPlainObject(snapshot) || !isPlainObject(snapshot.state)) return ['The file does not hold a simulation snapshot.'];
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                return [`Unsupported snapshot version ${JSON.stringify(snapshot.version)}, this page reads version ${SNAPSHOT_VERSION}.`];
+            }
+
+            const errors = validateScenario(snapshot.scenario).map(error => `Scenario of the snapshot: ${error}`);
+            if (errors.length > 0) return errors;
+            if (snapshot.scenario.layout !== config.layout) {
+                return [`This snapshot is of the "${snapshot.scenario.layout}" layout, this simulation uses the "${config.layout}" layout.`];
+            }
+
+            const state = snapshot.state;
+            ['elapsedMinutes', 'currentDay', 'accumulatedMinutes', 'previousDay', 'randomState'].forEach((key) => {
+                if (!isFiniteNumber(state[key]) || state[key] < 0) errors.push(`"state.${key}" should be a number of at least 0.`);
+            });
+            ['hasPerformedRapidTestToday', 'isSchoolClosed', 'isSchoolDay'].forEach((key) => {
+                if (typeof state[key] !== 'boolean') errors.push(`"state.${key}" should be true or false.`);
+            });
+            if (SCENARIO_VALUE_CHECKS.days(state.closedSchoolDays) !== null) errors.push('"state.closedSchoolDays" should be a list of days.');
+            if (!Array.isArray(state.history) || !state.history.every(isPlainObject)) errors.push('"state.history" should be a list of days.');
+            if (!Array.isArray(state.infectionEvents) || !state.infectionEvents.every(isPlainObject)) {
+                errors.push('"state.infectionEvents" should be a list of infections.');
+            }
+            if (!Array.isArray(state.contaminationEvents) || !state.contaminationEvents.every(isPlainObject)) {
+                errors.push('"state.contaminationEvents" should be a list of contaminations.');
+            }
+            if (!Array.isArray(state.mobilityMatrix)) errors.push('"state.mobilityMatrix" should be a table.');
+
+            // the world of the scenario decides how many agents, houses and waterbodies the state must hold
+            const world = createSimulation(Object.assign({}, scenarioToConfig(snapshot.scenario), {layout: config.layout, seed: 0})).getState();
+            SNAPSHOT_WORLD_OBJECTS.lists.forEach((key) => {
+                if (!Array.isArray(state[key]) || !state[key].every(isPlainObject)) {
+                    errors.push(`"state.${key}" should be a list of objects.`);
+                } else if (state[key].length !== world[key].length) {
+                    errors.push(`"state.${key}" holds ${state[key].length} entries, its scenario builds ${world[key].length}.`);
+                }
+            });
+            SNAPSHOT_WORLD_OBJECTS.objects.forEach((key) => {
+                if ((world[key] === null) !== (state[key] === null) || (state[key] !== null && !isPlainObject(state[key]))) {
+                    errors.push(`"state.${key}" does not fit the "${config.layout}" layout.`);
+                }
+            });
+
+            return errors;
+        }
+
+        /**
+         * Continue from a snapshot: load its scenario, then put every agent, house, waterbody, latrine and community,
+         * the time, the daily flags and the random number generator back to the saved state
+         * @param {object} snapshot - parsed snapshot file, see `getSnapshot`
+         * @returns {Array<string>} - readable description of every problem, the simulation is left unchanged unless empty
+         */
+        function restoreSnapshot(snapshot) {
+            const errors = validateSnapshot(snapshot);
+            if (errors.length > 0) return errors;
+
+            loadScenario(snapshot.scenario);
+
+            // copy, so later changes to the snapshot do not reach the simulation
+            const state = JSON.parse(JSON.stringify(snapshot.state));
+            const worldObjects = getWorldObjects();
+
+            SNAPSHOT_WORLD_OBJECTS.lists.forEach((key) => {
+                worldObjects[key].forEach((target, index) => Object.assign(target, state[key][index]));
+            });
+            SNAPSHOT_WORLD_OBJECTS.objects.forEach((key) => {
+                if (worldObjects[key]) Object.assign(worldObjects[key], state[key]);
+            });
+
+            timeManager.elapsedMinutes = state.elapsedMinutes;
+            timeManager.currentDay = state.currentDay;
+            accumulatedMinutes = state.accumulatedMinutes;
+            previousDay = state.previousDay;
+            hasPerformedRapidTestToday = state.hasPerformedRapidTestToday;
+            isSchoolClosed = state.isSchoolClosed;
+            closedSchoolDays = state.closedSchoolDays;
+            isSchoolDay = state.isSchoolDay;
+            random.setState(state.randomState);
+            mobilityMatrix = state.mobilityMatrix;
+            history = state.history;
+            infectionEvents = state.infectionEvents;
+            contaminationEvents = state.contaminationEvents;
+            return [];
+        }
+
+        /**
+         * The setup of this simulation as a scenario, see `createScenario`
+         * @returns {object}
+         */
+        function getScenario() {
+            return createScenario(config);
+        }
+
+        /**
+         * Replace the setup by a scenario: settings missing from it go back to their default, then the world is rebuilt
+         * and the simulation restarts. A scenario without a seed draws a random one
+         * @param {object} scenario - parsed scenario file
+         * @returns {Array<string>} - readable description of every problem, the simulation is left unchanged unless empty
+         */
+        function loadScenario(scenario) {
+            const errors = validateScenario(scenario);
+            if (errors.length === 0 && scenario.layout !== config.layout) {
+                errors.push(`This scenario is for the "${scenario.layout}" layout, this simulation uses the "${config.layout}" layout.`);
+            }
+            if (errors.length > 0) return errors;
+
+            Object.assign(config, DEFAULT_CONFIG, scenarioToConfig(scenario), {layout: config.layout});
+            config.seed = scenario.seed === null || scenario.seed === undefined ? createRandomSeed() : scenario.seed >>> 0;
+
+            if (config.layout === 'communities') {
+                buildCommunityWorld();
+            } else {
+                buildSchoolWorld();
+            }
+            reset();
+            return [];
+        }
+
+        reset();
+
+        return {
+            config: config,
+            step: step,
+            runFor: runFor,
+            skipToNextDay: skipToNextDay,
+            getState: getState,
+            reset: reset,
+            setActiveAgentCount: setActiveAgentCount,
+            setVaccinationCoverage: setVaccinationCoverage,
+            setRapidTestCoverage: setRapidTestCoverage,
+            setAsymptomaticRate: setAsymptomaticRate,
+            setSchoolChlorination: setSchoolChlorination,
+            setChlorinationCoverage: setChlorinationCoverage,
+            setChlorinationEfficacy: setChlorinationEfficacy,
+            setLatrineCoverage: setLatrineCoverage,
+            setSchoolClosure: setSchoolClosure,
+            setSchoolClosureDays: setSchoolClosureDays,
+            setReactiveSchoolClosure: setReactiveSchoolClosure,
+            setHolidays: setHolidays,
+            setAgentItinerary: setAgentItinerary,
+            setAgentsPerCommunity: setAgentsPerCommunity,
+            setMobilityProbability: setMobilityProbability,
+            resetMobilityMatrix: resetMobilityMatrix,
+            setCommunityClosure: setCommunityClosure,
+            setMobilityReduction: setMobilityReduction,
+            setAutoClosureThreshold: setAutoClosureThreshold,
+            setSeed: setSeed,
+            getScenario: getScenario,
+            loadScenario: loadScenario,
+            getSnapshot: getSnapshot,
+            restoreSnapshot: restoreSnapshot,
+            getReproductionNumbers: getReproductionNumbers,
+            getWaterbody: getWaterbody,
+            getTransmissionTree: getTransmissionTree
+        };
+    }
+
+    /**
+     * Gamma prior of the reproduction number, mean 5 and standard deviation 5 like EpiEstim (Cori et al. 2013)
+     * @type {{shape: number, scale: number}}
+     * @constant
+     */
+    const RT_PRIOR = {shape: 1, scale: 5};
+
+    /**
+     * Infections expected within the window at Rt = 1 below which no Rt is estimated, the prior would decide it
+     * @type {number}
+     * @constant
+     */
+    const RT_MIN_INFECTIOUSNESS = 1;
+
+    /**
+     * Serial interval discretised to whole days: the share of the infections caused k days after the infection of the source
+     * integrates a gamma distribution over [k - 0.5, k + 0.5), the first day also holding the first half day
+     * @param {number} meanDays - mean serial interval (days)
+     * @param {number} sdDays - standard deviation of the serial interval (days)
+     * @returns {Array<number>} - weight of each day, index 0 (same day) is always 0, the weights add up to 1
+     */
+    function getSerialIntervalWeights(meanDays, sdDays) {
+        const shape = (meanDays / sdDays) ** 2;
+        const scale = sdDays ** 2 / meanDays;
+        const lastDay = Math.ceil(meanDays + 5 * sdDays);
+        const stepDays = 0.05;
+
+        // the normalising constant of the gamma density cancels out, only the shape of the curve is integrated
+        const weights = [0];
+        for (let day = 1; day <= lastDay; day++) {
+            let weight = 0;
+            for (let x = day === 1 ? stepDays / 2 : day - 0.5 + stepDays / 2; x < day + 0.5; x += stepDays) {
+                weight += Math.exp((shape - 1) * Math.log(x) - x / scale);
+            }
+            weights.push(weight);
+        }
+
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return weights.map(weight => weight / total);
+    }
+
+    /**
+     * Quantile of a gamma distribution, Wilson-Hilferty approximation (accurate enough from a shape of 1)
+     * @param {number} shape - shape of the gamma distribution
+     * @param {number} scale - scale of the gamma distribution
+     * @param {number} z - quantile of the standard normal distribution, -1.96 and 1.96 for a 95% interval
+     * @returns {number}
+     */
+    function getGammaQuantile(shape, scale, z) {
+        const cubeRoot = 1 - 1 / (9 * shape) + z * Math.sqrt(1 / (9 * shape));
+        return shape * scale * Math.max(0, cubeRoot) ** 3;
+    }
+
+    /**
+     * Estimate the daily reproduction number Rt from infection events with the method of Cori et al. (2013):
+     * the infections within a window of days divided by the infectiousness of the earlier infections over that window,
+     * weighted by the serial interval, with a gamma prior. Infections count as caused by earlier infections for the share of
+     * their water shed by infected agents, the rest (the agents infected at the start, the initial contamination) only counts as a source
+     * @param {Array<{day: number, sources: Array<{share: number}>}>} infectionEvents - infections of a run, see `getState().infectionEvents`
+     * @param {number} lastDay - last day to estimate Rt for
+     * @param {{serialIntervalMeanDays: number, serialIntervalSdDays: number, windowDays: number}} options
+     * @returns {Array<{day: number, infections: number, rt: number|null, low: number|null, high: number|null}>}
+     *     one entry per day from day 1 with the infections caused by earlier infections, `rt` is the posterior mean and `low` to `high` its 95% credible interval,
+     *     all null while the earlier infections are too few to tell
+     */
+    function estimateReproductionNumbers(infectionEvents, lastDay, options) {
+        const weights = getSerialIntervalWeights(options.serialIntervalMeanDays, options.serialIntervalSdDays);
+        const localInfections = new Array(lastDay + 1).fill(0);
+        const allInfections = new Array(lastDay + 1).fill(0);
+
+        infectionEvents.forEach((event) => {
+            if (event.day > lastDay) return;
+            allInfections[event.day] += 1;
+            localInfections[event.day] += event.sources.reduce((sum, source) => sum + source.share, 0);
+        });
+
+        // infections expected on each day at Rt = 1 from the infections of the days before
+        const infectiousness = allInfections.map((count, day) => {
+            let total = 0;
+            for (let daysBefore = 1; daysBefore < weights.length && daysBefore < day; daysBefore++) {
+                total += allInfections[day - daysBefore] * weights[daysBefore];
+            }
+            return total;
+        });
+
+        const estimates = [];
+        for (let day = 1; day <= lastDay; day++) {
+            let windowInfections = 0;
+            let windowInfectiousness = 0;
+            for (let windowDay = Math.max(1, day - options.windowDays + 1); windowDay <= day; windowDay++) {
+                windowInfections += localInfections[windowDay];
+                windowInfectiousness += infectiousness[windowDay];
+            }
+
+            const entry = {day: day, infections: localInfections[day], rt: null, low: null, high: null};
+            if (windowInfectiousness >= RT_MIN_INFECTIOUSNESS) {
+                const shape = RT_PRIOR.shape + windowInfections;
+                const scale = 1 / (1 / RT_PRIOR.scale + windowInfectiousness);
+                entry.rt = shape * scale;
+                entry.low = getGammaQuantile(shape, scale, -1.96);
+                entry.high = getGammaQuantile(shape, scale, 1.96);
+            }
+            estimates.push(entry);
+        }
+
+        return estimates;
+    }
+
+    /**
+     * Build the transmission tree of a run from its logs: a graph of infections and waterbodies over time.
+     * An infection node per infection event, a water node per waterbody and day it infected someone on, linked
+     * from the infections whose shed Vibrio was in the water to the water node, and from the water node to the infections it caused.
+     * Every link points forward in time, so the tree has no cycles
+     * @param {Array<{minute: number, day: number, agentIndex: number, waterbodyId: string|null, sources: Array<{agentIndex: number, share: number}>}>} infectionEvents
+     *     infections of a run, see `getState().infectionEvents`
+     * @param {Array<{minute: number, agentIndex: number, waterbodyId: string}>} contaminationEvents - shedding visits of the run, see `getState().contaminationEvents`
+     * @param {number} scheduleStartTime - hour of the day the run started at, to place the nodes within their day
+     * @returns {{nodes: Array<{id: string, type: string, minute: number, time: number, day: number, agentIndex: number|null, waterbodyId: string|null,
+     *     infections: number}>,
+     *     links: Array<{source: string, target: string, share: number, visits: number}>}}
+     *     `time` is the day with the time of day as fraction (2.5 is noon of day 2), `infections` counts the infections caused by a water node;
+     *     a link into a water node has the largest share of the infected water held by the source and the visits of the source shedding there
+     *     since its infection, a link out of a water node has the share of the water shed by infected agents
+     */
+    function buildTransmissionTree(infectionEvents, contaminationEvents, scheduleStartTime) {
+        const nodes = [];
+        const links = [];
+        const nodesById = {};
+        const linksById = {};
+        const latestInfectionNodes = {};    // infection node of the latest infection of each agent, by agent index
+
+        // minutes of the shedding visits of each agent to each waterbody
+        const visitMinutes = {};
+        contaminationEvents.forEach((event) => {
+            const key = `${event.agentIndex}|${event.waterbodyId}`;
+            (visitMinutes[key] = visitMinutes[key] || []).push(event.minute);
+        });
+
+        /**
+         * Link two nodes once, keeping the largest share and visit count
+         * @param {string} source - id of the earlier node
+         * @param {string} target - id of the later node
+         * @param {number} share - share of the infected water
+         * @param {number} visits - shedding visits of the source
+         * @returns {void}
+         */
+        function addLink(source, target, share, visits) {
+            const id = `${source}>${target}`;
+            if (!linksById[id]) {
+                linksById[id] = {source: source, target: target, share: 0, visits: 0};
+                links.push(linksById[id]);
+            }
+            linksById[id].share = Math.max(linksById[id].share, share);
+            linksById[id].visits = Math.max(linksById[id].visits, visits);
+        }
+
+        infectionEvents.forEach((event, index) => {
+            const time = (event.minute + scheduleStartTime * 60) / (24 * 60) + 1;
+            const infectionNode = {
+                id: `infection-${index}`,
+                type: 'infection',
+                minute: event.minute,
+                time: time,
+                day: event.day,
+                agentIndex: event.agentIndex,
+                waterbodyId: event.waterbodyId,
+                infections: 0
+            };
+
+            if (event.waterbodyId !== null) {
+                const waterId = `water-${event.waterbodyId}-${event.day}`;
+                if (!nodesById[waterId]) {
+                    nodesById[waterId] = {
+                        id: waterId,
+                        type: 'water',
+                        minute: event.minute,
+                        time: time,
+                        day: event.day,
+                        agentIndex: null,
+                        waterbodyId: event.waterbodyId,
+                        infections: 0
+                    };
+                    nodes.push(nodesById[waterId]);
+                }
+                nodesById[waterId].infections += 1;
+
+                event.sources.forEach((source) => {
+                    const sourceNode = latestInfectionNodes[source.agentIndex];
+                    if (!sourceNode) return;
+
+                    const minutes = visitMinutes[`${source.agentIndex}|${event.waterbodyId}`] || [];
+                    const visits = minutes.filter(minute => minute >= sourceNode.minute && minute <= event.minute).length;
+                    addLink(sourceNode.id, waterId, source.share, visits);
+                });
+                addLink(waterId, infectionNode.id, event.sources.reduce((sum, source) => sum + source.share, 0), 0);
+            }
+
+            nodes.push(infectionNode);
+            nodesById[infectionNode.id] = infectionNode;
+            latestInfectionNodes[event.agentIndex] = infectionNode;
+        });
+
+        return {nodes: nodes, links: links};
+    }
+
+    /**
+     * Share of runs below the lower and upper edge of the bands reported by a batch
+     * @type {{low: number, high: number}}
+     * @constant
+     */
+    const BATCH_BANDS = {low: 0.05, high: 0.95};
+
+    /**
+     * Quantile of sorted values, interpolating linearly between the two nearest values
+     * @param {Array<number>} sortedValues - values in ascending order, at least one
+     * @param {number} share - share of the values below the quantile (0-1)
+     * @returns {number}
+     */
+    function getQuantile(sortedValues, share) {
+        const position = (sortedValues.length - 1) * share;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sortedValues.length - 1);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+
+    /**
+     * Median and bands of a list of values
+     * @param {Array<number>} values - one value per run
+     * @returns {{low: number, median: number, high: number}|null} - null without values
+     */
+    function getBands(values) {
+        if (values.length === 0) return null;
+
+        const sortedValues = values.slice().sort((a, b) => a - b);
+        return {
+            low: getQuantile(sortedValues, BATCH_BANDS.low),
+            median: getQuantile(sortedValues, 0.5),
+            high: getQuantile(sortedValues, BATCH_BANDS.high)
+        };
+    }
+
+    /**
+     * Outcome of one finished run, from its per-day history
+     * @param {Array<object>} history - one entry per simulated day, see `countAgentStates`
+     * @param {number} initialInfections - infections before the first tick (the initially infected agents)
+     * @returns {{dailyInfections: Array<number>, totalInfected: number, attackRate: number, peakDay: number|null, duration: number}}
+     *     new infections per day, agents infected at least once and their share of the agents (0-100%),
+     *     day with the most new infections (null without any) and the last day with an exposed or infected agent (0 without any)
+     */
+    function summarizeRun(history, initialInfections) {
+        const dailyInfections = history.map((entry, index) => entry.infections - (index === 0 ? initialInfections : history[index - 1].infections));
+        const lastEntry = history[history.length - 1];
+        const activeAgents = lastEntry.susceptible + lastEntry.exposed + lastEntry.infected + lastEntry.recovered;
+        const mostInfections = Math.max(...dailyInfections);
+
+        let duration = 0;
+        history.forEach((entry) => {
+            if (entry.exposed + entry.infected > 0) duration = entry.day;
+        });
+
+        return {
+            dailyInfections: dailyInfections,
+            totalInfected: lastEntry.everInfected,
+            attackRate: activeAgents > 0 ? (lastEntry.everInfected / activeAgents) * 100 : 0,
+            peakDay: mostInfections > 0 ? dailyInfections.indexOf(mostInfections) + 1 : null,
+            duration: duration
+        };
+    }
+
+    /**
+     * Run a scenario many times without drawing, each run with the next seed after the scenario seed
+     * Advance it one simulated day at a time with `advanceDay` so a page can spread the work over several frames
+     * @param {object} scenario - valid scenario, see `createScenario` and `validateScenario`
+     * @param {{runs: number, days: number}} options - number of runs and simulated days per run
+     * @returns {{advanceDay: function(): boolean, getProgress: function(): {runsDone: number, runs: number},
+     *     getSummary: function(): object}}
+     */
+    function createBatch(scenario, options) {
+        const config = Object.assign(scenarioToConfig(scenario), {layout: scenario.layout});
+        // a scenario without a seed gets a random base, like `createSimulation` and `loadScenario`
+        const baseSeed = scenario.seed === null || scenario.seed === undefined ? createRandomSeed() : scenario.seed;
+        const runResults = [];
+
+        /**
+         * Simulation of the run in progress, null between runs
+         * @type {object|null}
+         */
+        let simulation = null;
+
+        /**
+         * Infections before the first tick of the run in progress
+         * @type {number}
+         */
+        let initialInfections = 0;
+
+        /**
+         * Seed of a run, counting on from the scenario seed
+         * @param {number} runIndex - index of the run
+         * @returns {number}
+         */
+        function getRunSeed(runIndex) {
+            return (baseSeed + runIndex) >>> 0;
+        }
+
+        /**
+         * Simulate one more day, starting the next run when needed
+         * @returns {boolean} - whether runs are left
+         */
+        function advanceDay() {
+            if (runResults.length >= options.runs) return false;
+
+            if (!simulation) {
+                simulation = createSimulation(Object.assign({}, config, {seed: getRunSeed(runResults.length)}));
+                initialInfections = simulation.getState().history[0].infections;
+            }
+
+            simulation.skipToNextDay();
+
+            // the run ends at midnight after its last day
+            const state = simulation.getState();
+            if (state.day > options.days) {
+                runResults.push(summarizeRun(state.history.slice(0, options.days), initialInfections));
+                simulation = null;
+            }
+
+            return runResults.length < options.runs;
+        }
+
+        /**
+         * How far the batch is
+         * @returns {{runsDone: number, runs: number}} - finished runs and all runs
+         */
+        function getProgress() {
+            return {
+                runsDone: runResults.length,
+                runs: options.runs
+            };
+        }
+
+        /**
+         * Median and bands over the finished runs
+         * @returns {{runs: number, days: number, seeds: Array<number>, runsWithSpread: number,
+         *     dailyInfections: Array<{day: number, low: number, median: number, high: number}>,
+         *     totalInfected: object|null, attackRate: object|null, peakDay: object|null, duration: object|null}}
+         *     peak day bands only cover the runs with new infections
+         */
+        function getSummary() {
+            const dailyInfections = [];
+            for (let day = 1; day <= options.days && runResults.length > 0; day++) {
+                dailyInfections.push(Object.assign({day: day}, getBands(runResults.map(result => result.dailyInfections[day - 1]))));
+            }
+            const peakDays = runResults.map(result => result.peakDay).filter(day => day !== null);
+
+            return {
+                runs: runResults.length,
+                days: options.days,
+                seeds: runResults.map((result, index) => getRunSeed(index)),
+                runsWithSpread: peakDays.length,
+                dailyInfections: dailyInfections,
+                totalInfected: getBands(runResults.map(result => result.totalInfected)),
+                attackRate: getBands(runResults.map(result => result.attackRate)),
+                peakDay: getBands(peakDays),
+                duration: getBands(runResults.map(result => result.duration))
+            };
+        }
+
+        return {
+            advanceDay: advanceDay,
+            getProgress: getProgress,
+            getSummary: getSummary
+        };
+    }
+
+    /**
+     * Copy of a scenario with some settings replaced
+     * @param {object} scenario - valid scenario
+     * @param {Object<string, *>} values - new values by config key, each key must belong to a section of `SCENARIO_SCHEMA`
+     * @returns {object}
+     */
+    function withScenarioValues(scenario, values) {
+        const copy = JSON.parse(JSON.stringify(scenario));
+
+        Object.keys(values).forEach((key) => {
+            const section = Object.keys(SCENARIO_SCHEMA).find(name => key in SCENARIO_SCHEMA[name]);
+            copy[section] = Object.assign({}, copy[section], {[key]: values[key]});
+        });
+
+        return copy;
+    }
+
+    /**
+     * Run a batch for every combination of the values of one or two settings, e.g. vaccination x rapid test coverage
+     * Advance it one simulated day at a time with `advanceDay`, like `createBatch`
+     * @param {object} scenario - valid scenario the settings are varied on
+     * @param {{parameters: Array<{key: string, values: Array<*>}>, runs: number, days: number}} options
+     *     one or two settings with their values, runs per combination and simulated days per run
+     * @returns {{advanceDay: function(): boolean, getProgress: function(): {cellsDone: number, cells: number},
+     *     getSummary: function(): {parameters: Array<object>, cells: Array<{values: object, summary: object}>}}}
+     */
+    function createSweep(scenario, options) {
+        // every combination of the values, the first setting changing slowest
+        const combinations = options.parameters.reduce((partial, parameter) => {
+            const extended = [];
+            partial.forEach((values) => {
+                parameter.values.forEach((value) => {
+                    extended.push(Object.assign({}, values, {[parameter.key]: value}));
+                });
+            });
+            return extended;
+        }, [{}]);
+
+        const cells = [];
+
+        /**
+         * Batch of the combination in progress, null between combinations
+         * @type {object|null}
+         */
+        let batch = null;
+
+        /**
+         * Simulate one more day, starting the batch of the next combination when needed
+         * @returns {boolean} - whether combinations are left
+         */
+        function advanceDay() {
+            if (cells.length >= combinations.length) return false;
+
+            const values = combinations[cells.length];
+            if (!batch) {
+                batch = createBatch(withScenarioValues(scenario, values), {runs: options.runs, days: options.days});
+            }
+
+            if (!batch.advanceDay()) {
+                cells.push({values: values, summary: batch.getSummary()});
+                batch = null;
+            }
+
+            return cells.length < combinations.length;
+        }
+
+        /**
+         * How far the sweep is
+         * @returns {{cellsDone: number, cells: number}} - finished combinations and all combinations
+         */
+        function getProgress() {
+            return {cellsDone: cells.length, cells: combinations.length};
+        }
+
+        /**
+         * Batch summary of every finished combination
+         * @returns {{parameters: Array<object>, cells: Array<{values: object, summary: object}>}}
+         */
+        function getSummary() {
+            return {parameters: options.parameters, cells: cells.slice()};
+        }
+
+        return {
+            advanceDay: advanceDay,
+            getProgress: getProgress,
+            getSummary: getSummary
+        };
+    }
+
+    return {
+        DEFAULT_CONFIG: DEFAULT_CONFIG,
+        createSimulation: createSimulation,
+        createRandom: createRandom,
+        createTimeManager: createTimeManager,
+        doseResponse: doseResponse,
+        getContaminationLevel: getContaminationLevel,
+        getWaterColor: getWaterColor,
+        getCurrentHour: getCurrentHour,
+        getCurrentDay: getCurrentDay,
+        getTimeString: getTimeString,
+        getWeekday: getWeekday,
+        getWeekdayName: getWeekdayName,
+        isWeekend: isWeekend,
+        interpolatePosition: interpolatePosition,
+        generateAgentPositions: generateAgentPositions,
+        getGravityMobilityMatrix: getGravityMobilityMatrix,
+        SCENARIO_VERSION: SCENARIO_VERSION,
+        createScenario: createScenario,
+        validateScenario: validateScenario,
+        estimateReproductionNumbers: estimateReproductionNumbers,
+        buildTransmissionTree: buildTransmissionTree,
+        createBatch: createBatch,
+        createSweep: createSweep
+    };
+});
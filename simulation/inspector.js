@@ -0,0 +1,427 @@
+(function () {
+    /**
+     * Inspector of sim2-sim5: click an agent, house or waterbody on the canvas to see its full live state and history
+     * Features include:
+     * - Hit-testing on the canvas, agents drawn on top win over waterbodies and houses
+     * - Panel listing every field of the clicked object, refreshed while the simulation runs
+     * - History of the object from the infection and contamination events: infections, shedding visits, infections caused
+     * - The clicked agent, house or waterbody stays ringed on the canvas while the simulation runs
+     * - The pointer turns into a hand over anything that can be inspected
+     *
+     * The inspector only reads `getState()` of a `CholeraEngine` simulation, it never changes the simulation
+     */
+
+    /**
+     * Shortest real time (in milliseconds) between two refreshes of the panel while the simulation runs
+     * @type {number}
+     * @constant
+     */
+    const REFRESH_MILLISECONDS = 200;
+
+    /**
+     * Most recent events listed per kind of history, older ones are only counted
+     * @type {number}
+     * @constant
+     */
+    const HISTORY_LIMIT = 8;
+
+    /**
+     * Radius of waterbodies on the canvas, the same in every simulation
+     * @type {number}
+     * @constant
+     */
+    const WATERBODY_RADIUS = 15;
+
+    /**
+     * Value of a field as shown in the panel
+     * @param {*} value - field of an agent, house or waterbody
+     * @returns {string}
+     */
+    function formatValue(value) {
+        if (value === null || value === undefined) return '-';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Day and time of an event, like "day 3 14:20"
+     * @param {object} simulation - the `CholeraEngine` simulation of the event
+     * @param {number} minute - `minute` of an infection or contamination event
+     * @returns {string}
+     */
+    function formatMinute(simulation, minute) {
+        const startedMinutes = minute + simulation.config.scheduleStartTime * 60;
+        const minuteOfDay = startedMinutes % (24 * 60);
+        const hours = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+        const minutes = String(minuteOfDay % 60).padStart(2, '0');
+        return `day ${Math.floor(startedMinutes / (24 * 60)) + 1} ${hours}:${minutes}`;
+    }
+
+    /**
+     * Name of a waterbody, like "School water" or "Community 2 water"
+     * @param {object} simulation - the `CholeraEngine` simulation of the waterbody
+     * @param {string} id - id of the waterbody
+     * @returns {string}
+     */
+    function getWaterbodyName(simulation, id) {
+        const location = simulation.getState().locations[id];
+        if (location) return location.name;
+
+        const waterbody = simulation.getWaterbody(id);
+        return waterbody && waterbody.communityId !== undefined ? `Community ${waterbody.communityId + 1} water` : id;
+    }
+
+    /**
+     * Infection, exposure and immunity state of an agent in one word
+     * @param {object} agent - simulation agent
+     * @returns {string}
+     */
+    function getAgentStatus(agent) {
+        if (!agent.isActive) return 'inactive';
+        if (agent.isExposed) return 'exposed';
+        if (agent.isInfected) return agent.isAsymptomatic ? 'infected (asymptomatic)' : 'infected';
+        if (agent.isRecovered) return 'recovered';
+        return 'susceptible';
+    }
+
+    /**
+     * Where a mouse event happened, in canvas pixels (the canvas is scaled down on small screens)
+     * @param {HTMLCanvasElement} canvas - the clicked canvas
+     * @param {MouseEvent} event - click or mouse move
+     * @returns {{x: number, y: number}}
+     */
+    function getCanvasPoint(canvas, event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)),
+            y: (event.clientY - rect.top) * (canvas.height / (rect.height || canvas.height))
+        };
+    }
+
+    /**
+     * Wire the inspector of one simulation canvas
+     * @param {object} options
+     * @param {object} options.simulation - the `CholeraEngine` simulation drawn on the canvas
+     * @param {HTMLCanvasElement} options.canvas - canvas to hit-test
+     * @param {HTMLElement} options.panel - element showing the state and history of the clicked object
+     * @param {number} options.agentOffsetY - how far above its position the middle of an agent is drawn
+     * @param {number} options.agentRadius - distance from the middle of an agent that still hits it
+     * @param {boolean} options.drawsExtraLocations - whether the canvas draws the water points of the extra locations (well, river, ...)
+     * @param {function(): void} options.onChange - called after the selection changed, to redraw a paused simulation
+     * @returns {{draw: function(object): void}} - `draw(state)` rings the clicked object and refreshes the panel, call it from `drawScene`
+     */
+    function attachInspector(options) {
+        const simulation = options.simulation;
+        const ctx = options.canvas.getContext('2d');
+
+        /**
+         * Clicked object, null while the panel is closed
+         * @type {{type: string, index: number, id: string}|null}
+         */
+        let selection = null;
+
+        /**
+         * `performance.now()` of the last refresh of the panel
+         * @type {number}
+         */
+        let lastRefresh = -Infinity;
+
+        /**
+         * `elapsedHours` of the state shown in the panel
+         * @type {number}
+         */
+        let lastRefreshHours = -1;
+
+        /**
+         * Waterbodies drawn on the canvas
+         * @param {object} state - simulation state from `simulation.getState()`
+         * @returns {Array<object>}
+         */
+        function getDrawnWaterbodies(state) {
+            if (state.layout === 'communities') return state.waterbodies;
+
+            return [state.schoolWaterBody, state.marketWaterBody]
+                .concat(state.houseWaterBodies.filter((waterbody, index) => state.agents[index].isActive))
+                .concat(options.drawsExtraLocations ? state.extraWaterBodies : []);
+        }
+
+        /**
+         * Object drawn at a point of the canvas, agents first as they are drawn on top
+         * @param {{x: number, y: number}} point - point in canvas pixels
+         * @returns {{type: string, index: number, id: string}|null}
+         */
+        function hitTest(point) {
+            const state = simulation.getState();
+
+            for (let index = state.agents.length - 1; index >= 0; index--) {
+                const agent = state.agents[index];
+                if (!agent.isActive) continue;
+
+                const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+                if (Math.hypot(point.x - x, point.y - (y - options.agentOffsetY)) <= options.agentRadius) {
+                    return { type: 'agent', index: index, id: null };
+                }
+            }
+
+            const waterbody = getDrawnWaterbodies(state).find(water => Math.hypot(point.x - water.x, point.y - water.y) <= WATERBODY_RADIUS);
+            if (waterbody) return { type: 'waterbody', index: null, id: waterbody.id };
+
+            // houses are drawn as a 20 px square under a 10 px roof (school layout)
+            const houseIndex = state.houses.findIndex((house, index) => state.agents[index].isActive
+                && Math.abs(point.x - house.x) <= 10 && point.y >= house.y - 20 && point.y <= house.y + 10);
+            if (houseIndex >= 0) return { type: 'house', index: houseIndex, id: null };
+
+            return null;
+        }
+
+        /**
+         * Live object of the selection, null once it is gone (fewer agents after a change of the setup)
+         * @param {object} state - simulation state from `simulation.getState()`
+         * @returns {object|null}
+         */
+        function getSelectedObject(state) {
+            if (!selection) return null;
+            if (selection.type === 'agent') return state.agents[selection.index] || null;
+            if (selection.type === 'house') return state.houses[selection.index] || null;
+            return simulation.getWaterbody(selection.id);
+        }
+
+        /**
+         * Add a heading and a list of the latest history entries to the panel
+         * @param {string} title - heading of the list
+         * @param {Array<string>} entries - all entries, oldest first
+         * @returns {void}
+         */
+        function addHistory(title, entries) {
+            options.panel.appendChild(document.createElement('h5')).textContent = `${title} (${entries.length})`;
+            if (entries.length === 0) return;
+
+            const list = options.panel.appendChild(document.createElement('ul'));
+            entries.slice(-HISTORY_LIMIT).forEach((entry) => {
+                list.appendChild(document.createElement('li')).textContent = entry;
+            });
+            if (entries.length > HISTORY_LIMIT) {
+                list.appendChild(document.createElement('li')).textContent = `... and ${entries.length - HISTORY_LIMIT} earlier`;
+            }
+        }
+
+        /**
+         * Add a table with one row per field of an object to the panel
+         * @param {object} object - agent, house or waterbody
+         * @param {Array<string>} skippedKeys - fields shown elsewhere in the panel
+         * @returns {void}
+         */
+        function addFields(object, skippedKeys) {
+            const table = options.panel.appendChild(document.createElement('table'));
+            table.className = 'inspector-fields';
+
+            Object.keys(object).filter(key => !skippedKeys.includes(key)).forEach((key) => {
+                const row = table.insertRow();
+                row.insertCell().textContent = key;
+                row.insertCell().textContent = formatValue(object[key]);
+            });
+        }
+
+        /**
+         * Describe an infection: when, where and from whom
+         * @param {{minute: number, waterbodyId: string|null, sources: Array<{agentIndex: number, share: number}>}} event - infection event
+         * @returns {string}
+         */
+        function describeInfection(event) {
+            if (event.waterbodyId === null) return `${formatMinute(simulation, event.minute)} infected at the start`;
+
+            const sources = event.sources.length === 0
+                ? 'the initial contamination'
+                : event.sources.map(source => `Agent ${source.agentIndex + 1} (${Math.round(source.share * 100)}%)`).join(', ');
+            return `${formatMinute(simulation, event.minute)} at ${getWaterbodyName(simulation, event.waterbodyId)} from ${sources}`;
+        }
+
+        /**
+         * Fill the panel with the state and history of the agent of the selection
+         * @param {object} state - simulation state from `simulation.getState()`
+         * @param {object} agent - the selected agent
+         * @returns {void}
+         */
+        function showAgent(state, agent) {
+            const agentIndex = selection.index;
+            const home = agent.communityId !== undefined ? `community ${agent.communityId + 1}` : `house ${agentIndex + 1}`;
+            addTitle(`Agent ${agentIndex + 1} (${home}): ${getAgentStatus(agent)}`);
+            addFields(agent, []);
+
+            addHistory('Infections', state.infectionEvents
+                .filter(event => event.agentIndex === agentIndex)
+                .map(describeInfection));
+            addHistory('Shedding visits', state.contaminationEvents
+                .filter(event => event.agentIndex === agentIndex)
+                .map(event => `${formatMinute(simulation, event.minute)} into ${getWaterbodyName(simulation, event.waterbodyId)}`));
+
+            const caused = [];
+            state.infectionEvents.forEach((event) => {
+                const source = event.sources.find(item => item.agentIndex === agentIndex);
+                if (source) caused.push(`${formatMinute(simulation, event.minute)} Agent ${event.agentIndex + 1} (${Math.round(source.share * 100)}% of the water)`);
+            });
+            addHistory('Infections caused', caused);
+        }
+
+        /**
+         * Fill the panel with the state and history of the waterbody of the selection
+         * @param {object} state - simulation state from `simulation.getState()`
+         * @param {object} waterbody - the selected waterbody
+         * @returns {void}
+         */
+        function showWaterbody(state, waterbody) {
+            addTitle(`${getWaterbodyName(simulation, waterbody.id)}: ${waterbody.isContaminated ? 'contaminated' : 'clean'}`);
+            addFields(waterbody, ['contributions']);
+
+            addHistory('Vibrio left of the shedding of', Object.keys(waterbody.contributions)
+                .map(agentIndex => `Agent ${Number(agentIndex) + 1}: ${waterbody.contributions[agentIndex].toFixed(2)} cells/mL`));
+            addHistory('Shedding visits', state.contaminationEvents
+                .filter(event => event.waterbodyId === waterbody.id)
+                .map(event => `${formatMinute(simulation, event.minute)} Agent ${event.agentIndex + 1}`));
+            addHistory('Infections here', state.infectionEvents
+                .filter(event => event.waterbodyId === waterbody.id)
+                .map(event => `Agent ${event.agentIndex + 1}: ${describeInfection(event)}`));
+        }
+
+        /**
+         * Fill the panel with the state of the house of the selection and the history of its agent and water
+         * @param {object} state - simulation state from `simulation.getState()`
+         * @param {object} house - the selected house
+         * @returns {void}
+         */
+        function showHouse(state, house) {
+            const houseIndex = selection.index;
+            const waterbody = state.houseWaterBodies[houseIndex];
+            addTitle(`House ${houseIndex + 1}: ${house.isInfected ? 'infected' : 'not infected'}`);
+            addFields(house, []);
+
+            const table = options.panel.querySelector('.inspector-fields');
+            [
+                ['agent', `Agent ${houseIndex + 1}, ${getAgentStatus(state.agents[houseIndex])}`],
+                ['water concentration', `${waterbody.concentration.toFixed(2)} cells/mL`],
+                ['latrine', state.agents[houseIndex].hasLatrine ? 'yes' : 'no']
+            ].forEach(([key, value]) => {
+                const row = table.insertRow();
+                row.insertCell().textContent = key;
+                row.insertCell().textContent = value;
+            });
+
+            addHistory('Infections of its agent', state.infectionEvents
+                .filter(event => event.agentIndex === houseIndex)
+                .map(describeInfection));
+            addHistory('Infections at its water', state.infectionEvents
+                .filter(event => event.waterbodyId === waterbody.id)
+                .map(event => `Agent ${event.agentIndex + 1}: ${describeInfection(event)}`));
+        }
+
+        /**
+         * Start the panel with a title and a button closing it
+         * @param {string} text - title of the panel
+         * @returns {void}
+         */
+        function addTitle(text) {
+            const header = options.panel.appendChild(document.createElement('div'));
+            header.className = 'inspector-header';
+            header.appendChild(document.createElement('strong')).textContent = text;
+
+            const closeButton = header.appendChild(document.createElement('button'));
+            closeButton.className = 'time-bar-button';
+            closeButton.type = 'button';
+            closeButton.textContent = 'close';
+            closeButton.addEventListener('click', () => select(null));
+        }
+
+        /**
+         * Show the live state and history of the selection, or hide the panel without one
+         * @returns {void}
+         */
+        function refreshPanel() {
+            const state = simulation.getState();
+            const object = getSelectedObject(state);
+            lastRefresh = performance.now();
+            lastRefreshHours = state.elapsedHours;
+
+            options.panel.innerHTML = '';
+            options.panel.hidden = !object;
+            if (!object) {
+                selection = null;
+                return;
+            }
+
+            if (selection.type === 'agent') {
+                showAgent(state, object);
+            } else if (selection.type === 'house') {
+                showHouse(state, object);
+            } else {
+                showWaterbody(state, object);
+            }
+        }
+
+        /**
+         * Change the clicked object, null closes the panel
+         * @param {{type: string, index: number, id: string}|null} target - object to inspect
+         * @returns {void}
+         */
+        function select(target) {
+            selection = target;
+            refreshPanel();
+            options.onChange();
+        }
+
+        /**
+         * Ring the clicked object and refresh the panel now and then while the simulation runs
+         * @param {object} state - simulation state from `simulation.getState()`
+         * @returns {void}
+         */
+        function draw(state) {
+            if (!selection) return;
+
+            const object = getSelectedObject(state);
+            // redraws of a paused simulation (a changed setting, a step) refresh at once, a running one only now and then
+            const isPaused = state.elapsedHours === lastRefreshHours;
+            if (isPaused || performance.now() - lastRefresh >= REFRESH_MILLISECONDS || !object) refreshPanel();
+            if (!object) return;
+
+            ctx.strokeStyle = 'deepskyblue';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+
+            if (selection.type === 'agent') {
+                if (!object.isActive) {
+                    ctx.setLineDash([]);
+                    return;
+                }
+
+                // draw between the last two simulation ticks for smooth movement
+                const { x, y } = CholeraEngine.interpolatePosition(object, state.interpolation);
+                ctx.arc(x, y - options.agentOffsetY, options.agentRadius + 6, 0, Math.PI * 2);
+            } else if (selection.type === 'house') {
+                ctx.rect(object.x - 15, object.y - 25, 30, 40);
+            } else {
+                ctx.arc(object.x, object.y, WATERBODY_RADIUS + 10, 0, Math.PI * 2);
+            }
+
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        options.canvas.addEventListener('click', function(event) {
+            select(hitTest(getCanvasPoint(options.canvas, event)));
+        });
+
+        options.canvas.addEventListener('mousemove', function(event) {
+            options.canvas.style.cursor = hitTest(getCanvasPoint(options.canvas, event)) ? 'pointer' : '';
+        });
+
+        return {
+            draw: draw
+        };
+    }
+
+    window.CholeraInspector = {
+        attachInspector: attachInspector
+    };
+}) ();
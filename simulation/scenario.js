@@ -0,0 +1,258 @@
+(function () {
+    /**
+     * Scenario files and snapshots of sim2-sim5
+     * Features include:
+     * - "save scenario" downloads the setup of a simulation as a JSON scenario file
+     * - "load scenario" reads a scenario file chosen by the user and lists every problem of an invalid file
+     * - "snapshot" keeps the full state of a running simulation in the browser (localStorage), "restore" continues from it,
+     *   so several "what if" continuations can branch from the same point of an outbreak
+     * - snapshots can be downloaded and opened again as JSON files
+     *
+     * The scenario and snapshot formats live in `CholeraEngine` (engine.js), see `createScenario` and `getSnapshot`
+     */
+
+    /**
+     * Prefix of the localStorage key holding the snapshots of one simulation
+     * @type {string}
+     * @constant
+     */
+    const SNAPSHOT_STORAGE_PREFIX = 'cholera-snapshots-';
+
+    /**
+     * Show the result of the last scenario or snapshot action under the buttons
+     * @param {HTMLElement} messageElement - element holding the message
+     * @param {string} text - message
+     * @param {Array<string>} [errors] - problems of the file, listed under the message
+     * @returns {void}
+     */
+    function showMessage(messageElement, text, errors) {
+        messageElement.innerHTML = '';
+        messageElement.classList.toggle('scenario-error', Boolean(errors));
+        messageElement.appendChild(document.createElement('span')).textContent = text;
+
+        if (errors) {
+            const list = messageElement.appendChild(document.createElement('ul'));
+            errors.forEach((error) => {
+                list.appendChild(document.createElement('li')).textContent = error;
+            });
+        }
+    }
+
+    /**
+     * Download data as a JSON file
+     * @param {object} data - scenario or snapshot
+     * @param {string} fileName - name of the downloaded file
+     * @returns {void}
+     */
+    function downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Read the JSON file chosen in a file input, then clear the input so the same file can be chosen again
+     * @param {HTMLInputElement} fileInput - file input that changed
+     * @param {HTMLElement} messageElement - element showing that the file is not valid JSON
+     * @param {function(*, string): void} onRead - called with the parsed file and its name
+     * @returns {void}
+     */
+    function readJsonFile(fileInput, messageElement, onRead) {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (error) {
+                showMessage(messageElement, `${file.name} is not a valid JSON file:`, [error.message]);
+                return;
+            }
+            onRead(data, file.name);
+        };
+        reader.readAsText(file);
+
+        fileInput.value = '';
+    }
+
+    /**
+     * Wire the save and load buttons of one simulation wrapper
+     * @param {object} options
+     * @param {object} options.simulation - the `CholeraEngine` simulation of the wrapper
+     * @param {string} options.fileName - name of saved scenario files
+     * @param {HTMLButtonElement} options.saveButton - button downloading the scenario
+     * @param {HTMLButtonElement} options.loadButton - button opening the file picker
+     * @param {HTMLInputElement} options.fileInput - hidden file input
+     * @param {HTMLElement} options.messageElement - element showing the result of loading
+     * @param {function(): void} options.onLoad - called after a scenario was loaded, to update the controls and redraw
+     * @returns {void}
+     */
+    function attachScenarioControls(options) {
+        options.saveButton.addEventListener('click', function() {
+            downloadJson(options.simulation.getScenario(), options.fileName);
+        });
+
+        options.loadButton.addEventListener('click', function() {
+            options.fileInput.click();
+        });
+
+        options.fileInput.addEventListener('change', function() {
+            readJsonFile(this, options.messageElement, (scenario, fileName) => {
+                const errors = options.simulation.loadScenario(scenario);
+                if (errors.length > 0) {
+                    showMessage(options.messageElement, `${fileName} was not loaded:`, errors);
+                    return;
+                }
+
+                showMessage(options.messageElement, `Loaded ${fileName}`);
+                options.onLoad();
+            });
+        });
+    }
+
+    /**
+     * Snapshots of one simulation kept in localStorage, an empty list when there are none or storage is unavailable
+     * @param {string} name - name of the simulation ('sim2' ... 'sim5')
+     * @returns {Array<{label: string, snapshot: object}>}
+     */
+    function readStoredSnapshots(name) {
+        try {
+            const entries = JSON.parse(localStorage.getItem(SNAPSHOT_STORAGE_PREFIX + name));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Keep the snapshots of one simulation in localStorage
+     * @param {string} name - name of the simulation ('sim2' ... 'sim5')
+     * @param {Array<{label: string, snapshot: object}>} entries - snapshots to keep
+     * @returns {string|null} - why the snapshots could not be kept, null when they were
+     */
+    function writeStoredSnapshots(name, entries) {
+        try {
+            localStorage.setItem(SNAPSHOT_STORAGE_PREFIX + name, JSON.stringify(entries));
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Wire the snapshot controls of one simulation wrapper
+     * @param {object} options
+     * @param {object} options.simulation - the `CholeraEngine` simulation of the wrapper
+     * @param {string} options.name - name of the simulation ('sim2' ... 'sim5'), keeps the snapshots of each simulation apart
+     * @param {HTMLButtonElement} options.takeButton - button taking a snapshot
+     * @param {HTMLSelectElement} options.snapshotSelect - list of the kept snapshots
+     * @param {HTMLButtonElement} options.restoreButton - button restoring the selected snapshot
+     * @param {HTMLButtonElement} options.deleteButton - button deleting the selected snapshot
+     * @param {HTMLButtonElement} options.downloadButton - button downloading the selected snapshot
+     * @param {HTMLButtonElement} options.openButton - button opening a snapshot file
+     * @param {HTMLInputElement} options.fileInput - hidden file input
+     * @param {HTMLElement} options.messageElement - element showing the result of the last action
+     * @param {function(): void} options.onRestore - called after a snapshot was restored, to stop the animation and redraw
+     * @returns {void}
+     */
+    function attachSnapshotControls(options) {
+        let entries = readStoredSnapshots(options.name);
+
+        /**
+         * Fill the snapshot list, the buttons acting on the selected snapshot are disabled while the list is empty
+         * @param {number} selectedIndex - index of the snapshot to select
+         * @returns {void}
+         */
+        function updateSnapshotList(selectedIndex) {
+            options.snapshotSelect.length = 0;
+            entries.forEach((entry, index) => {
+                options.snapshotSelect.add(new Option(entry.label, index, false, index === selectedIndex));
+            });
+            if (entries.length === 0) {
+                options.snapshotSelect.add(new Option('no snapshots', ''));
+            }
+
+            options.restoreButton.disabled = entries.length === 0;
+            options.deleteButton.disabled = entries.length === 0;
+            options.downloadButton.disabled = entries.length === 0;
+        }
+
+        /**
+         * Continue from a snapshot, or list why it cannot be restored
+         * @param {object} snapshot - parsed snapshot
+         * @param {string} label - name of the snapshot in messages
+         * @returns {void}
+         */
+        function restore(snapshot, label) {
+            const errors = options.simulation.restoreSnapshot(snapshot);
+            if (errors.length > 0) {
+                showMessage(options.messageElement, `${label} was not restored:`, errors);
+                return;
+            }
+
+            options.onRestore();
+            showMessage(options.messageElement, `Restored ${label}, change the controls for a "what if" branch and press start`);
+        }
+
+        updateSnapshotList(0);
+
+        options.takeButton.addEventListener('click', function() {
+            const state = options.simulation.getState();
+            const label = `Day ${state.day} ${state.timeString} (seed ${state.seed})`;
+
+            entries.push({ label: label, snapshot: options.simulation.getSnapshot() });
+            const storageError = writeStoredSnapshots(options.name, entries);
+            if (storageError) {
+                entries.pop();
+                showMessage(options.messageElement, 'The snapshot could not be kept in the browser, restore or delete older snapshots first:', [storageError]);
+                return;
+            }
+
+            updateSnapshotList(entries.length - 1);
+            showMessage(options.messageElement, `Took snapshot ${label}`);
+        });
+
+        options.restoreButton.addEventListener('click', function() {
+            const entry = entries[parseInt(options.snapshotSelect.value)];
+            if (entry) restore(entry.snapshot, entry.label);
+        });
+
+        options.deleteButton.addEventListener('click', function() {
+            const index = parseInt(options.snapshotSelect.value);
+            if (!entries[index]) return;
+
+            const label = entries[index].label;
+            entries.splice(index, 1);
+            writeStoredSnapshots(options.name, entries);
+            updateSnapshotList(Math.max(0, index - 1));
+            showMessage(options.messageElement, `Deleted snapshot ${label}`);
+        });
+
+        options.downloadButton.addEventListener('click', function() {
+            const entry = entries[parseInt(options.snapshotSelect.value)];
+            if (!entry) return;
+
+            const state = entry.snapshot.state;
+            downloadJson(entry.snapshot, `${options.name}-snapshot-day-${state.currentDay}-seed-${entry.snapshot.scenario.seed}.json`);
+        });
+
+        options.openButton.addEventListener('click', function() {
+            options.fileInput.click();
+        });
+
+        options.fileInput.addEventListener('change', function() {
+            readJsonFile(this, options.messageElement, restore);
+        });
+    }
+
+    window.CholeraScenario = {
+        attachScenarioControls: attachScenarioControls,
+        attachSnapshotControls: attachSnapshotControls,
+        showMessage: showMessage
+    };
+}) ();
@@ -0,0 +1,121 @@
+(function () {
+    /**
+     * Shareable links holding the settings of sim2-sim5 in the URL hash
+     * Features include:
+     * - "copy link" copies a link like `#sim4?n=7&vac=30&test=80&seed=42` with the slider values, seed and speed of one simulation
+     * - opening such a link restores those settings and scrolls to the simulation
+     * - changing the hash of an open page (pasting a link) applies it again
+     *
+     * Settings are applied through the controls themselves, so labels and the simulation update exactly as if the user moved them
+     */
+
+    /**
+     * Hash of a shared link: the simulation name, then its settings as query parameters
+     * @type {RegExp}
+     * @constant
+     */
+    const SHARE_HASH_PATTERN = /^#(sim\d+)(?:\?(.*))?$/;
+
+    /**
+     * Value of a control as written in the link, checkboxes as 1 or 0
+     * @param {HTMLInputElement|HTMLSelectElement} control - slider, checkbox, select or text field
+     * @returns {string}
+     */
+    function readControl(control) {
+        return control.type === 'checkbox' ? (control.checked ? '1' : '0') : control.value;
+    }
+
+    /**
+     * Set a control to a value from a link and fire the event its listener waits for
+     * sliders clamp the value to their range themselves, selects ignore values they do not offer
+     * @param {HTMLInputElement|HTMLSelectElement} control - slider, checkbox, select or text field
+     * @param {string} value - value from the link
+     * @returns {void}
+     */
+    function applyControl(control, value) {
+        if (control.type === 'checkbox') {
+            control.checked = value === '1';
+        } else if (control.tagName === 'SELECT') {
+            if (![...control.options].some((option) => option.value === value)) return;
+            control.value = value;
+        } else {
+            control.value = value;
+        }
+
+        control.dispatchEvent(new Event(control.type === 'range' ? 'input' : 'change'));
+    }
+
+    /**
+     * Link to the page with the current settings of one simulation
+     * @param {string} name - name of the simulation ('sim2' ... 'sim5')
+     * @param {Object<string, HTMLElement>} parameters - controls by their key in the link
+     * @returns {string}
+     */
+    function createShareLink(name, parameters) {
+        const query = new URLSearchParams();
+        Object.keys(parameters).forEach((key) => {
+            query.set(key, readControl(parameters[key]));
+        });
+
+        return `${location.href.split('#')[0]}#${name}?${query.toString()}`;
+    }
+
+    /**
+     * Wire the "copy link" button of one simulation wrapper and apply a link to it when the page opens with one
+     * @param {object} options
+     * @param {string} options.name - name of the simulation ('sim2' ... 'sim5'), the start of its links
+     * @param {HTMLElement} options.wrapper - element scrolled into view when a link is opened
+     * @param {Object<string, HTMLElement>} options.parameters - controls by their key in the link, applied in this order
+     * @param {HTMLButtonElement} options.copyButton - button copying the link
+     * @param {HTMLElement} options.messageElement - element showing the copied link or the parameters that were ignored
+     * @param {function(): void} options.beforeApply - called before a link is applied, to stop a running simulation
+     * @returns {void}
+     */
+    function attachShareControls(options) {
+        /**
+         * Apply the link in the URL hash if it belongs to this simulation
+         * @returns {void}
+         */
+        function applyHash() {
+            const match = SHARE_HASH_PATTERN.exec(location.hash);
+            if (!match || match[1] !== options.name) return;
+
+            const query = new URLSearchParams(match[2] || '');
+            const unknownKeys = [...query.keys()].filter((key) => !options.parameters[key]);
+
+            options.beforeApply();
+            Object.keys(options.parameters).forEach((key) => {
+                if (query.has(key)) applyControl(options.parameters[key], query.get(key));
+            });
+
+            if (unknownKeys.length > 0) {
+                CholeraScenario.showMessage(options.messageElement, 'Some settings of the link were ignored:', unknownKeys);
+            }
+            options.wrapper.scrollIntoView();
+        }
+
+        options.copyButton.addEventListener('click', function() {
+            const link = createShareLink(options.name, options.parameters);
+
+            // show the link in the address bar too, without jumping to it
+            history.replaceState(null, '', link);
+
+            if (!navigator.clipboard) {
+                CholeraScenario.showMessage(options.messageElement, `Copy this link: ${link}`);
+                return;
+            }
+            navigator.clipboard.writeText(link).then(
+                () => CholeraScenario.showMessage(options.messageElement, 'Copied the link to these settings'),
+                () => CholeraScenario.showMessage(options.messageElement, `Copy this link: ${link}`)
+            );
+        });
+
+        window.addEventListener('hashchange', applyHash);
+        applyHash();
+    }
+
+    window.CholeraShare = {
+        attachShareControls: attachShareControls,
+        applyControl: applyControl
+    };
+}) ();
@@ -4,10 +4,18 @@
      * Features include:
      * - Multiple agents (configurable via slider)
      * - Predefined house positions
-     * - Threshold-based water contamination
+     * - Vibrio concentration in the water with decay, dilution and a dose-response chance of infection
      * - Time-delayed house infection
      * - time based scheduling system for realistic daily cycles
-     * - Infection tracking graph over time
+     * - Weekends without school: agents stay home, go to the market or visit another house instead
+     * - Vaccination coverage with reduced infection risk
+     * - Epidemic curve of susceptible, exposed, infected, recovered, vaccinated and isolated agents per day
+     * - Live reproduction number Rt estimated from the infections of the finished days, with the Rt = 1 threshold
+     * - Transmission tree of the infections through the waterbodies, hovering a node rings its agents and waterbodies on the canvas
+     * - Clicking an agent, house or waterbody shows its live state and history, the clicked one stays ringed
+     * - Batch of runs of the current setup with a fan chart and the spread of attack rate, peak day and outbreak duration
+     *
+     * The epidemic logic lives in `CholeraEngine` (engine.js), this file only renders it and wires the controls
      */
 
     /**
@@ -23,692 +31,237 @@
     canvas.height = 400;  // Internal resolution
 
     /**
-     * School location at the center of the canvas
-     * @type {{x: number, y: number}}
+     * How many simulated hours pass per real second
+     * @type {number}
      */
-    const school = {x: canvas.width/2, y: canvas.height/2};
+    const timeScale = 2;                            // 2 simulated hours per real second
 
     /**
-     * School water body with threshold-based contamination
-     * @type {{x: number, y: number, isContaminated: boolean, infectedVisitCount: number, contaminationThreshold: number}}
-     * @property {number} x - X coordinate
-     * @property {number} y - Y coordinate
-     * @property {boolean} isContaminated - Contamination state
-     * @property {number} infectedVisitCount - Number of infected agent visits
-     * @property {number} contaminationThreshold - Required visits to contaminate
+     * Speed selector multiplying the time scale (0.25x to 50x)
+     * @type {HTMLSelectElement}
      */
-    const schoolWaterBody = {
-        x: school.x,
-        y: school.y+60,
-        isContaminated: false,           // track waterbody contamination state
-        infectedVisitCount: 0,           // track number of infected agent visit to the waterbody
-        contaminationThreshold: 3        // threshold of infected visit to contaminate the waterbody
-    }
+    const speedSelect = document.getElementById('sim3-speed');
 
     /**
-     * Time system for simulation scheduling with configurable granularity
-     * Tracks simulation time in abstract units that map to hours and days
-     * @type {{scheduleStartTime: number, currentSimulationTime: number, timeScale: number, currentDay: number}}
-     * @property {number} scheduleStartTime - Hour to start the day (8am)
-     * @property {number} currentSimulationTime - Elapsed time in real seconds
-     * @property {number} timeScale - How many simulated hours pass per real second
-     * @property {number} currentDay - Current day counter
-     */
-    const timeManager = {
-        scheduleStartTime: 8,           // Start at 8:00 AM
-        currentSimulationTime: 0,       // Elapsed time in seconds when  the simulation start running
-        timeScale: 2,                   // 2 simulated hours per real second (adjustable)
-        currentDay: 0,                  // initial simulation start at day 0                      
-    }
-
-    /** 
-     * Get Current hour of the day (0-23 hours)
-     * @param {Object} timeManager - the time manager object
-     * @returns {number} - current hour in 24-hour format
+     * Current speed multiplier from the speed selector
+     * @type {number}
      */
-    function getCurrentHour(timeManager) {
-        const totalHours = timeManager.currentSimulationTime * timeManager.timeScale;
-        return Math.floor(totalHours + timeManager.scheduleStartTime) % 24;
-    }
-
-    /**
-     * Get current day number 
-     * @param {object} timeManager - the time manager object
-     * @returns {number} - current day number
-     */ 
-    function getCurrentDay(timeManager) {
-        const totalHours = timeManager.currentSimulationTime * timeManager.timeScale;
-        return Math.ceil((totalHours + timeManager.scheduleStartTime) / 24);
-    }
+    let speedMultiplier = parseFloat(speedSelect.value);
 
     /**
-     * Update Simulation time manager to update the currentSimulationTime (total hour simulation has been running) and currentDay (how many day simulation has been running) based on elapsed time
-     * @param {object} timeManager - the time manager object
-     * @param {number} deltaTime - time elapsed since last update in milliseconds
-     * @returns {void}
-     */
-    function updateTimeManager(timeManager, deltaTime) {
-        timeManager.currentSimulationTime += deltaTime / 1000;          // convert ms to seconds
-        timeManager.currentDay = getCurrentDay(timeManager);
-    }
-
-    /** 
-     * reset the time manager to initial state
-     * @param {object} timeManager - the time manager object
-     * @returns {void}
-     */
-    function resetTimeManager(timeManager) {
-        timeManager.currentSimulationTime = 0;
-        timeManager.currentDay = 0;
-    }
-
-    /** 
-     * get Formatted time string (HH:MM) for display
-     * @param {object} timeManager - the time manager object
-     * @returns {string} - formatted time string
-     */
-    function getTimeString(timeManager) {
-        const hour = getCurrentHour(timeManager);
-        return `${hour.toString().padStart(2, '0')}:00`
-    }
-
-    /** 
-     * Schedule configuration for agent activities based on time of day
-     * @type {{schoolStart: number, schoolEnd: number}}
+     * Buttons advancing the simulation by one hour or to the next day
+     * @type {HTMLButtonElement}
      */
-    const scheduleConfig = {
-        schoolStart: 8,    // School starts at 8:00 AM
-        schoolEnd: 17      // School ends at 5:00 PM
-    };  
+    const stepHourButton = document.getElementById('sim3-step-hour-button');
+    const skipDayButton = document.getElementById('sim3-skip-day-button');
 
     /**
-     * Bathroom slot configruration for agents at home and school
-     * @type {{school: number[], house: number[]}}
+     * Slider input element for controlling number of active agents
+     * @type {HTMLInputElement}
      */
-    const bathroomSlots = {
-        school: [12, 13, 14, 15, 16, 17],  // bathroom slots available at school (hours)
-        house: [20,21, 22, 23]
-    }
+    // track the slider label number of the current neighborhood number
+    let neighborhoodNumber = document.getElementById('sim3-neighbour-number');
 
     /**
-     * determines where agent should be based on current hour
-     * @param {number}  currentHour - hour of the day (0-23)
-     * @returns {string} - location identifier ('school' or 'house')
-     */
-    function getCurrentScheduleMode(currentHour) {
-        if (currentHour >= scheduleConfig.schoolStart && currentHour < scheduleConfig.schoolEnd){
-            return 'school';
-        }
-        return 'house';
-
-    }
-
-    /** 
-     * Determine agent's target location based on current schedule mode
-     * @ param {object} agentInput - The agent to check 
-     * @ returns {string} - Target Location label
-     */
-    function getAgentTargetLocation(agentInput) {
-        // check if agent is inactive
-        if (!agentInput.isActive) return 'house';
-
-        // get current hour
-        const currentHour = getCurrentHour(timeManager);        // get current hour by calling the function getCurrentHour
-
-        // determine current schedule mode 
-        const targetLocation = getCurrentScheduleMode(currentHour);
-
-        agentInput.isAtSchool = (targetLocation === 'school');    // update agent's isAtSchool property, the value is boolean, true when targetLocation is 'school', false otherwise
-        return targetLocation;
-    }
-
-    /**     * Predefined house positions distributed evenly around the canvas
-     * Supports up to 10 houses/agents in the simulation
-     * @type {Array<{x: number, y: number}>}
-     * @constant
+     * Label element displaying current slider value
+     * @type {HTMLSpanElement}
      */
-    // predefined house position distributed around the school
-    const housePosition = [
-        {x: 150, y: 100},               //position 1
-        {x: 450, y: 300},               //position 2
-        {x: 450, y: 100},               //position 3
-        {x: 150, y: 300},               //position 4
-        {x: 500, y: 200},               //position 5
-        {x: 100, y: 200},               //position 6
-        {x: 375, y: 40},               //position 7
-        {x: 225, y: 360},               //position 8
-        {x: 375, y: 360},               //position 9
-        {x: 225, y: 40}                //position 10
-    ];
+    let neighborhoodNumberLabel = document.getElementById('sim3-neighbour-label');
 
     /**
-     * Array of house objects with predefined positions
-     * @type {Array<{x: number, y: number, isInfected: boolean, id: number}>}
-     * @property {number} x - X coordinate
-     * @property {number} y - Y coordinate
-     * @property {boolean} isInfected - Infection state
-     * @property {number} id - House identifier
+     * Slider input element for controlling vaccination coverage
+     * @type {HTMLInputElement}
      */
-    // initialise house array with predefined position
-    const houses = housePosition.map((pos, index) => ({
-        x: pos.x,
-        y: pos.y,
-        isInfected: false,
-        id: index 
-    }));
+    let vaccinationSlider = document.getElementById('sim3-vaccination-slider');
 
     /**
-     * Array of house water bodies, positioned relative to each house
-     * Water bodies are offset to the left or right based on house position
-     * @type {Array<{x: number, y: number, isContaminated: boolean, contaminatedTime: number, houseId: number}>}
-     * @property {number} x - X coordinate (offset from house)
-     * @property {number} y - Y coordinate (same as house)
-     * @property {boolean} isContaminated - Contamination state
-     * @property {number} contaminatedTime - Duration of contamination in milliseconds
-     * @property {number} houseId - Associated house identifier
+     * Label element displaying current vaccination coverage
+     * @type {HTMLSpanElement}
      */
-    // initialise housewater bodies array corresponding to each house (offset from each house)
-    const houseWaterBodies = houses.map((house, index) => ({
-        x: house.x > canvas.width / 2 ? house.x + 60 : house.x - 60,
-        y: house.y,
-        isContaminated: false,
-        contaminatedTime: 0,
-        houseId: index
-    }));
+    let vaccinationLabel = document.getElementById('sim3-vaccination-label');
 
     /**
-     * Array of agent objects, one per house
-     * Agents 1 and 2 start infected for simulation purposes
-     * @type {Array<{x: number, y: number, speed: number, itinerary: string[], stepIndex: number, isInfected: boolean, houseId: number, isActive: boolean}>}
-     * @property {number} x - Current X position
-     * @property {number} y - Current Y position
-     * @property {number} speed - Movement speed in pixels per frame
-     * @property {string} currentLocation - Current location label
-     * @property {string} targetLocation - Next target location based on schedule
-     * @property {boolean} isInfected - Infection state
-     * @property {number} houseId - Associated house identifier
-     * @property {boolean} isActive - Whether agent is visible/active (controlled by slider)
-     * @property {boolean} isAtSchool - Whether agent is currently at school (vs at home)
-     * @property {number} schoolBathroomHour - Assigned hour to visit school bathroom
-     * @property {number} houseBathroomHour - Assigned hour to visit home bathroom
-     * @property {boolean} hasVisitedSchoolBathroomToday - Whether visited school bathroom today
-     * @property {boolean} hasVisitedHouseBathroomToday - Whether visited home bathroom today
-     * @property {boolean} isTravelingToBathroom - Whether currently going to bathroom
-     * @property {boolean} isVaccinated - Whether agent is vaccinated or not
-     * @property {number} infectionStartDay - Day when infection started (for tracking duration)
-     * @property {boolean} isRecovered - Whether agent has become immune after infection
-     * @property {number} recoveryStartDay - Day when recovery started (for tracking immunity duration)
+     * Seed input of the random number generator, the same seed and sliders replay the same epidemic
+     * @type {HTMLInputElement}
      */
-    // initialise agent (one agent per house)
-    const agents = houses.map((house, index) => ({
-        x: house.x + 10,
-        y: house.y + 10, 
-        speed: 1.5,
-        currentLocation: 'house',               // initial location set to 'house'
-        targetLocation: 'house',                // initial target location is staying at 'house'
-        isInfected: index === 1 || index === 2 ? true : false,                      // track agent infection state
-        infectionStartDay: index === 1 || index === 2 ? 1 : null,   // track the day when agent got infected, initial infected agents (agent index 1 and 2) start at day 0
-        isRecovered: false,                         // track if agent has recovered and become immune
-        recoveryStartDay: 0,                         // track the day when agent recovered from infection
-        houseId: index,                         // associate agent to the house
-        isActive: true,                         // track if agent is still active in the simulation based on slider input
-        isAtSchool: false,                      // track if agent currently at school or not
-        schoolBathroomHour: 0,                  // assigned bathroom hour at school, will be assigned daily
-        houseBathroomHour: 0,                    // assigned bathroom hour at home, will be assigned daily
-        hasVisitedSchoolBathroomToday: false,        // track if agent has visited school bathroom today
-        hasVisitedHouseBathroomToday: false,          // track if agent has visited home bathroom today
-        isTravelingToBathroom: false,           // track if agent is currently traveling to bathroom
-        isVaccinated: false                      // track if agent is vaccinated or not
-    }));    
+    let seedInput = document.getElementById('sim3-seed');
 
     /**
-     * Current number of active agents in the simulation
-     * Controlled by the neighborhood slider
-     * @type {number}
+     * Buttons saving the setup as a scenario file and loading one, see scenario.js
+     * @type {HTMLButtonElement}
      */
-    // Current number of active agents in the simulation
-    let activeAgentCount = 5;                   // based on the initial value of the slider
+    const saveScenarioButton = document.getElementById('sim3-save-scenario-button');
+    const loadScenarioButton = document.getElementById('sim3-load-scenario-button');
 
-    /**
-     * Number of current vaccination coverage (0-100%)
-     * controlled by the vaccination slider
-     * @type {number}
-     */
-    let vaccinationCoverage = 50;                // initial vaccination coverage set to 50%
+    // set initial slider values
+    neighborhoodNumberLabel.textContent = neighborhoodNumber.value;
+    vaccinationLabel.textContent = vaccinationSlider.value;
 
     /**
-     * Vaccination Effe3ctiveness in percentage
-     * @type {number}
+     * Headless simulation driving this canvas
+     * @type {object}
      */
-    const vaccinationEffectiveness = 69;        // vaccination effectiveness set to 69%
-    
-    /**
-     * duration of infection in days before agent becomes immune
-     * @type {number}
-     */
-    const infectionDuration = 7; // 7 days of infection before immunity
+    const simulation = CholeraEngine.createSimulation({
+        width: canvas.width,
+        height: canvas.height,
+        seed: seedInput.value === '' ? null : parseInt(seedInput.value),   // a random seed is drawn when the field is empty
+        activeAgentCount: parseInt(neighborhoodNumber.value),
+        vaccinationCoverage: parseInt(vaccinationSlider.value),
+        infectionDuration: 7,                   // 7 days of infection before immunity
+        vaccinationEffectiveness: 69            // vaccination effectiveness set to 69%
+    });
 
-    /** 
-     * Duration of recovered agent in day
-     * @type {number}
-     */
-    const recoveryDuration = 2000; // 2000 days of recovered state
-    
-    /**
-     * Timestamp of the last animation frame (in milliseconds)
-     * Used for calculating delta time between frames
-     * @type {number}
-     */
-    // declare beginning last timestamp for delta time calculation to calculate howlong the simulation has been running
-    let lastTimestamp = 0;
+    // show the seed in use so the run can be replayed
+    seedInput.value = simulation.getState().seed;
 
     /**
-     * Tracks current day to detect day changes for bathroom schedule reset
-     * @type {number}
+     * Epidemic curve under the canvas, drawn from the per-day history of the simulation
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
      */
-    let previousDay = 0;
+    const epidemicChart = CholeraChart.createEpidemicChart('infection-graph-sim3');
 
     /**
-     * Delay in milliseconds before a house becomes infected after waterbody contamination
-     * @type {number}
-     * @constant
+     * Reproduction number Rt under the epidemic curve, estimated from the infection events of the simulation
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
      */
-    //track time since house waterbody got contaminated
-    const houseInfectionDelay = 1500;                   // 1.5 second delay for house get infected after the waterbody got contaminated
+    const rtChart = CholeraChart.createRtChart('rt-graph-sim3');
 
     /**
-     * Resolves a location label to actual canvas coordinates for a specific agent
-     * @param {string} labelInput - Location label ('school', 'schoolWater', 'house', 'houseWater')
-     * @param {number} agentIndex - Index of the agent in the agents array
-     * @returns {{x: number, y: number}} Coordinates of the requested location
-     */
-    // resolve agent's itinerary lalbels to actual coordinates
-    function resolveItinerary(labelInput, agentIndex) {
-        switch(labelInput) {
-            case 'school': return {x: school.x, y: school.y};
-            case 'schoolWater': return {x: schoolWaterBody.x, y: schoolWaterBody.y};
-            case 'house': return {x: houses[agentIndex].x, y: houses[agentIndex].y};
-            case 'houseWater': return {x: houseWaterBodies[agentIndex].x, y: houseWaterBodies[agentIndex].y};
-            default: return {x: school.x, y: school.y}
-        }
-    }
-
-    /** 
-     * Assign vaccination status to susceptible agents based on coverage percentage
-     * only vaccinate non-infected agent at the start of simulation
-     * create array of susceptibleAgents by filtering the agents array
-     * then randomly select agents to vaccinate (`shuffled` array) based on the calculated number to vaccinate
-     * @returns {void}
+     * Agents and waterbodies of the hovered node of the transmission tree, null while no node is hovered
+     * @type {{agentIndices: Array<number>, waterbodyIds: Array<string>}|null}
      */
-    function assignVaccination() {
-        // Get all susceptible (non infected) active agents
-        // create array of susceptible agents by filtering the agents array
-        // `.filter` method creates a new array but the elemtn inside the new array are references to the same object of the original array.
-        // if the property in the filtered array (susceptibleAgents) is modified, the property in the original array (agents) will also be modified because both arrays reference the same object.
-        const susceptibleAgents = agents.filter(agent => agent.isActive && !agent.isInfected);
-
-        // Calculate number of agents to vaccinate based on coverage percentage
-        const numberToVaccinate = Math.round(susceptibleAgents.length * (vaccinationCoverage / 100));
-
-        // shuffle susceptible agents for random selection
-        // `.sort` methods modifies the order original array but not copying or creating new array
-        // `shuffled` is also pointing at the references to the same object of the original array (`agents`)    
-        // Each comparison runs Math.random() - 0.5, which gives a random positive or negative number (ranging from -0.5 till 0.5). This effectively randomizes the order of elements in the array. so the susceptible agents are randomly ordered
-        const shuffled = susceptibleAgents.sort(() => Math.random() - 0.5);
-
-        // Vaccinate the calculated number of agents based on the shuffled order. This will change the property orf the original array (`agents`) because `shuffled` is referencing the same object.
-        for (let i = 0; i < numberToVaccinate; i++) {
-            shuffled[i].isVaccinated = true;
-        }
-    }
+    let transmissionHighlight = null;
 
     /**
-     * Updates position of all active agents by moving them towards their next waypoint
-     * Handles movement logic, infection checks, contamination, and itinerary progression
-     * @returns {void}
+     * Transmission tree under the Rt chart, hovering a node rings its agents and waterbodies on the canvas
+     * @type {{draw: function(object): void, reset: function(): void}}
      */
-    // declare agent movement update function
-    function updateAgentMovement() {
-        // get current hour
-        const currentHour = getCurrentHour(timeManager)
-
-        // update each agent position
-        agents.forEach((agent, agentIndex) => {
-            if (!agent.isActive) return;         // skip inactive agents
-
-            // check if agent need to go to bathroom at the current hour
-            const isItBathroomTimeTarget = shouldVisitBathroom(agent, currentHour);       // shouldVisitBathroom will return 'schoolWaterBody' or 'houseWaterBody' or null, null if not bathroom time
-
-            // check if isItBathroomTimeTarget is not null and agent is not already traveling to bathroom
-            if (isItBathroomTimeTarget && !agent.isTravelingToBathroom) {
-                // change agent targt location to bathroom
-                agent.targetLocation = isItBathroomTimeTarget;
-
-                //set agent is traveling to bathroom
-                agent.isTravelingToBathroom = true;
-            }
-
-            // if agent is not going to the bathroom, follow normal schedule
-            if (!agent.isTravelingToBathroom) {
-                // determine where agent should be based on current time
-                const scheduledTarget = getAgentTargetLocation(agent);
-
-                if (agent.targetLocation !== scheduledTarget) {
-                    agent.targetLocation = scheduledTarget;
-                }
-            }
-
-            // get coordinates to the current target
-            const target = resolveItinerary(agent.targetLocation, agentIndex);                 // return with coordinate of the target location by calling function "resolveItinerary"    
-
-            // Calculate direction vector
-            const dx = target.x - agent.x;
-            const dy = target.y - agent.y;
-            const distance = Math.hypot(dx, dy);
-
-            // Check if the agent is close enough to the target
-            if (distance < agent.speed) {
-                agent.x = target.x;
-                agent.y = target.y;
-
-                // store agent current location as previous location
-                const previousLocation = agent.currentLocation;
-
-                // update agent current location to the target location
-                agent.currentLocation = agent.targetLocation;              // update current location to the target location
-
-                // handle bathroom visit completion
-                if (agent.isTravelingToBathroom) {
-                    // mark bathroom visit as completed based on location
-                    markBathroomVisitComplete(agent, agent.currentLocation);
-
-                    // trigger contamination or infection checks
-                    if (agent.currentLocation === 'schoolWater') {
-                        // contaminate school waterbody
-                        contaminateSchoolWaterbody(agent.currentLocation, agentIndex);
-
-                        // check if agent becomes infected when reach school waterbody
-                        checkAgentInfection(agent.currentLocation, agentIndex);
-
-                    } else if (agent.currentLocation === 'houseWater') {
-                        // check if agent contaminate house waterbody
-                        checkHouseWaterContamination(agent.currentLocation, agentIndex);
-                    }
-
-                    // return to previous location (school or house) after bathroom visit
-                    agent.isTravelingToBathroom = false;
-                    if (agent.isAtSchool) {
-                        agent.targetLocation = 'school';
-                    } else {
-                        agent.targetLocation = 'house';
-                    }
-                }
-
-                return; // Exit early if reached the target so agent not move further this frame (avoid overshooting and agent vibrating at the target)
-            }
-
-            // calculate agent step
-            const stepX = (dx / distance) * agent.speed;
-            const stepY = (dy / distance) * agent.speed;
-
-            // make agent move closer to the step
-            agent.x += stepX;
-            agent.y += stepY;
-        });
-    }
-
-    /**
-     * Declare infection logic when agent visits contaminated school waterbody
-     * Checks if an agent becomes infected when visiting contaminated school water
-     * Vaccinated agent has reduced infection risk based on vaccine effectiveness 
-     * @param {string} targetLocationInput - The location label the agent just reached
-     * @param {number} agentIndex - Index of the agent being checked
-     * @returns {void}
-     */
-    function checkAgentInfection(AgentLocationInput, agentIndex) {
-        // get the current day
-        const currentDay = timeManager.currentDay;
-
-        if (AgentLocationInput === 'schoolWater' && schoolWaterBody.isContaminated && !agents[agentIndex].isRecovered && !agents[agentIndex].isInfected) {
-            // store agent reference so later, we focus on one agent only
-            const agent = agents[agentIndex];
-
-            // if agent is vaccinated, calculate infection chance based on vaccine effectiveness
-            if (agent.isVaccinated) {
-                // generate random number between 0-1
-                const randomNumber = Math.random();
-
-                // calculate infection chance
-                const infectionChance = 1 - (vaccinationEffectiveness / 100);
-
-                // Decide agent infected or not
-                if (randomNumber < infectionChance) {
-                    agent.isInfected = true;
-                    agent.infectionStartDay = currentDay;  // track the day when infection started
-                }
-            } else {
-                // if agent is not vaccinated, always got infected when visiting contaminated waterbody
-                agents[agentIndex].isInfected = true;
-                agents[agentIndex].infectionStartDay = currentDay;  // track the day when infection started
-            }
+    const transmissionTree = CholeraChart.createTransmissionTree('tree-graph-sim3', {
+        getWaterbodyName: id => simulation.getState().locations[id].name,
+        onHover: (highlight) => {
+            transmissionHighlight = highlight;
+            drawScene();
         }
-    }
+    });
 
     /**
-     * update infection and immunity status for all agents
-     * agent will become immune after infection duration over
-     * Immune agent will become susceptibel again after immuntiy duration over
-     * @returns {void}
+     * Panel under the canvas with the live state and history of the clicked agent, house or waterbody
+     * @type {{draw: function(object): void}}
      */
-    function updateAgentInfectionStatus() {
-        // get the current day
-        const currentDay = timeManager.currentDay;
-
-        agents.forEach((agent) => {
-            //check if agent is infected and track the infection durations
-            if (agent.isInfected && agent.infectionStartDay !== null) {
-                const daysSinceInfection = currentDay - agent.infectionStartDay;
-
-                // check if the infection duration exceed the duration threshold
-                if (daysSinceInfection >= infectionDuration) {
-                    agent.isInfected = false;               // set agent to not infected
-                    agent.isRecovered = true;              // set agent to recovered (immune)
-                    agent.recoveryStartDay = currentDay;    // set recovery start day to current day
-                }
-            }
-
-            // check if agent is recovered and track the recovery duration
-            if (agent.isRecovered && agent.recoveryStartDay !== null) {
-                const daysSinceRecovery = currentDay - agent.recoveryStartDay;
-
-                // check if recovery duration exceed the threshold
-                if (daysSinceRecovery >= recoveryDuration) {
-                    agent.isRecovered = false;          // set agent to not recovered (susceptible again)
-                    agent.recoveryStartDay = 0;         // reset recovery start day
-                }
-            }
-        })
-    }
+    const inspector = CholeraInspector.attachInspector({
+        simulation: simulation,
+        canvas: canvas,
+        panel: document.getElementById('sim3-inspector'),
+        agentOffsetY: 1,                // stick figures reach from the top of the head to the feet
+        agentRadius: 15,
+        drawsExtraLocations: false,
+        onChange: drawScene
+    });
 
     /**
-     * Checks if an infected agent contaminates their house water body
-     * Starts tracking contamination time when contamination occurs
-     * @param {string} targetLocationInput - The location label the agent just reached
-     * @param {number} agentIndex - Index of the agent being checked
-     * @returns {void}
+     * Fan chart of the new infections per day over a batch of runs
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
      */
-    // declare house waterbody contamination logic
-    function checkHouseWaterContamination(targetLocationInput, agentIndex) {
-        // Check if agent is visiting their house waterbody and is infected
-        if (targetLocationInput === 'houseWater' && agents[agentIndex].isInfected) {
-            // contaminate the house waterbody
-            houseWaterBodies[agentIndex].isContaminated = true;
-
-            // start tracking contamination duration
-            houseWaterBodies[agentIndex].contaminatedTime = 0;
-        }
-    }
+    const batchChart = CholeraChart.createFanChart('batch-graph-sim3');
 
     /**
-     * Tracks infected agent visits to school waterbody and contaminates it after threshold is reached
-     * Implements threshold-based contamination (requires multiple infected visits)
-     * @param {string} targetLocationInput - The location label the agent just reached
-     * @param {number} agentIndex - Index of the agent being checked
-     * @returns {void}
+     * Timestamp of the last animation frame (in milliseconds)
+     * Used for calculating delta time between frames
+     * @type {number}
      */
-    // declare funstion to contaminate school waterbody based on infected agent visit count
-    function contaminateSchoolWaterbody(targetLocationInput, agentIndex) {
-        // check if infected agent visit count exceed the thresholds
-        if  (targetLocationInput === 'schoolWater' && agents[agentIndex].isInfected && !schoolWaterBody.isContaminated) {
-            // incerement infected visit count
-            schoolWaterBody.infectedVisitCount += 1;
-
-            //check if threshold is reached
-            if (schoolWaterBody.infectedVisitCount >= schoolWaterBody.contaminationThreshold) {
-                schoolWaterBody.isContaminated = true;
-            }
-        }
-    }
+    // declare beginning last timestamp for delta time calculation to calculate howlong the simulation has been running
+    let lastTimestamp = 0;
 
     /**
-     * Updates house infection state based on water body contamination duration
-     * Houses become infected after their waterbody exceeds contamination threshold time
-     * Only processes houses belonging to active agents
-     * @param {number} deltaTime - Time elapsed since last frame in milliseconds
-     * @returns {void}
+     * Longest real time (in milliseconds) simulated in one frame
+     * Stops a background tab from jumping hours ahead when it becomes visible again
+     * @type {number}
      */
-    // update house infection state based on waterbody contamination duration
-    function updateHouseInfectionState(deltaTime) {
-        houseWaterBodies.forEach((houseWaterBody, agentIndex) => {
-            // check if agent active or not
-            if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
-
-            //check if the house waterbody is contaminated and the house is not yet infected
-            if (houseWaterBody.isContaminated && !houses[agentIndex].isInfected) {
-                // calculate the contamination duration
-                houseWaterBody.contaminatedTime += deltaTime;
-
-                // check if contaminated duration exceed the threshold
-                if (houseWaterBody.contaminatedTime >= houseInfectionDelay) {
-                    houses[agentIndex].isInfected = true;
-                }
-            }
-
-            // check if house waterbody is clean and agent is recovered, then set house to not infected
-            if (houseWaterBody.isContaminated && agents[agentIndex].isRecovered) {
-                houses[agentIndex].isInfected = false;
-            }
-        });
-    }
-
-    /**
-     * assign random bathroom slot for an agent at a location
-     * @param {string} location - 'school' or 'house'
-     * @returns {number} - random hour from available slots
-     */
-    function assignRandomBathroomSlot(location) {
-        const availableSlots = bathroomSlots[location];                             // get available bathroom slots for the location, returns an array of the slot numbers, '[]' square bracket for dynamic identifier access
-        const randomIndex = Math.floor(Math.random() * availableSlots.length);      // get random index from the available slots array, return number between 0 to length-1
-        return availableSlots[randomIndex];
-    }
-
-    /** 
-     * Assign bathroom schedule for all agents for the current day
-     * each agent get random bathroom slot at home and at school each day
-     * @returns {void}
-     */
-    function assignDailyBathroomSchedules() {
-        agents.forEach((agent) => {
-            if (!agent.isActive) return;         // skip inactive agents
-
-            // assign random bathroom time at school
-            agent.schoolBathroomHour = assignRandomBathroomSlot('school');
-
-            // assign random bathroom time at house
-            agent.houseBathroomHour = assignRandomBathroomSlot('house');
-
-            // Reset bathroom visit flag for new day
-            agent.hasVisitedSchoolBathroomToday = false;
-            agent.hasVisitedHouseBathroomToday = false;
-        })
-    }
-
-    /** 
-     * Check if agent should visit bathroom based on current hour and location
-     * @param {object} agent - the agent to check
-     * @param {number} currentHour - Current simulation hour (0-23)
-     * @returns {string|null} - 'schoolWaterBody' or 'houseWaterBody' if visiting bathroom, null otherwise
-     */
-    function shouldVisitBathroom(agent, currentHour) {
-        if (!agent.isActive) return null;         // skip inactive agents
-
-        // check if agent at school and it's their bathroom hour
-        if (agent.isAtSchool && currentHour === agent.schoolBathroomHour && !agent.hasVisitedSchoolBathroomToday) {
-            return 'schoolWater';
-        }
-
-        // check if agent at house and it's their bathroom hour
-        if (!agent.isAtSchool && currentHour === agent.houseBathroomHour && !agent.hasVisitedHouseBathroomToday) {
-            return 'houseWater';
-        }
-
-        return null;
-    }
-
-    /** 
-     * Mark that bathroom visit has been completed
-     * @param {object} agent - The agent that visited
-     * @param {string} bathroomLocation - 'schoolWaterBody' or 'houseWaterBody'
-     * @returns {void}
-     */
-    function markBathroomVisitComplete(agent, bathroomLocation) {
-        if (bathroomLocation === 'schoolWater') {
-            agent.hasVisitedSchoolBathroomToday = true;
-        } else if (bathroomLocation === 'houseWater') {
-            agent.hasVisitedHouseBathroomToday = true;
-        }
-    }
+    const maxFrameTime = 100;
 
     /**
      * Draws all water bodies (house and school) on the canvas
      * Only draws water bodies for active agents
-     * Color changes based on contamination state (lightblue = clean, darkblue = contaminated)
+     * Color darkens with the Vibrio concentration (lightblue = clean, darkblue = heavily contaminated)
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawWaterbody() {
-        
+    function drawWaterbody(state) {
+        const { agents, houseWaterBodies, schoolWaterBody } = state;
+
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 1.5;
         ctx.lineJoin = 'round';
-        ctx.lineCap = 'round'; 
+        ctx.lineCap = 'round';
 
         // draw house waterbody (only for active agents)
         houseWaterBodies.forEach((houseWaterBody, agentIndex) => {
             if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
-            
+
             // if the agent active, draw the house waterbody
             ctx.beginPath();
             ctx.arc(houseWaterBody.x, houseWaterBody.y, 15, 0, Math.PI * 2);
-            ctx.fillStyle = houseWaterBody.isContaminated ? 'darkblue' : 'lightblue';
+            ctx.fillStyle = CholeraEngine.getWaterColor(houseWaterBody.concentration);
             ctx.fill();
             ctx.strokeStyle = 'black';
             ctx.stroke();
         });
-       
+
         // draw school waterbody
         ctx.beginPath();
         ctx.arc(schoolWaterBody.x, schoolWaterBody.y, 15, 0, Math.PI * 2);
-        ctx.fillStyle = schoolWaterBody.isContaminated ? 'darkblue' : 'lightblue';
+        ctx.fillStyle = CholeraEngine.getWaterColor(schoolWaterBody.concentration);
         ctx.fill();
         ctx.strokeStyle = 'black';
         ctx.stroke();
     }
 
+    /**
+     * Draw the market and its water point, visited on days without school
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawMarket(state) {
+        const { market, marketWaterBody } = state;
+
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 2.5;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+
+        // draw counter
+        ctx.beginPath();
+        ctx.rect(market.x - 15, market.y - 5, 30, 15);
+        ctx.fillStyle = 'burlywood';
+        ctx.fill();
+        ctx.stroke();
+
+        // draw striped awning
+        for (let i = 0; i < 3; i++) {
+            ctx.beginPath();
+            ctx.rect(market.x - 15 + i * 10, market.y - 15, 10, 8);
+            ctx.fillStyle = i % 2 === 0 ? 'red' : 'white';
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        // draw market water point
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(marketWaterBody.x, marketWaterBody.y, 15, 0, Math.PI * 2);
+        ctx.fillStyle = CholeraEngine.getWaterColor(marketWaterBody.concentration);
+        ctx.fill();
+        ctx.stroke();
+    }
+
     /**
      * Draws the school building with a 3D-like appearance (front and back sections with roofs)
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawSchool() {
+    function drawSchool(state) {
+        const { school } = state;
+
         // set the stroke style
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 2.5;
@@ -743,7 +296,7 @@
         ctx.lineWidth = 2.5;
         ctx.stroke();
 
-        // draw back roof 
+        // draw back roof
         ctx.beginPath();
         ctx.moveTo(school.x+10, school.y-10);
         ctx.lineTo(school.x+32, school.y-10);
@@ -755,15 +308,18 @@
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 2.5;
         ctx.stroke();
-    }  
+    }
 
     /**
      * Draws all house buildings
      * Only draws houses for active agents
      * Outline color changes to red when house is infected
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawHouse() {
+    function drawHouse(state) {
+        const { agents, houses } = state;
+
         houses.forEach((house, agentIndex) => {
             // check if agent active or not
             if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
@@ -801,54 +357,91 @@
      * Draws all agents as stick figures
      * Only draws active agents
      * Outline color changes to red when agent is infected
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawAgent() {
-        agents.forEach((agent) => {
+    function drawAgent(state) {
+        state.agents.forEach((agent) => {
             // check if agent active or not
             if (!agent.isActive) return;         // skip inactive agents
 
-            ctx.strokeStyle = agent.isInfected ? 'red' : 'black';
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            // red when infected (symptomatic), purple while exposed (incubating)
+            // asymptomatic carriers show no symptoms and stay unmarked
+            ctx.strokeStyle = agent.isInfected && !agent.isAsymptomatic ? 'red' : agent.isExposed ? 'purple' : 'black';
             ctx.lineWidth = 2.5;
             ctx.lineJoin = 'round';
-            ctx.lineCap = 'round'; 
+            ctx.lineCap = 'round';
 
             // draw head
             ctx.beginPath();
-            ctx.arc(agent.x, agent.y-12, 6, 0, Math.PI * 2);
+            ctx.arc(x, y-12, 6, 0, Math.PI * 2);
             ctx.stroke();
 
-
             //draw body
             ctx.beginPath();
-            ctx.moveTo(agent.x, agent.y-6);
-            ctx.lineTo(agent.x, agent.y+6);
+            ctx.moveTo(x, y-6);
+            ctx.lineTo(x, y+6);
             ctx.stroke();
-            
+
             //draw arms
             ctx.beginPath();
-            ctx.moveTo(agent.x-8, agent.y);
-            ctx.lineTo(agent.x, agent.y-6);
-            ctx.lineTo(agent.x+8, agent.y);
+            ctx.moveTo(x-8, y);
+            ctx.lineTo(x, y-6);
+            ctx.lineTo(x+8, y);
             ctx.stroke();
 
             //draw legs
             ctx.beginPath();
-            ctx.moveTo(agent.x-6, agent.y+16);
-            ctx.lineTo(agent.x, agent.y+6);
-            ctx.lineTo(agent.x+6, agent.y+16);
+            ctx.moveTo(x-6, y+16);
+            ctx.lineTo(x, y+6);
+            ctx.lineTo(x+6, y+16);
             ctx.stroke();
 
             // draw vaccination ring if agent is vaccinated
             if (agent.isVaccinated) {
                 ctx.beginPath();
-                ctx.arc(agent.x, agent.y-12, 10, 0, Math.PI * 2);
+                ctx.arc(x, y-12, 10, 0, Math.PI * 2);
                 ctx.strokeStyle = 'green';
                 ctx.lineWidth = 2;
                 ctx.stroke();
             }
+        });
+    }
 
-        });     
+    /**
+     * Draw a gold ring around the agents and waterbodies of the hovered node of the transmission tree
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawTransmissionHighlight(state) {
+        if (!transmissionHighlight) return;
+
+        ctx.strokeStyle = 'gold';
+        ctx.lineWidth = 4;
+
+        transmissionHighlight.waterbodyIds.forEach((id) => {
+            const waterbody = simulation.getWaterbody(id);
+            if (!waterbody) return;
+
+            ctx.beginPath();
+            ctx.arc(waterbody.x, waterbody.y, 21, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        transmissionHighlight.agentIndices.forEach((agentIndex) => {
+            const agent = state.agents[agentIndex];
+            if (!agent || !agent.isActive) return;
+
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            ctx.beginPath();
+            ctx.arc(x, y - 10, 22, 0, Math.PI * 2);
+            ctx.stroke();
+        });
     }
 
     /**
@@ -857,15 +450,24 @@
      * @returns {void}
      */
     function drawScene() {
+        const state = simulation.getState();
 
         // clear the canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
         // draw scene elements
-        drawSchool();    
-        drawHouse();
-        drawWaterbody();
-        drawAgent();
+        drawSchool(state);
+        drawMarket(state);
+        drawHouse(state);
+        drawWaterbody(state);
+        drawAgent(state);
+        drawTransmissionHighlight(state);
+        inspector.draw(state);
+
+        // update the epidemic curve with the latest counts
+        epidemicChart.draw(state.history);
+        rtChart.draw(simulation.getReproductionNumbers());
+        transmissionTree.draw(simulation.getTransmissionTree());
     }
 
     /**
@@ -874,10 +476,10 @@
      * @returns {void}
      */
     function updateTimeIndicator() {
-        const currentHour = getCurrentHour(timeManager);      // get current hour by calling the function getCurrentHour and timeManager object
+        const state = simulation.getState();
 
         // calculate percentage position (0-100%) of the time indicator based on current hour (0-23)
-        const percentage = (currentHour / 24) * 100;
+        const percentage = (state.hour / 24) * 100;
 
         // update indicator position
         const indicatorHour = document.getElementById('sim3-time-indicator');
@@ -888,13 +490,25 @@
         // update time display
         const timeDisplay = document.getElementById('sim3-current-time');
         if (timeDisplay) {
-            timeDisplay.textContent = getTimeString(timeManager);
+            timeDisplay.textContent = state.timeString;
         }
 
         // update DAY display
         const dayDisplay = document.getElementById('sim3-current-day');
         if (dayDisplay) {
-            dayDisplay.textContent = getCurrentDay(timeManager);
+            dayDisplay.textContent = state.day;
+        }
+
+        // update weekday display
+        const weekdayDisplay = document.getElementById('sim3-current-weekday');
+        if (weekdayDisplay) {
+            weekdayDisplay.textContent = state.weekdayName;
+        }
+
+        // shade the school hours of a day without school
+        const schoolHours = document.getElementById('sim3-school-hours');
+        if (schoolHours) {
+            schoolHours.classList.toggle('school-closed', !state.isSchoolDay);
         }
     }
 
@@ -908,41 +522,22 @@
 
     /**
      * Main animation loop function
-     * Updates agent movement, infection states, and redraws the scene
+     * Advances the simulation by the elapsed time and redraws the scene
      * @param {DOMHighResTimeStamp} timestamp - Current time provided by requestAnimationFrame
      * @returns {void}
      */
     // Declare Animation function
     function animate(timestamp) {
         // calculater delta Time
-        const deltaTime = timestamp - lastTimestamp;
+        const deltaTime = Math.min(timestamp - lastTimestamp, maxFrameTime);
         lastTimestamp = timestamp;
 
-        // update time manager
-        updateTimeManager(timeManager, deltaTime);
+        // advance the simulation, converting real milliseconds to simulated hours
+        simulation.step((deltaTime / 1000) * timeScale * speedMultiplier);
 
         // update time indicator bar
         updateTimeIndicator();
 
-        // check for day change and need to assign new bathroom schedule
-        const currentDay = timeManager.currentDay;
-        if (currentDay !== previousDay) {
-            // store current day as previous day
-            previousDay = currentDay;
-
-            // assign new bathroom schedule for all agents
-            assignDailyBathroomSchedules();
-        }
-
-        // Update infection and immunity status (check for recovery/immunity loss)
-        updateAgentInfectionStatus();
-
-        // Update agent position based on movement logic
-        updateAgentMovement();
-
-        // uppdate house infection state
-        updateHouseInfectionState(deltaTime);
-
         // Redraw the scene
         drawScene();
 
@@ -950,80 +545,13 @@
         animationId = requestAnimationFrame(animate)
     }
 
-    /**
-     * Slider input element for controlling number of active agents
-     * @type {HTMLInputElement}
-     */
-    // track the slider label number of the current neighborhood number
-    let neighborhoodNumber = document.getElementById('sim3-neighbour-number');
-    
-    /**
-     * Label element displaying current slider value
-     * @type {HTMLSpanElement}
-     */
-    let neighborhoodNumberLabel = document.getElementById('sim3-neighbour-label');
-    
-    // set initial slider value
-    neighborhoodNumberLabel.textContent = neighborhoodNumber.value;
-    activeAgentCount = parseInt(neighborhoodNumber.value);
-
-    /**
-     * Slider input element for controlling vaccination coverage
-     * @type {HTMLInputElement}
-     */
-    let vaccinationSlider = document.getElementById('sim3-vaccination-slider');
-    
-    /**
-     * Label element displaying current vaccination coverage
-     * @type {HTMLSpanElement}
-     */
-    let vaccinationLabel = document.getElementById('sim3-vaccination-label');
-    
-    // set initial vaccination slider value
-    vaccinationLabel.textContent = vaccinationSlider.value;
-    vaccinationCoverage = parseInt(vaccinationSlider.value);
-
-    /**
-     * Updates which agents are active based on slider value
-     * Agents with index less than count are made active, others inactive
-     * @param {number} count - Number of agents to activate
-     * @returns {void}
-     */
-    //  declare function to update active agent based on slider value
-    function updateActiveAgents(count) {
-        // update agent active state based on the slider value
-        activeAgentCount = count;
-
-        // update isActive flag for each agent
-        agents.forEach((agent, agentIndex) => {
-            agent.isActive = agentIndex < activeAgentCount;
-        });
-
-        // redraw the scene to reflect changes
-        drawScene();
-    }
-
-    // update vaccination coverage based on slider value
-    function updateVaccinationCoverage(coverage) {
-        vaccinationCoverage = coverage;
-
-        agents.forEach((agent, agentIndex) => {
-            agent.isVaccinated = false;
-        });
-
-        // assign vaccination randomly to the community
-        assignVaccination();
-
-        // redraw the scene to show agent vaccination ring as the number of slider change
-        drawScene();
-    }    
-
     // update slider initial value and add event listener
     neighborhoodNumber.addEventListener('input', function() {
         neighborhoodNumberLabel.textContent = this.value;
 
         // update active agents based on the slider value
-        updateActiveAgents(parseInt(this.value));
+        simulation.setActiveAgentCount(parseInt(this.value));
+        drawScene();
     });
 
     // update vaccination slider and add event listener
@@ -1031,14 +559,101 @@
         // update vaccination label and coverage value
         vaccinationLabel.textContent = this.value;
 
-        updateVaccinationCoverage(parseInt(this.value));
+        // redraw the scene to show agent vaccination ring as the number of slider change
+        simulation.setVaccinationCoverage(parseInt(this.value));
+        drawScene();
     });
 
-    // initialise active agents based on the initital slider value
-    updateActiveAgents(activeAgentCount);
+    // restart from the initial state with the new seed
+    seedInput.addEventListener('change', function() {
+        const seed = parseInt(this.value);
+
+        // ignore anything that is not a number and show the seed in use again
+        if (!Number.isNaN(seed)) {
+            simulation.setSeed(seed);
+        }
+        this.value = simulation.getState().seed;
 
-    // initialise vaccination coverage based on the initial slider value
-    updateVaccinationCoverage(vaccinationCoverage);
+        updateTimeIndicator();
+        drawScene();
+    });
+
+    /**
+     * Show the settings of a loaded scenario on the controls
+     * @returns {void}
+     */
+    function updateControlsFromConfig() {
+        const config = simulation.config;
+
+        neighborhoodNumber.value = config.activeAgentCount;
+        neighborhoodNumberLabel.textContent = config.activeAgentCount;
+        vaccinationSlider.value = config.vaccinationCoverage;
+        vaccinationLabel.textContent = config.vaccinationCoverage;
+        seedInput.value = config.seed;
+    }
+
+    // save the setup as a scenario file, or load one and start over from it
+    CholeraScenario.attachScenarioControls({
+        simulation: simulation,
+        fileName: 'sim3-scenario.json',
+        saveButton: saveScenarioButton,
+        loadButton: loadScenarioButton,
+        fileInput: document.getElementById('sim3-scenario-file'),
+        messageElement: document.getElementById('sim3-scenario-message'),
+        onLoad: function() {
+            updateControlsFromConfig();
+            resetSimulation();
+        }
+    });
+
+    // keep the current state as a snapshot, or restore one and continue from there with changed controls
+    CholeraScenario.attachSnapshotControls({
+        simulation: simulation,
+        name: 'sim3',
+        takeButton: document.getElementById('sim3-take-snapshot-button'),
+        snapshotSelect: document.getElementById('sim3-snapshot-select'),
+        restoreButton: document.getElementById('sim3-restore-snapshot-button'),
+        deleteButton: document.getElementById('sim3-delete-snapshot-button'),
+        downloadButton: document.getElementById('sim3-download-snapshot-button'),
+        openButton: document.getElementById('sim3-open-snapshot-button'),
+        fileInput: document.getElementById('sim3-snapshot-file'),
+        messageElement: document.getElementById('sim3-snapshot-message'),
+        onRestore: function() {
+            updateControlsFromConfig();
+            stopSimulation();
+
+            // the restored run can be reset to its start like a paused one
+            resetButton.disabled = false;
+        }
+    });
+
+    // change how many simulated hours pass per real second
+    speedSelect.addEventListener('change', function() {
+        speedMultiplier = parseFloat(this.value);
+    });
+
+    /**
+     * Advance the simulation from the time bar buttons, while running or paused
+     * Stepping begins the run like the start button, so the settings stay fixed until reset
+     * @param {function(): void} advance - engine call advancing the time
+     * @returns {void}
+     */
+    function stepSimulation(advance) {
+        advance();
+
+        // the run has begun, allow reset and keep the settings fixed
+        resetButton.disabled = false;
+        seedInput.disabled = true;
+        loadScenarioButton.disabled = true;
+        neighborhoodNumber.disabled = true;
+        vaccinationSlider.disabled = true;
+
+        updateTimeIndicator();
+        drawScene();
+    }
+
+    stepHourButton.addEventListener('click', () => stepSimulation(() => simulation.runFor(1)));
+    skipDayButton.addEventListener('click', () => stepSimulation(() => simulation.skipToNextDay()));
 
     /**
      * Tracks whether the simulation is currently running
@@ -1071,16 +686,17 @@
     function startSimulation() {
         if (isRunning) return;
 
-        // change the state 
+        // change the state
         isRunning = true;
-        
+
         // change helper button mode
         startButton.disabled = true;
         pauseButton.disabled = false;
         resetButton.disabled = false;
 
-        // Assign vaccination before starting simulation
-        assignVaccination();
+        // keep the seed fixed during the run
+        seedInput.disabled = true;
+        loadScenarioButton.disabled = true;
 
         // disable the neighborhood slider while simulation is running
         neighborhoodNumber.disabled = true;
@@ -1088,9 +704,6 @@
         // disable the vaccination slider while simulation is running
         vaccinationSlider.disabled = true;
 
-        // Assign bathroom schedules for day 0 if not already assigned
-        assignDailyBathroomSchedules();
-
         // record the initial timestamp when simulation starts
         lastTimestamp = performance.now();
 
@@ -1130,12 +743,23 @@
      * Resets the simulation to initial state
      * Resets all agent positions, infection states, contamination states
      * Re-infects agents 1 and 2 for simulation purposes
-     * Enables start button and slider, disables pause/reset buttons
      * Stops animation and redraws initial scene
      * @returns {void}
      */
     // Control helpers to reset the animation
     function resetSimulation() {
+        // reset agents, waterbodies, houses and time
+        simulation.reset();
+
+        stopSimulation();
+    }
+
+    /**
+     * Stops the animation and shows the current state of the simulation, after a reset or a restored snapshot
+     * Enables start button and sliders, disables pause/reset buttons
+     * @returns {void}
+     */
+    function stopSimulation() {
         // change the state
         isRunning = false;
 
@@ -1144,6 +768,10 @@
         pauseButton.disabled = true;
         resetButton.disabled = true;
 
+        // allow a new seed for the next run
+        seedInput.disabled = false;
+        loadScenarioButton.disabled = false;
+
         // enable the neighborhood slider
         neighborhoodNumber.disabled = false;
 
@@ -1153,61 +781,51 @@
         // Stop the animation frame
         cancelAnimationFrame(animationId);
 
-        // reset time manager 
-        resetTimeManager(timeManager);
+        // clear the epidemic curve, the next draw starts again from the history of the simulation
+        epidemicChart.reset();
+        rtChart.reset();
+        transmissionTree.reset();
 
         // reset time indicator bar
         updateTimeIndicator();
 
-        // reset agent position and infection state
-        agents.forEach((agent, index) => {
-            agent.x = houses[index].x + 10;
-            agent.y = houses[index].y + 10;
-            agent.currentLocation = 'house';
-            agent.targetLocation = 'house';
-            agent.isInfected = index === 1 || index === 2 ? true : false;
-            agent.infectionStartDay = index === 1 || index === 2 ? 0 : null;
-            agent.isImmune = false;
-            agent.immunityStartDay = null;
-            agent.isAtSchool = false;
-            agent.schoolBathroomHour = null;
-            agent.houseBathroomHour = null;
-            agent.hasVisitedSchoolBathroomToday = false;
-            agent.hasVisitedHouseBathroomToday = false;
-            agent.isTravelingToBathroom = false;
-            agent.isVaccinated = false; 
-        });
-
-        // reset  waterbody contamination state
-        schoolWaterBody.isContaminated = false;
-        schoolWaterBody.infectedVisitCount = 0;
-        houseWaterBodies.forEach(waterBody => {
-            waterBody.isContaminated = false;
-            waterBody.contaminatedTime = 0;
-        });
-
-        // reset house infection state
-        houses.forEach(house => {
-            house.isInfected = false;
-        });
-
         // reset timestamp
         lastTimestamp = 0;
 
-        // Assign vaccination before starting simulation
-        assignVaccination();
-
-        // Assign initial bathroom schedules for day 0
-        assignDailyBathroomSchedules(); 
-
-        // redraw the initial scene
+        // redraw the scene
         drawScene();
     }
 
+    // run the current setup many times without drawing, and show the spread of the outcomes
+    CholeraBatch.attachBatchControls({
+        simulation: simulation,
+        runsInput: document.getElementById('sim3-batch-runs'),
+        daysInput: document.getElementById('sim3-batch-days'),
+        runButton: document.getElementById('sim3-batch-run-button'),
+        messageElement: document.getElementById('sim3-batch-message'),
+        outcomeTable: document.getElementById('sim3-batch-outcomes'),
+        chart: batchChart
+    });
+
+    // copy a link to the current settings, or apply the settings of an opened link
+    CholeraShare.attachShareControls({
+        name: 'sim3',
+        wrapper: document.getElementById('sim3-wrapper'),
+        parameters: {
+            n: neighborhoodNumber,
+            vac: vaccinationSlider,
+            seed: seedInput,
+            speed: speedSelect
+        },
+        copyButton: document.getElementById('sim3-copy-link-button'),
+        messageElement: document.getElementById('sim3-scenario-message'),
+        beforeApply: resetSimulation
+    });
+
     // initial UI state and render with disabled pause button
     pauseButton.disabled = true;            // cannot pause until the simulation is running
     resetButton.disabled = true;             // cannot reset until the simulation is running
 
     drawScene();
 
-})();
\ No newline at end of file
+})();
@@ -4,10 +4,24 @@
      * Features include:
      * - Multiple agents (configurable via slider)
      * - Predefined house positions
-     * - Threshold-based water contamination
+     * - Vibrio concentration in the water with decay, dilution and a dose-response chance of infection
      * - Time-delayed house infection
      * - time based scheduling system for realistic daily cycles
-     * - Infection tracking graph over time
+     * - Vaccination and daily rapid testing with isolation
+     * - School closure: for the whole run, on chosen days, or reacting to contaminated school water or a number of cases
+     * - Weekends and holidays without school, agents stay home, go to the market or visit another house instead
+     * - Itinerary editor: per-agent daily time windows at the school, market, clinic, church, well or river
+     * - Asymptomatic carriers, hidden unless the X-ray view is on
+     * - Chlorination of the school waterbody and of a share of the house waterbodies
+     * - Latrines separating defecation from drinking water
+     * - Epidemic curve of susceptible, exposed, infected, recovered, vaccinated and isolated agents per day
+     * - Live reproduction number Rt estimated from the infections of the finished days, with the Rt = 1 threshold
+     * - Transmission tree of the infections through the waterbodies, hovering a node rings its agents and waterbodies on the canvas
+     * - Clicking an agent, house or waterbody shows its live state and history, the clicked one stays ringed
+     * - Batch of runs of the current setup with a fan chart and the spread of attack rate, peak day and outbreak duration
+     * - Parameter sweep over one or two settings with a heatmap of the outcome, a click loads a cell into the simulation
+     *
+     * The epidemic logic lives in `CholeraEngine` (engine.js), this file only renders it and wires the controls
      */
 
     /**
@@ -23,826 +37,487 @@
     canvas.height = 400;  // Internal resolution
 
     /**
-     * School location at the center of the canvas
-     * @type {{x: number, y: number}}
+     * How many simulated hours pass per real second
+     * @type {number}
      */
-    const school = {x: canvas.width/2, y: canvas.height/2};
+    const timeScale = 2;                            // 2 simulated hours per real second
 
     /**
-     * School water body with threshold-based contamination
-     * @type {{x: number, y: number, isContaminated: boolean, infectedVisitCount: number, contaminationThreshold: number}}
-     * @property {number} x - X coordinate
-     * @property {number} y - Y coordinate
-     * @property {boolean} isContaminated - Contamination state
-     * @property {number} infectedVisitCount - Number of infected agent visits
-     * @property {number} contaminationThreshold - Required visits to contaminate
+     * Speed selector multiplying the time scale (0.25x to 50x)
+     * @type {HTMLSelectElement}
      */
-    const schoolWaterBody = {
-        x: school.x,
-        y: school.y+60,
-        isContaminated: false,           // track waterbody contamination state
-        infectedVisitCount: 0,           // track number of infected agent visit to the waterbody
-        contaminationThreshold: 3        // threshold of infected visit to contaminate the waterbody
-    }
+    const speedSelect = document.getElementById('sim4-speed');
 
     /**
-     * Time system for simulation scheduling with configurable granularity
-     * Tracks simulation time in abstract units that map to hours and days
-     * @type {{scheduleStartTime: number, currentSimulationTime: number, timeScale: number, currentDay: number}}
-     * @property {number} scheduleStartTime - Hour to start the day (8am)
-     * @property {number} currentSimulationTime - Elapsed time in real seconds
-     * @property {number} timeScale - How many simulated hours pass per real second
-     * @property {number} currentDay - Current day counter
-     */
-    const timeManager = {
-        scheduleStartTime: 8,           // Start at 8:00 AM
-        currentSimulationTime: 0,       // Elapsed time in seconds when  the simulation start running
-        timeScale: 2,                   // 2 simulated hours per real second (adjustable)
-        currentDay: 0,                  // initial simulation start at day 0                      
-    }
-
-    /** 
-     * Get Current hour of the day (0-23 hours)
-     * @param {Object} timeManager - the time manager object
-     * @returns {number} - current hour in 24-hour format
+     * Current speed multiplier from the speed selector
+     * @type {number}
      */
-    function getCurrentHour(timeManager) {
-        const totalHours = timeManager.currentSimulationTime * timeManager.timeScale;
-        return Math.floor(totalHours + timeManager.scheduleStartTime) % 24;
-    }
+    let speedMultiplier = parseFloat(speedSelect.value);
 
     /**
-     * Get current day number 
-     * @param {object} timeManager - the time manager object
-     * @returns {number} - current day number
-     */ 
-    function getCurrentDay(timeManager) {
-        const totalHours = timeManager.currentSimulationTime * timeManager.timeScale;
-        return Math.ceil((totalHours + timeManager.scheduleStartTime) / 24);
-    }
+     * Buttons advancing the simulation by one hour or to the next day
+     * @type {HTMLButtonElement}
+     */
+    const stepHourButton = document.getElementById('sim4-step-hour-button');
+    const skipDayButton = document.getElementById('sim4-skip-day-button');
 
     /**
-     * Update Simulation time manager to update the currentSimulationTime (total hour simulation has been running) and currentDay (how many day simulation has been running) based on elapsed time
-     * @param {object} timeManager - the time manager object
-     * @param {number} deltaTime - time elapsed since last update in milliseconds
-     * @returns {void}
+     * Slider input element for controlling number of active agents
+     * @type {HTMLInputElement}
      */
-    function updateTimeManager(timeManager, deltaTime) {
-        timeManager.currentSimulationTime += deltaTime / 1000;          // convert ms to seconds
-        timeManager.currentDay = getCurrentDay(timeManager);            // update the property for current day
-    }
+    // track the slider label number of the current neighborhood number
+    let neighborhoodNumber = document.getElementById('sim4-neighbour-number');
 
-    /** 
-     * reset the time manager to initial state
-     * @param {object} timeManager - the time manager object
-     * @returns {void}
+    /**
+     * Label element displaying current slider value
+     * @type {HTMLSpanElement}
      */
-    function resetTimeManager(timeManager) {
-        timeManager.currentSimulationTime = 0;
-        timeManager.currentDay = 0;
-    }
+    let neighborhoodNumberLabel = document.getElementById('sim4-neighbour-label');
 
-    /** 
-     * get Formatted time string (HH:MM) for display
-     * @param {object} timeManager - the time manager object
-     * @returns {string} - formatted time string
+    /**
+     * Slider input element for controlling vaccination coverage
+     * @type {HTMLInputElement}
      */
-    function getTimeString(timeManager) {
-        const hour = getCurrentHour(timeManager);
-        return `${hour.toString().padStart(2, '0')}:00`
-    }
+    let vaccinationSlider = document.getElementById('sim4-vaccination-slider');
 
-    /** 
-     * Schedule configuration for agent activities based on time of day
-     * @type {{schoolStart: number, schoolEnd: number}}
+    /**
+     * Label element displaying current vaccination coverage
+     * @type {HTMLSpanElement}
      */
-    const scheduleConfig = {
-        schoolStart: 8,    // School starts at 8:00 AM
-        schoolEnd: 17      // School ends at 5:00 PM
-    };  
+    let vaccinationLabel = document.getElementById('sim4-vaccination-label');
 
     /**
-     * Bathroom slot configruration for agents at home and school
-     * @type {{school: number[], house: number[]}}
+     * Slider input element for controlling rapid test coverage
+     * @type {HTMLInputElement}
      */
-    const bathroomSlots = {
-        school: [12, 13, 14, 15, 16, 17],  // bathroom slots available at school (hours)
-        house: [20,21, 22, 23]
-    }
+    let rapidTestSlider = document.getElementById('sim4-rapid-test-slider');
 
     /**
-     * determines where agent should be based on current hour
-     * @param {number}  currentHour - hour of the day (0-23)
-     * @returns {string} - location identifier ('school' or 'house')
+     * Label element displaying current rapid test coverage
+     * @type {HTMLSpanElement}
      */
-    function getCurrentScheduleMode(currentHour) {
-        if (currentHour >= scheduleConfig.schoolStart && currentHour < scheduleConfig.schoolEnd){
-            return 'school';
-        }
-        return 'house';
-
-    }
+    let rapidTestLabel = document.getElementById('sim4-rapid-test-label');
 
-    /** 
-     * Determine agent's target location based on current schedule mode
-     * @ param {object} agentInput - The agent to check 
-     * @ returns {string} - Target Location label
+    /**
+     * Slider input element for controlling the percentage of asymptomatic infections
+     * @type {HTMLInputElement}
      */
-    function getAgentTargetLocation(agentInput) {
-        // check if agent is inactive
-        if (!agentInput.isActive) return 'house';
-
-        // check if agent is isolated to amke agent stay at home
-        if (agentInput.isIsolated) return 'house';
-
-        // get current hour
-        const currentHour = getCurrentHour(timeManager);        // get current hour by calling the function getCurrentHour
+    let asymptomaticSlider = document.getElementById('sim4-asymptomatic-slider');
 
-        // determine current schedule mode 
-        const targetLocation = getCurrentScheduleMode(currentHour);
-
-        agentInput.isAtSchool = (targetLocation === 'school');    // update agent's isAtSchool property, the value is boolean, true when targetLocation is 'school', false otherwise
-        return targetLocation;
-    }
-
-    /**     * Predefined house positions distributed evenly around the canvas
-     * Supports up to 10 houses/agents in the simulation
-     * @type {Array<{x: number, y: number}>}
-     * @constant
-     */
-    // predefined house position distributed around the school
-    const housePosition = [
-        {x: 150, y: 100},               //position 1
-        {x: 450, y: 300},               //position 2
-        {x: 450, y: 100},               //position 3
-        {x: 150, y: 300},               //position 4
-        {x: 500, y: 200},               //position 5
-        {x: 100, y: 200},               //position 6
-        {x: 375, y: 40},               //position 7
-        {x: 225, y: 360},               //position 8
-        {x: 375, y: 360},               //position 9
-        {x: 225, y: 40}                //position 10
-    ];
-
-    /**
-     * Array of house objects with predefined positions
-     * @type {Array<{x: number, y: number, isInfected: boolean, id: number}>}
-     * @property {number} x - X coordinate
-     * @property {number} y - Y coordinate
-     * @property {boolean} isInfected - Infection state
-     * @property {number} id - House identifier
-     */
-    // initialise house array with predefined position
-    const houses = housePosition.map((pos, index) => ({
-        x: pos.x,
-        y: pos.y,
-        isInfected: false,
-        id: index 
-    }));
-
-    /**
-     * Array of house water bodies, positioned relative to each house
-     * Water bodies are offset to the left or right based on house position
-     * @type {Array<{x: number, y: number, isContaminated: boolean, contaminatedTime: number, houseId: number}>}
-     * @property {number} x - X coordinate (offset from house)
-     * @property {number} y - Y coordinate (same as house)
-     * @property {boolean} isContaminated - Contamination state
-     * @property {number} contaminatedTime - Duration of contamination in milliseconds
-     * @property {number} houseId - Associated house identifier
-     */
-    // initialise housewater bodies array corresponding to each house (offset from each house)
-    const houseWaterBodies = houses.map((house, index) => ({
-        x: house.x > canvas.width / 2 ? house.x + 60 : house.x - 60,
-        y: house.y,
-        isContaminated: false,
-        contaminatedTime: 0,
-        houseId: index
-    }));
-
-    /**
-     * Array of agent objects, one per house
-     * Agents 1 and 2 start infected for simulation purposes
-     * @type {Array<{x: number, y: number, speed: number, itinerary: string[], stepIndex: number, isInfected: boolean, houseId: number, isActive: boolean}>}
-     * @property {number} x - Current X position
-     * @property {number} y - Current Y position
-     * @property {number} speed - Movement speed in pixels per frame
-     * @property {string} currentLocation - Current location label
-     * @property {string} targetLocation - Next target location based on schedule
-     * @property {boolean} isInfected - Infection state
-     * @property {number} infectionStartDay - Day when infection started (for tracking duration)
-     * @property {boolean} isRecovered - Whether agent has become immune after infection
-     * @property {number} recoveryStartDay - Day when recovery started (for tracking immunity duration)
-     * @property {number} houseId - Associated house identifier
-     * @property {boolean} isActive - Whether agent is visible/active (controlled by slider)
-     * @property {boolean} isAtSchool - Whether agent is currently at school (vs at home)
-     * @property {number} schoolBathroomHour - Assigned hour to visit school bathroom
-     * @property {number} houseBathroomHour - Assigned hour to visit home bathroom
-     * @property {boolean} hasVisitedSchoolBathroomToday - Whether visited school bathroom today
-     * @property {boolean} hasVisitedHouseBathroomToday - Whether visited home bathroom today
-     * @property {boolean} isTravelingToBathroom - Whether currently going to bathroom
-     * @property {boolean} isVaccinated - Whether agent is vaccinated or not
-     * @property {boolean} isTested - Whther agent has been tested today (rapid test)
-     * @property {boolean} isIsolated - Whether agent is currently in isolation
-     * @property {number} isolationStartDay - day isolation started
-     * @property {number} isolationEndDay - day isolation ended
-     */
-    // initialise agent (one agent per house)
-    const agents = houses.map((house, index) => ({
-        x: house.x + 10,
-        y: house.y + 10, 
-        speed: 1.5,
-        currentLocation: 'house',               // initial location set to 'house'
-        targetLocation: 'house',                // initial target location is staying at 'house'
-        isInfected: index === 1 || index === 2 ? true : false,                      // track agent infection state
-        infectionStartDay: index === 1 || index === 2 ? 1 : null,   // track the day when agent got infected, initial infected agents (agent index 1 and 2) start at day 0
-        isRecovered: false,                         // track if agent has recovered and become immune
-        recoveryStartDay: 0,                         // track the day when agent recovered from infection
-        houseId: index,                         // associate agent to the house
-        isActive: true,                         // track if agent is still active in the simulation based on slider input
-        isAtSchool: false,                      // track if agent currently at school or not
-        schoolBathroomHour: 0,                  // assigned bathroom hour at school, will be assigned daily
-        houseBathroomHour: 0,                    // assigned bathroom hour at home, will be assigned daily
-        hasVisitedSchoolBathroomToday: false,        // track if agent has visited school bathroom today
-        hasVisitedHouseBathroomToday: false,          // track if agent has visited home bathroom today
-        isTravelingToBathroom: false,           // track if agent is currently traveling to bathroom
-        isVaccinated: false,                    // track if agent is vaccinated or not
-        isTested: false,                        // track if agent has been tested today
-        isIsolated: false,                      // track if agent is currently in isolation
-        isolationStartDay: 0,                   // track the day isolation started
-        isolationEndDay: 0                       // track the day isolation ended
-    }));    
-
-    /**
-     * Current number of active agents in the simulation
-     * Controlled by the neighborhood slider
-     * @type {number}
+    /**
+     * Label element displaying current asymptomatic rate
+     * @type {HTMLSpanElement}
      */
-    // Current number of active agents in the simulation
-    let activeAgentCount = 5;                   // based on the initial value of the slider
+    let asymptomaticLabel = document.getElementById('sim4-asymptomatic-label');
 
     /**
-     * Number of current vaccination coverage (0-100%)
-     * controlled by the vaccination slider
-     * @type {number}
+     * Checkbox switching chlorination of the school waterbody on or off
+     * @type {HTMLInputElement}
      */
-    let vaccinationCoverage = 50;                // initial vaccination coverage set to 50%
+    const schoolChlorinationToggle = document.getElementById('sim4-school-chlorination-toggle');
 
     /**
-     * Vaccination Effe3ctiveness in percentage
-     * @type {number}
+     * Slider input element for controlling the share of chlorinated house waterbodies
+     * @type {HTMLInputElement}
      */
-    const vaccinationEffectiveness = 69;        // vaccination effectiveness set to 69%
+    let chlorinationSlider = document.getElementById('sim4-chlorination-slider');
 
     /**
-     * number of current rapid test coverage (0-100%)
-     * controlled by rapid-test slider
-     * @type{number}
+     * Label element displaying current chlorination coverage
+     * @type {HTMLSpanElement}
      */
-    let rapidTestCoverage = 50;                // initial rapid test coverage set to 50%
+    let chlorinationLabel = document.getElementById('sim4-chlorination-label');
 
     /**
-     * Rapid testr sensitivity in percentage
-     * @type{number}
+     * Slider input element for controlling the share of Vibrio killed by chlorine
+     * @type {HTMLInputElement}
      */
-    const rapidTestSensitivity = 91;             // rapid test sensitivity set to 91%
+    let chlorinationEfficacySlider = document.getElementById('sim4-chlorination-efficacy-slider');
 
     /**
-     * isolation duration in days
-     * @type{number}
+     * Label element displaying current chlorination efficacy
+     * @type {HTMLSpanElement}
      */
-    const isolationDuration = 3;                  // isolation duration set to 3 days
-    
+    let chlorinationEfficacyLabel = document.getElementById('sim4-chlorination-efficacy-label');
+
     /**
-     * duration of infection in days before agent becomes immune
-     * @type {number}
+     * Slider input element for controlling the share of agents with a latrine
+     * @type {HTMLInputElement}
      */
-    const infectionDuration = 7; // 7 days of infection before immunity
+    let latrineSlider = document.getElementById('sim4-latrine-slider');
 
-    /** 
-     * Duration of recovered agent in day
-     * @type {number}
+    /**
+     * Label element displaying current latrine coverage
+     * @type {HTMLSpanElement}
      */
-    const recoveryDuration = 2000; // 2000 days of recovered state
+    let latrineLabel = document.getElementById('sim4-latrine-label');
 
     /**
-     * Timestamp of the last animation frame (in milliseconds)
-     * Used for calculating delta time between frames
-     * @type {number}
+     * School closure controls: closed for the whole run, closed on listed days, closed on contaminated school water
+     * and closed from a number of symptomatic cases
+     * @type {HTMLInputElement}
      */
-    // declare beginning last timestamp for delta time calculation to calculate howlong the simulation has been running
-    let lastTimestamp = 0;
+    const schoolClosureToggle = document.getElementById('sim4-school-closure-toggle');
+    const schoolClosureDaysInput = document.getElementById('sim4-school-closure-days');
+    const schoolClosureContaminationToggle = document.getElementById('sim4-school-closure-contamination-toggle');
+    let schoolClosureSlider = document.getElementById('sim4-school-closure-slider');
 
     /**
-     * Tracks current day to detect day changes
-     * @type {number}
+     * Text input listing the holidays, days without school like the weekend
+     * @type {HTMLInputElement}
      */
-    let previousDay = 0;
+    const holidaysInput = document.getElementById('sim4-holidays');
 
     /**
-     * track if rapid test has been performed that day
-     * @type {boolean}
+     * Label element displaying current school closure case threshold
+     * @type {HTMLSpanElement}
      */
-    let hasPerformedRapidTestToday = false;
+    let schoolClosureLabel = document.getElementById('sim4-school-closure-label');
 
     /**
-     * Delay in milliseconds before a house becomes infected after waterbody contamination
-     * @type {number}
-     * @constant
+     * Checkbox revealing asymptomatic carriers on the canvas ("X-ray" view)
+     * @type {HTMLInputElement}
      */
-    //track time since house waterbody got contaminated
-    const houseInfectionDelay = 1500;                   // 1.5 second delay for house get infected after the waterbody got contaminated
+    const xrayToggle = document.getElementById('sim4-xray-toggle');
 
     /**
-     * Resolves a location label to actual canvas coordinates for a specific agent
-     * @param {string} labelInput - Location label ('school', 'schoolWater', 'house', 'houseWater')
-     * @param {number} agentIndex - Index of the agent in the agents array
-     * @returns {{x: number, y: number}} Coordinates of the requested location
+     * Itinerary editor: agent selector, table of the time windows of the selected agent and its buttons
+     * @type {HTMLSelectElement}
      */
-    // resolve agent's itinerary lalbels to actual coordinates
-    function resolveItinerary(labelInput, agentIndex) {
-        switch(labelInput) {
-            case 'school': return {x: school.x, y: school.y};
-            case 'schoolWater': return {x: schoolWaterBody.x, y: schoolWaterBody.y};
-            case 'house': return {x: houses[agentIndex].x, y: houses[agentIndex].y};
-            case 'houseWater': return {x: houseWaterBodies[agentIndex].x, y: houseWaterBodies[agentIndex].y};
-            default: return {x: school.x, y: school.y}
-        }
-    }
+    const itineraryAgentSelect = document.getElementById('sim4-itinerary-agent');
+    const itineraryTable = document.getElementById('sim4-itinerary-table');
+    const itineraryAddButton = document.getElementById('sim4-itinerary-add-button');
+    const itineraryDefaultButton = document.getElementById('sim4-itinerary-default-button');
 
-    /** 
-     * Assign vaccination status to susceptible agents based on coverage percentage
-     * only vaccinate non-infected agent at the start of simulation
-     * create array of susceptibleAgents by filtering the agents array
-     * then randomly select agents to vaccinate (`shuffled` array) based on the calculated number to vaccinate
-     * @returns {void}
+    /**
+     * Seed input of the random number generator, the same seed and sliders replay the same epidemic
+     * @type {HTMLInputElement}
      */
-    function assignVaccination() {
-        // Get all susceptible (non infected) active agents
-        // create array of susceptible agents by filtering the agents array
-        // `.filter` method creates a new array but the elemtn inside the new array are references to the same object of the original array.
-        // if the property in the filtered array (susceptibleAgents) is modified, the property in the original array (agents) will also be modified because both arrays reference the same object.
-        const susceptibleAgents = agents.filter(agent => agent.isActive && !agent.isInfected);
-
-        // Calculate number of agents to vaccinate based on coverage percentage
-        const numberToVaccinate = Math.round(susceptibleAgents.length * (vaccinationCoverage / 100));
-
-        // shuffle susceptible agents for random selection
-        // `.sort` methods modifies the order original array but not copying or creating new array
-        // `shuffled` is also pointing at the references to the same object of the original array (`agents`)    
-        // Each comparison runs Math.random() - 0.5, which gives a random positive or negative number (ranging from -0.5 till 0.5). This effectively randomizes the order of elements in the array. so the susceptible agents are randomly ordered
-        const shuffled = susceptibleAgents.sort(() => Math.random() - 0.5);
-
-        // Vaccinate the calculated number of agents based on the shuffled order. This will change the property orf the original array (`agents`) because `shuffled` is referencing the same object.
-        for (let i = 0; i < numberToVaccinate; i++) {
-            shuffled[i].isVaccinated = true;
-        }
-    }
+    let seedInput = document.getElementById('sim4-seed');
 
     /**
-     * Assign rapid test to agent based on the rapid test coveragep[ercentage from the slider
-     * only test infected agent (with the assumption of their symptomatic presentation)
-     * Chaneg the property of agent's array
-     * @returns {void}
+     * Buttons saving the setup as a scenario file and loading one, see scenario.js
+     * @type {HTMLButtonElement}
      */
-    function assignRapidTest() {
-        // get all infected agent but not isolated agents
-        // stored in a new array but the element inside the new array are references to the same object of the original array
-        const eligibleTestAgents = agents.filter(agent => 
-            agent.isActive && agent.isInfected && !agent.isIsolated
-        );
-
-        // calculate number of agent to be tested based on the rapid test coverage and number of infected agents
-        // return number
-        const numberToTest = Math.round(eligibleTestAgents.length * (rapidTestCoverage / 100));
-
-        console.log('Number of eligible agents:', eligibleTestAgents.length);
-        console.log('Rapid Test Coverage:', rapidTestCoverage);
-        console.log('Number of agents to be tested:', numberToTest);
-
-        // If no agents to test, return early
-        if (numberToTest === 0) {
-            console.log('No agents to test today');
-            return;
-        }
+    const saveScenarioButton = document.getElementById('sim4-save-scenario-button');
+    const loadScenarioButton = document.getElementById('sim4-load-scenario-button');
 
-        // shuffle eligible test agents for random selection
-        const shuffled = eligibleTestAgents.sort(() => Math.random() - 0.5);
-
-        for (let i = 0; i < numberToTest; i++) {
-            // Test the agent based on the shuffled order
-            // change the agent's property `isTested` to true
-            shuffled[i].isTested = true;
-
-            // Determine whther agent get tested positive based on rapid test sensitivity
-            const randomNumber = Math.random();
-
-            // check if agent tested positive, meaning the random number is less than the rapid test sensitivity
-            if (randomNumber < (rapidTestSensitivity / 100)) {
-                // agent tested positive, set agent to be isolated
-                shuffled[i].isIsolated = true;
-                // set isolation start day
-                shuffled[i].isolationStartDay = timeManager.currentDay;
-                // set isolation end day
-                shuffled[i].isolationEndDay = timeManager.currentDay + isolationDuration;
-            }
-        }
-    }
+    // set initial slider values
+    neighborhoodNumberLabel.textContent = neighborhoodNumber.value;
+    vaccinationLabel.textContent = vaccinationSlider.value;
+    rapidTestLabel.textContent = rapidTestSlider.value;
+    asymptomaticLabel.textContent = asymptomaticSlider.value;
+    chlorinationLabel.textContent = chlorinationSlider.value;
+    chlorinationEfficacyLabel.textContent = chlorinationEfficacySlider.value;
+    latrineLabel.textContent = latrineSlider.value;
+    schoolClosureLabel.textContent = schoolClosureSlider.value === '0' ? 'off' : schoolClosureSlider.value;
 
     /**
-     * To check if agent  should be retested or potentially released from isolation
-     * based on the current day and isolation end day
-     * @returns {void}
+     * Read a list of days like "3-5, 9" into the day numbers 3, 4, 5 and 9, parts that are not days are ignored
+     * @param {string} text - comma separated days and day ranges
+     * @returns {Array<number>} - listed days
      */
-    /*
-    function checkIsolationStatus() {
-        agents.forEach(agent => {
-            if (!agent.isActive) return;         // skip inactive agents
+    function parseDayList(text) {
+        const days = [];
 
-            // check if agent isolation period has ended
-            // check if agent is in isolation and current day is greater than or equal to isolation end day
-            if (agent.isIsolated && timeManager.currentDay >= agent.isolationEndDay) {
-                // retest the agent
-                agent.isTested = true;
-
-                // if agent is infected, check the rapid test result again with rapid test sensitivity
-                if (agent.isInfected) {
-                    // generate random number between 0-1
-                    const randomNumber = Math.random();
-
-                    // check if agent tested positive again
-                    if (randomNumber < (rapidTestSensitivity / 100)) {
-                        // agent tested positive again, extend isolation
-                        agent.isIsolated = true;
-                        // new start simulation day
-                        agent.isolationStartDay = timeManager.currentDay;
-                        // new end simulation day
-                        agent.isolationEndDay = timeManager.currentDay + isolationDuration;
-                    } else {
-                        // if agent tested negative (it is like a false negative), release from isolation
-                        agent.isIsolated = false;
-                        agent.isTested = false;
-                        agent.isolationStartDay = 0;
-                        agent.isolationEndDay = 0;
-                    }
-                } else {
-                    // if agent is not infected, release from isolation
-                    agent.isIsolated = false;
-                    agent.isTested = false;
-                    agent.isolationStartDay = 0;
-                    agent.isolationEndDay = 0;
-                }
+        text.split(',').forEach((part) => {
+            const bounds = part.split('-').map(value => parseInt(value));
+            const first = bounds[0];
+            const last = bounds.length > 1 ? bounds[1] : first;
+            if (Number.isNaN(first) || Number.isNaN(last) || first < 1) return;
+
+            for (let day = first; day <= last; day++) {
+                days.push(day);
             }
         });
+
+        return days;
     }
-    
 
     /**
-     * Updates position of all active agents by moving them towards their next waypoint
-     * Handles movement logic, infection checks, contamination, and itinerary progression
-     * @returns {void}
-     */
-    // declare agent movement update function
-    function updateAgentMovement() {
-        // get current hour
-        const currentHour = getCurrentHour(timeManager)
+     * Headless simulation driving this canvas
+     * @type {object}
+     */
+    const simulation = CholeraEngine.createSimulation({
+        width: canvas.width,
+        height: canvas.height,
+        seed: seedInput.value === '' ? null : parseInt(seedInput.value),   // a random seed is drawn when the field is empty
+        activeAgentCount: parseInt(neighborhoodNumber.value),
+        vaccinationCoverage: parseInt(vaccinationSlider.value),
+        rapidTestCoverage: parseInt(rapidTestSlider.value),
+        asymptomaticRate: parseInt(asymptomaticSlider.value),
+        chlorinateSchoolWater: schoolChlorinationToggle.checked,
+        chlorinationCoverage: parseInt(chlorinationSlider.value),
+        chlorinationEfficacy: parseInt(chlorinationEfficacySlider.value),
+        latrineCoverage: parseInt(latrineSlider.value),
+        closeSchool: schoolClosureToggle.checked,
+        schoolClosureDays: parseDayList(schoolClosureDaysInput.value),
+        closeSchoolOnContamination: schoolClosureContaminationToggle.checked,
+        schoolClosureCaseThreshold: parseInt(schoolClosureSlider.value),
+        holidays: parseDayList(holidaysInput.value),
+        infectionDuration: 7,                   // 7 days of infection before immunity
+        vaccinationEffectiveness: 69,           // vaccination effectiveness set to 69%
+        rapidTestSensitivity: 91,               // rapid test sensitivity set to 91%
+        isolationDuration: 3                    // isolation duration set to 3 days
+    });
 
-        // update each agent position
-        agents.forEach((agent, agentIndex) => {
-            if (!agent.isActive) return;         // skip inactive agents
+    // show the seed in use so the run can be replayed
+    seedInput.value = simulation.getState().seed;
 
-            // check if agent need to go to bathroom at the current hour
-            const isItBathroomTimeTarget = shouldVisitBathroom(agent, currentHour);       // shouldVisitBathroom will return 'schoolWaterBody' or 'houseWaterBody' or null, null if not bathroom time
+    /**
+     * Epidemic curve under the canvas, drawn from the per-day history of the simulation
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
+     */
+    const epidemicChart = CholeraChart.createEpidemicChart('infection-graph-sim4');
 
-            // check if isItBathroomTimeTarget is not null and agent is not already traveling to bathroom
-            if (isItBathroomTimeTarget && !agent.isTravelingToBathroom) {
-                // change agent targt location to bathroom
-                agent.targetLocation = isItBathroomTimeTarget;
+    /**
+     * Reproduction number Rt under the epidemic curve, estimated from the infection events of the simulation
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
+     */
+    const rtChart = CholeraChart.createRtChart('rt-graph-sim4');
 
-                //set agent is traveling to bathroom
-                agent.isTravelingToBathroom = true;
-            }
+    /**
+     * Agents and waterbodies of the hovered node of the transmission tree, null while no node is hovered
+     * @type {{agentIndices: Array<number>, waterbodyIds: Array<string>}|null}
+     */
+    let transmissionHighlight = null;
 
-            // if agent is not going to the bathroom, follow normal schedule
-            if (!agent.isTravelingToBathroom) {
-                // determine where agent should be based on current time
-                const scheduledTarget = getAgentTargetLocation(agent);
+    /**
+     * Transmission tree under the Rt chart, hovering a node rings its agents and waterbodies on the canvas
+     * @type {{draw: function(object): void, reset: function(): void}}
+     */
+    const transmissionTree = CholeraChart.createTransmissionTree('tree-graph-sim4', {
+        getWaterbodyName: id => simulation.getState().locations[id].name,
+        onHover: (highlight) => {
+            transmissionHighlight = highlight;
+            drawScene();
+        }
+    });
 
-                if (agent.targetLocation !== scheduledTarget) {
-                    agent.targetLocation = scheduledTarget;
-                }
-            }
+    /**
+     * Panel under the canvas with the live state and history of the clicked agent, house or waterbody
+     * @type {{draw: function(object): void}}
+     */
+    const inspector = CholeraInspector.attachInspector({
+        simulation: simulation,
+        canvas: canvas,
+        panel: document.getElementById('sim4-inspector'),
+        agentOffsetY: 1,                // stick figures reach from the top of the head to the feet
+        agentRadius: 15,
+        drawsExtraLocations: true,
+        onChange: drawScene
+    });
 
-            // get coordinates to the current target
-            const target = resolveItinerary(agent.targetLocation, agentIndex);                 // return with coordinate of the target location by calling function "resolveItinerary"    
-
-            // Calculate direction vector
-            const dx = target.x - agent.x;
-            const dy = target.y - agent.y;
-            const distance = Math.hypot(dx, dy);
-
-            // Check if the agent is close enough to the target
-            if (distance < agent.speed) {
-                agent.x = target.x;
-                agent.y = target.y;
-
-                // store agent current location as previous location
-                const previousLocation = agent.currentLocation;
-
-                // update agent current location to the target location
-                agent.currentLocation = agent.targetLocation;              // update current location to the target location
-
-                // handle bathroom visit completion
-                if (agent.isTravelingToBathroom) {
-                    // mark bathroom visit as completed based on location
-                    markBathroomVisitComplete(agent, agent.currentLocation);
-
-                    // trigger contamination or infection checks
-                    if (agent.currentLocation === 'schoolWater') {
-                        // contaminate school waterbody
-                        contaminateSchoolWaterbody(agent.currentLocation, agentIndex);
-
-                        // check if agent becomes infected when reach school waterbody
-                        checkAgentInfection(agent.currentLocation, agentIndex);
-
-                    } else if (agent.currentLocation === 'houseWater') {
-                        // check if agent contaminate house waterbody
-                        checkHouseWaterContamination(agent.currentLocation, agentIndex);
-                    }
-
-                    // return to previous location (school or house) after bathroom visit
-                    agent.isTravelingToBathroom = false;
-                    if (agent.isAtSchool) {
-                        agent.targetLocation = 'school';
-                    } else {
-                        agent.targetLocation = 'house';
-                    }
-                }
-
-                return; // Exit early if reached the target so agent not move further this frame (avoid overshooting and agent vibrating at the target)
-            }
+    /**
+     * Fan chart of the new infections per day over a batch of runs
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
+     */
+    const batchChart = CholeraChart.createFanChart('batch-graph-sim4');
 
-            // calculate agent step
-            const stepX = (dx / distance) * agent.speed;
-            const stepY = (dy / distance) * agent.speed;
+    /**
+     * Timestamp of the last animation frame (in milliseconds)
+     * Used for calculating delta time between frames
+     * @type {number}
+     */
+    // declare beginning last timestamp for delta time calculation to calculate howlong the simulation has been running
+    let lastTimestamp = 0;
 
-            // make agent move closer to the step
-            agent.x += stepX;
-            agent.y += stepY;
-        });
-    }
+    /**
+     * Longest real time (in milliseconds) simulated in one frame
+     * Stops a background tab from jumping hours ahead when it becomes visible again
+     * @type {number}
+     */
+    const maxFrameTime = 100;
 
     /**
-     * Declare infection logic when agent visits contaminated school waterbody
-     * Checks if an agent becomes infected when visiting contaminated school water
-     * Vaccinated agent has reduced infection risk based on vaccine effectiveness 
-     * @param {string} targetLocationInput - The location label the agent just reached
-     * @param {number} agentIndex - Index of the agent being checked
+     * Draws all water bodies (house and school) on the canvas
+     * Only draws water bodies for active agents
+     * Color darkens with the Vibrio concentration (lightblue = clean, darkblue = heavily contaminated)
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function checkAgentInfection(AgentLocationInput, agentIndex) {
-        // Check the current day
-        const currentDay = timeManager.currentDay
-       
-        if (AgentLocationInput === 'schoolWater' && schoolWaterBody.isContaminated ) {
-            // store agent reference so later, we focus on one agent only
-            const agent = agents[agentIndex];
+    function drawWaterbody(state) {
+        const { agents, houseWaterBodies, schoolWaterBody } = state;
 
-            // if agent is vaccinated, calculate infection chance based on vaccine effectiveness
-            if (agent.isVaccinated) {
-                // generate random number between 0-1
-                const randomNumber = Math.random();
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 1.5;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
 
-                // calculate infection chance
-                const infectionChance = 1 - (vaccinationEffectiveness / 100);
+        // draw house waterbody (only for active agents)
+        houseWaterBodies.forEach((houseWaterBody, agentIndex) => {
+            if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
 
-                // Decide agent infected or not
-                if (randomNumber < infectionChance) {
-                    agent.isInfected = true;
-                    agent.infectionStartDay = currentDay;   // track the day when agent got infected
-                }
-            } else {
-                // if agent is not vaccinated, always got infected when visiting contaminated waterbody
-                agents[agentIndex].isInfected = true;
-                agents[agentIndex].infectionStartDay = currentDay;   // track the day when agent got infected
-            }
-        }
-    }
+            // if the agent active, draw the house waterbody
+            ctx.beginPath();
+            ctx.arc(houseWaterBody.x, houseWaterBody.y, 15, 0, Math.PI * 2);
+            ctx.fillStyle = CholeraEngine.getWaterColor(houseWaterBody.concentration);
+            ctx.fill();
+            ctx.strokeStyle = 'black';
+            ctx.stroke();
 
-    /**
-     * update infection and immunity status for all agents
-     * agent will become immune after infection duration over
-     * Immune agent will become susceptibel again after immuntiy duration over
-     * @returns {void}
-     */
-    function updateAgentInfectionStatus() {
-        // get the current day
-        const currentDay = timeManager.currentDay;
-
-        agents.forEach((agent) => {
-            //check if agent is infected and track the infection durations
-            if (agent.isInfected && agent.infectionStartDay !== null) {
-                const daysSinceInfection = currentDay - agent.infectionStartDay;
-
-                // check if the infection duration exceed the duration threshold
-                if (daysSinceInfection >= infectionDuration) {
-                    agent.isInfected = false;               // set agent to not infected
-                    agent.isRecovered = true;              // set agent to recovered (immune)
-                    agent.recoveryStartDay = currentDay;    // set recovery start day to current day
-                }
-            }
+            drawChlorinationMarker(houseWaterBody);
+        });
 
-            // check if agent is recovered and track the recovery duration
-            if (agent.isRecovered && agent.recoveryStartDay !== null) {
-                const daysSinceRecovery = currentDay - agent.recoveryStartDay;
+        // draw school waterbody
+        ctx.beginPath();
+        ctx.arc(schoolWaterBody.x, schoolWaterBody.y, 15, 0, Math.PI * 2);
+        ctx.fillStyle = CholeraEngine.getWaterColor(schoolWaterBody.concentration);
+        ctx.fill();
+        ctx.strokeStyle = 'black';
+        ctx.stroke();
 
-                // check if recovery duration exceed the threshold
-                if (daysSinceRecovery >= recoveryDuration) {
-                    agent.isRecovered = false;          // set agent to not recovered (susceptible again)
-                    agent.recoveryStartDay = 0;         // reset recovery start day
-                }
-            }
-        })
+        drawChlorinationMarker(schoolWaterBody);
     }
 
     /**
-     * Checks if an infected agent contaminates their house water body
-     * Starts tracking contamination time when contamination occurs
-     * @param {string} targetLocationInput - The location label the agent just reached
-     * @param {number} agentIndex - Index of the agent being checked
+     * Draw a turquoise ring around a chlorinated waterbody
+     * solid while the dose of chlorine works, dashed once it wore off until the next dose
+     * @param {{x: number, y: number, isTreated: boolean, isChlorinated: boolean}} waterbody - the waterbody to mark
      * @returns {void}
      */
-    // declare house waterbody contamination logic
-    function checkHouseWaterContamination(targetLocationInput, agentIndex) {
-        // Check if agent is visiting their house waterbody and is infected
-        if (targetLocationInput === 'houseWater' && agents[agentIndex].isInfected) {
-            // contaminate the house waterbody
-            houseWaterBodies[agentIndex].isContaminated = true;
+    function drawChlorinationMarker(waterbody) {
+        if (!waterbody.isTreated) return;
 
-            // start tracking contamination duration
-            houseWaterBodies[agentIndex].contaminatedTime = 0;
-        }
+        ctx.beginPath();
+        ctx.arc(waterbody.x, waterbody.y, 20, 0, Math.PI * 2);
+        ctx.strokeStyle = 'turquoise';
+        ctx.lineWidth = 3;
+        ctx.setLineDash(waterbody.isChlorinated ? [] : [4, 4]);
+        ctx.stroke();
+        ctx.setLineDash([]);            // reset to solid line
+        ctx.lineWidth = 1.5;
     }
 
     /**
-     * Tracks infected agent visits to school waterbody and contaminates it after threshold is reached
-     * Implements threshold-based contamination (requires multiple infected visits)
-     * @param {string} targetLocationInput - The location label the agent just reached
-     * @param {number} agentIndex - Index of the agent being checked
+     * Draws a latrine as a small brown hut with a door
+     * @param {{x: number, y: number}} latrine - the latrine to draw
      * @returns {void}
      */
-    // declare funstion to contaminate school waterbody based on infected agent visit count
-    function contaminateSchoolWaterbody(targetLocationInput, agentIndex) {
-        // check if infected agent visit count exceed the thresholds
-        if  (targetLocationInput === 'schoolWater' && agents[agentIndex].isInfected && !schoolWaterBody.isContaminated) {
-            // incerement infected visit count
-            schoolWaterBody.infectedVisitCount += 1;
+    function drawLatrine(latrine) {
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 1.5;
 
-            //check if threshold is reached
-            if (schoolWaterBody.infectedVisitCount >= schoolWaterBody.contaminationThreshold) {
-                schoolWaterBody.isContaminated = true;
-            }
-        }
+        // hut
+        ctx.beginPath();
+        ctx.rect(latrine.x - 5, latrine.y - 7, 10, 14);
+        ctx.fillStyle = 'saddlebrown';
+        ctx.fill();
+        ctx.stroke();
+
+        // door
+        ctx.beginPath();
+        ctx.rect(latrine.x - 2, latrine.y - 1, 4, 8);
+        ctx.fillStyle = 'black';
+        ctx.fill();
     }
 
     /**
-     * Updates house infection state based on water body contamination duration
-     * Houses become infected after their waterbody exceeds contamination threshold time
-     * Only processes houses belonging to active agents
-     * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+     * Draws the latrines in use, the latrine of each agent with one and the school latrine when anyone uses it
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    // update house infection state based on waterbody contamination duration
-    function updateHouseInfectionState(deltaTime) {
-        houseWaterBodies.forEach((houseWaterBody, agentIndex) => {
-            // check if agent active or not
-            if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
-
-            //check if the house waterbody is contaminated and the house is not yet infected
-            if (houseWaterBody.isContaminated && !houses[agentIndex].isInfected) {
-                // calculate the contamination duration
-                houseWaterBody.contaminatedTime += deltaTime;
-
-                // check if contaminated duration exceed the threshold
-                if (houseWaterBody.contaminatedTime >= houseInfectionDelay) {
-                    houses[agentIndex].isInfected = true;
-                }
-            }
+    function drawLatrines(state) {
+        const { agents, houseLatrines, schoolLatrine } = state;
 
-            // check if house waterbody is clean and agent is recovered, then set house to not infected
-            if (houseWaterBody.isContaminated && agents[agentIndex].isRecovered) {
-                houses[agentIndex].isInfected = false;
+        houseLatrines.forEach((houseLatrine, agentIndex) => {
+            if (agents[agentIndex].isActive && agents[agentIndex].hasLatrine) {
+                drawLatrine(houseLatrine);
             }
         });
-    }
 
-    /**
-     * assign random bathroom slot for an agent at a location
-     * @param {string} location - 'school' or 'house'
-     * @returns {number} - random hour from available slots
-     */
-    function assignRandomBathroomSlot(location) {
-        const availableSlots = bathroomSlots[location];                             // get available bathroom slots for the location, returns an array of the slot numbers, '[]' square bracket for dynamic identifier access
-        const randomIndex = Math.floor(Math.random() * availableSlots.length);      // get random index from the available slots array, return number between 0 to length-1
-        return availableSlots[randomIndex];
+        if (agents.some(agent => agent.isActive && agent.hasLatrine)) {
+            drawLatrine(schoolLatrine);
+        }
     }
 
-    /** 
-     * Assign bathroom schedule for all agents for the current day
-     * each agent get random bathroom slot at home and at school each day
+    /**
+     * Draw the market and its water point, visited on days without school
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function assignDailyBathroomSchedules() {
-        agents.forEach((agent) => {
-            if (!agent.isActive) return;         // skip inactive agents
-
-            // assign random bathroom time at school
-            agent.schoolBathroomHour = assignRandomBathroomSlot('school');
-
-            // assign random bathroom time at house
-            agent.houseBathroomHour = assignRandomBathroomSlot('house');
-
-            // Reset bathroom visit flag for new day
-            agent.hasVisitedSchoolBathroomToday = false;
-            agent.hasVisitedHouseBathroomToday = false;
-        })
-    }
+    function drawMarket(state) {
+        const { market, marketWaterBody } = state;
 
-    /** 
-     * Check if agent should visit bathroom based on current hour and location
-     * @param {object} agent - the agent to check
-     * @param {number} currentHour - Current simulation hour (0-23)
-     * @returns {string|null} - 'schoolWaterBody' or 'houseWaterBody' if visiting bathroom, null otherwise
-     */
-    function shouldVisitBathroom(agent, currentHour) {
-        if (!agent.isActive) return null;         // skip inactive agents
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 2.5;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
 
-        // check if agent at school and it's their bathroom hour
-        if (agent.isAtSchool && currentHour === agent.schoolBathroomHour && !agent.hasVisitedSchoolBathroomToday) {
-            return 'schoolWater';
-        }
+        // draw counter
+        ctx.beginPath();
+        ctx.rect(market.x - 15, market.y - 5, 30, 15);
+        ctx.fillStyle = 'burlywood';
+        ctx.fill();
+        ctx.stroke();
 
-        // check if agent at house and it's their bathroom hour
-        if (!agent.isAtSchool && currentHour === agent.houseBathroomHour && !agent.hasVisitedHouseBathroomToday) {
-            return 'houseWater';
+        // draw striped awning
+        for (let i = 0; i < 3; i++) {
+            ctx.beginPath();
+            ctx.rect(market.x - 15 + i * 10, market.y - 15, 10, 8);
+            ctx.fillStyle = i % 2 === 0 ? 'red' : 'white';
+            ctx.fill();
+            ctx.stroke();
         }
 
-        return null;
-    }
-
-    /** 
-     * Mark that bathroom visit has been completed
-     * @param {object} agent - The agent that visited
-     * @param {string} bathroomLocation - 'schoolWaterBody' or 'houseWaterBody'
-     * @returns {void}
-     */
-    function markBathroomVisitComplete(agent, bathroomLocation) {
-        if (bathroomLocation === 'schoolWater') {
-            agent.hasVisitedSchoolBathroomToday = true;
-        } else if (bathroomLocation === 'houseWater') {
-            agent.hasVisitedHouseBathroomToday = true;
-        }
+        // draw market water point
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(marketWaterBody.x, marketWaterBody.y, 15, 0, Math.PI * 2);
+        ctx.fillStyle = CholeraEngine.getWaterColor(marketWaterBody.concentration);
+        ctx.fill();
+        ctx.stroke();
     }
 
     /**
-     * Draws all water bodies (house and school) on the canvas
-     * Only draws water bodies for active agents
-     * Color changes based on contamination state (lightblue = clean, darkblue = contaminated)
+     * Draw the extra places of the location registry (clinic, church, well, river, ...) with their name
+     * places with a water point are drawn as a waterbody, the others as a small white building with a red cross
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawWaterbody() {
-        
-        ctx.strokeStyle = 'black';
-        ctx.lineWidth = 1.5;
-        ctx.lineJoin = 'round';
-        ctx.lineCap = 'round'; 
+    function drawExtraLocations(state) {
+        Object.values(state.locations).forEach((location) => {
+            if (!location.isExtra) return;
 
-        // draw house waterbody (only for active agents)
-        houseWaterBodies.forEach((houseWaterBody, agentIndex) => {
-            if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
-            
-            // if the agent active, draw the house waterbody
-            ctx.beginPath();
-            ctx.arc(houseWaterBody.x, houseWaterBody.y, 15, 0, Math.PI * 2);
-            ctx.fillStyle = houseWaterBody.isContaminated ? 'darkblue' : 'lightblue';
-            ctx.fill();
             ctx.strokeStyle = 'black';
-            ctx.stroke();
+            ctx.lineWidth = 1.5;
+
+            if (location.waterbody) {
+                ctx.beginPath();
+                ctx.arc(location.x, location.y, 15, 0, Math.PI * 2);
+                ctx.fillStyle = CholeraEngine.getWaterColor(location.waterbody.concentration);
+                ctx.fill();
+                ctx.stroke();
+            } else {
+                // draw building
+                ctx.beginPath();
+                ctx.rect(location.x - 12, location.y - 10, 24, 20);
+                ctx.fillStyle = 'white';
+                ctx.fill();
+                ctx.stroke();
+
+                // draw cross
+                ctx.fillStyle = 'red';
+                ctx.fillRect(location.x - 2, location.y - 7, 4, 14);
+                ctx.fillRect(location.x - 7, location.y - 2, 14, 4);
+            }
+
+            // draw name
+            ctx.fillStyle = 'black';
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(location.name, location.x, location.y + 27);
         });
-       
-        // draw school waterbody
-        ctx.beginPath();
-        ctx.arc(schoolWaterBody.x, schoolWaterBody.y, 15, 0, Math.PI * 2);
-        ctx.fillStyle = schoolWaterBody.isContaminated ? 'darkblue' : 'lightblue';
-        ctx.fill();
-        ctx.strokeStyle = 'black';
-        ctx.stroke();
     }
 
     /**
      * Draws the school building with a 3D-like appearance (front and back sections with roofs)
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawSchool() {
+    function drawSchool(state) {
+        const { school } = state;
+
         // set the stroke style
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 2.5;
@@ -877,7 +552,7 @@
         ctx.lineWidth = 2.5;
         ctx.stroke();
 
-        // draw back roof 
+        // draw back roof
         ctx.beginPath();
         ctx.moveTo(school.x+10, school.y-10);
         ctx.lineTo(school.x+32, school.y-10);
@@ -889,15 +564,26 @@
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 2.5;
         ctx.stroke();
-    }  
+
+        // mark a closed school day
+        if (state.isSchoolClosed) {
+            ctx.fillStyle = 'red';
+            ctx.font = 'bold 11px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('CLOSED', school.x + 11, school.y + 24);
+        }
+    }
 
     /**
      * Draws all house buildings
      * Only draws houses for active agents
      * Outline color changes to red when house is infected
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawHouse() {
+    function drawHouse(state) {
+        const { agents, houses } = state;
+
         houses.forEach((house, agentIndex) => {
             // check if agent active or not
             if (!agents[agentIndex].isActive) return;         // skip inactive agents' houses
@@ -935,27 +621,38 @@
      * Draws all agents as stick figures
      * Only draws active agents
      * Outline color changes to red when agent is infected
+     * Asymptomatic carriers look healthy, the X-ray view shows them in pink
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawAgent() {
-        agents.forEach((agent) => {
+    function drawAgent(state) {
+        state.agents.forEach((agent) => {
             // check if agent active or not
             if (!agent.isActive) return;         // skip inactive agents
 
-            ctx.strokeStyle = agent.isInfected ? 'red' : 'black';
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            // red when infected (symptomatic), purple while exposed (incubating)
+            ctx.strokeStyle = agent.isInfected ? 'red' : agent.isExposed ? 'purple' : 'black';
+
+            // asymptomatic carriers show no symptoms, only the X-ray view reveals them
+            if (agent.isInfected && agent.isAsymptomatic) {
+                ctx.strokeStyle = xrayToggle.checked ? 'deeppink' : 'black';
+            }
             ctx.lineWidth = 2.5;
             ctx.lineJoin = 'round';
-            ctx.lineCap = 'round'; 
+            ctx.lineCap = 'round';
 
             // draw head
             ctx.beginPath();
-            ctx.arc(agent.x, agent.y-12, 6, 0, Math.PI * 2);
+            ctx.arc(x, y-12, 6, 0, Math.PI * 2);
             ctx.stroke();
 
             // draw test indicator if agent is tested
             if (agent.isTested) {
                 ctx.beginPath();
-                ctx.arc(agent.x, agent.y-12, 2, 0, Math.PI * 2);
+                ctx.arc(x, y-12, 2, 0, Math.PI * 2);
                 ctx.fillStyle = 'orange';
                 ctx.fill();
             }
@@ -963,69 +660,137 @@
 
             //draw body
             ctx.beginPath();
-            ctx.moveTo(agent.x, agent.y-6);
-            ctx.lineTo(agent.x, agent.y+6);
+            ctx.moveTo(x, y-6);
+            ctx.lineTo(x, y+6);
             ctx.stroke();
-            
+
             //draw arms
             ctx.beginPath();
-            ctx.moveTo(agent.x-8, agent.y);
-            ctx.lineTo(agent.x, agent.y-6);
-            ctx.lineTo(agent.x+8, agent.y);
+            ctx.moveTo(x-8, y);
+            ctx.lineTo(x, y-6);
+            ctx.lineTo(x+8, y);
             ctx.stroke();
 
             //draw legs
             ctx.beginPath();
-            ctx.moveTo(agent.x-6, agent.y+16);
-            ctx.lineTo(agent.x, agent.y+6);
-            ctx.lineTo(agent.x+6, agent.y+16);
+            ctx.moveTo(x-6, y+16);
+            ctx.lineTo(x, y+6);
+            ctx.lineTo(x+6, y+16);
             ctx.stroke();
 
             // draw vaccination ring if agent is vaccinated
             if (agent.isVaccinated) {
                 ctx.beginPath();
-                ctx.arc(agent.x, agent.y-12, 10, 0, Math.PI * 2);
+                ctx.arc(x, y-12, 10, 0, Math.PI * 2);
                 ctx.strokeStyle = 'green';
                 ctx.lineWidth = 2;
                 ctx.stroke();
             }
-        });     
+        });
     }
 
-    /** 
+    /**
      * Draw isolation boxes around isolated agents
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawIsolationBoxes() {
-        agents.forEach((agent) => {
+    function drawIsolationBoxes(state) {
+        state.agents.forEach((agent) => {
             // check if agent is inacactive or not isolated
             if (!agent.isActive || !agent.isIsolated) return;
 
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
             // draw isolation box
             ctx.strokeStyle = 'grey';
             ctx.lineWidth = 2;
             ctx.setLineDash([5, 3]); // dashed line
-            ctx.strokeRect(agent.x - 25, agent.y - 35, 50, 50);
+            ctx.strokeRect(x - 25, y - 35, 50, 50);
             ctx.setLineDash([]); // reset to solid line
         });
     }
 
+    /**
+     * Circle the agent selected in the itinerary editor
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawSelectedAgent(state) {
+        const agent = state.agents[parseInt(itineraryAgentSelect.value)];
+        if (!agent || !agent.isActive) return;
+
+        // draw between the last two simulation ticks for smooth movement
+        const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+        ctx.strokeStyle = 'orange';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y - 10, 22, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw a gold ring around the agents and waterbodies of the hovered node of the transmission tree
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawTransmissionHighlight(state) {
+        if (!transmissionHighlight) return;
+
+        ctx.strokeStyle = 'gold';
+        ctx.lineWidth = 4;
+
+        transmissionHighlight.waterbodyIds.forEach((id) => {
+            const waterbody = simulation.getWaterbody(id);
+            if (!waterbody) return;
+
+            ctx.beginPath();
+            ctx.arc(waterbody.x, waterbody.y, 21, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        transmissionHighlight.agentIndices.forEach((agentIndex) => {
+            const agent = state.agents[agentIndex];
+            if (!agent || !agent.isActive) return;
+
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            ctx.beginPath();
+            ctx.arc(x, y - 10, 22, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+
     /**
      * Draw the simulation environment
      * Clears canvas and redraws all elements in correct layering order
      * @returns {void}
      */
     function drawScene() {
+        const state = simulation.getState();
 
         // clear the canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
         // draw scene elements
-        drawSchool();    
-        drawHouse();
-        drawWaterbody();
-        drawAgent();
-        drawIsolationBoxes();
+        drawSchool(state);
+        drawMarket(state);
+        drawExtraLocations(state);
+        drawHouse(state);
+        drawWaterbody(state);
+        drawLatrines(state);
+        drawAgent(state);
+        drawIsolationBoxes(state);
+        drawSelectedAgent(state);
+        drawTransmissionHighlight(state);
+        inspector.draw(state);
+
+        // update the epidemic curve with the latest counts
+        epidemicChart.draw(state.history);
+        rtChart.draw(simulation.getReproductionNumbers());
+        transmissionTree.draw(simulation.getTransmissionTree());
     }
 
     /**
@@ -1034,10 +799,10 @@
      * @returns {void}
      */
     function updateTimeIndicator() {
-        const currentHour = getCurrentHour(timeManager);      // get current hour by calling the function getCurrentHour and timeManager object
+        const state = simulation.getState();
 
         // calculate percentage position (0-100%) of the time indicator based on current hour (0-23)
-        const percentage = (currentHour / 24) * 100;
+        const percentage = (state.hour / 24) * 100;
 
         // update indicator position
         const indicatorHour = document.getElementById('sim4-time-indicator');
@@ -1048,13 +813,25 @@
         // update time display
         const timeDisplay = document.getElementById('sim4-current-time');
         if (timeDisplay) {
-            timeDisplay.textContent = getTimeString(timeManager);
+            timeDisplay.textContent = state.timeString;
         }
 
         // update DAY display
         const dayDisplay = document.getElementById('sim4-current-day');
         if (dayDisplay) {
-            dayDisplay.textContent = getCurrentDay(timeManager);
+            dayDisplay.textContent = state.day;
+        }
+
+        // update weekday display
+        const weekdayDisplay = document.getElementById('sim4-current-weekday');
+        if (weekdayDisplay) {
+            weekdayDisplay.textContent = state.weekdayName;
+        }
+
+        // shade the school hours of a closed school day, a weekend or a holiday
+        const schoolHours = document.getElementById('sim4-school-hours');
+        if (schoolHours) {
+            schoolHours.classList.toggle('school-closed', state.isSchoolClosed || !state.isSchoolDay);
         }
     }
 
@@ -1068,199 +845,379 @@
 
     /**
      * Main animation loop function
-     * Updates agent movement, infection states, and redraws the scene
+     * Advances the simulation by the elapsed time and redraws the scene
      * @param {DOMHighResTimeStamp} timestamp - Current time provided by requestAnimationFrame
      * @returns {void}
      */
     // Declare Animation function
     function animate(timestamp) {
         // calculater delta Time
-        const deltaTime = timestamp - lastTimestamp;
+        const deltaTime = Math.min(timestamp - lastTimestamp, maxFrameTime);
         lastTimestamp = timestamp;
 
-        // update time manager
-        updateTimeManager(timeManager, deltaTime);
+        // advance the simulation, converting real milliseconds to simulated hours
+        simulation.step((deltaTime / 1000) * timeScale * speedMultiplier);
 
         // update time indicator bar
         updateTimeIndicator();
 
-        // check for day change and need to assign new bathroom schedule
-        const currentDay = timeManager.currentDay;
-        if (currentDay !== previousDay) {
-            // store current day as previous day
-            previousDay = currentDay;
-
-            // assign new bathroom schedule for all agents
-            assignDailyBathroomSchedules();
-
-            // reset agent's test flag daily
-            agents.forEach(agent => {
-                agent.isTested = false;
-                // check if agent isolation period has ended
-                if (currentDay >= agent.isolationEndDay) {
-                    agent.isIsolated = false;
-                }
-            });
+        // Redraw the scene
+        drawScene();
 
-            // reset rapid test performed flag for the new day
-            hasPerformedRapidTestToday = false;
-        }
+        // Request the next animation frame
+        animationId = requestAnimationFrame(animate)
+    }
 
-        // check isolation status for all agents
-        // Perform rapid tests daily at 7 am (hour 7) and check isolation status
-        const currentHour = getCurrentHour(timeManager);
-        if (currentHour === 7 && !hasPerformedRapidTestToday) {
-            // assign rapid test to eligible agents
-            assignRapidTest();
-            // set flag to indicate rapid test has been performed today
-            hasPerformedRapidTestToday = true;
-        }
+    // update slider initial value and add event listener
+    neighborhoodNumber.addEventListener('input', function() {
+        neighborhoodNumberLabel.textContent = this.value;
 
-        // Update infection and immunity status (check for recovery/immunity loss)
-        updateAgentInfectionStatus();
+        // update active agents based on the slider value
+        simulation.setActiveAgentCount(parseInt(this.value));
+        drawScene();
+    });
 
-        // Update agent position based on movement logic
-        updateAgentMovement();
+    // update vaccination slider and add event listener
+    vaccinationSlider.addEventListener('input', function() {
+        // update vaccination label and coverage value
+        vaccinationLabel.textContent = this.value;
 
-        // update house infection state
-        updateHouseInfectionState(deltaTime);
+        // redraw the scene to show agent vaccination ring as the number of slider change
+        simulation.setVaccinationCoverage(parseInt(this.value));
+        drawScene();
+    });
 
-        // Redraw the scene
+    // update rapid test slider and add event listener
+    rapidTestSlider.addEventListener('input', function() {
+        // update rapid test label and coverage value
+        rapidTestLabel.textContent = this.value;
+        simulation.setRapidTestCoverage(parseInt(this.value));
+    });
+
+    // update asymptomatic slider and add event listener
+    asymptomaticSlider.addEventListener('input', function() {
+        asymptomaticLabel.textContent = this.value;
+        simulation.setAsymptomaticRate(parseInt(this.value));
+    });
+
+    // chlorinate the school waterbody or stop doing so
+    schoolChlorinationToggle.addEventListener('change', function() {
+        simulation.setSchoolChlorination(this.checked);
         drawScene();
+    });
 
-        // Request the next animation frame
-        animationId = requestAnimationFrame(animate)
-    }
+    // update chlorination slider and add event listener
+    chlorinationSlider.addEventListener('input', function() {
+        chlorinationLabel.textContent = this.value;
 
-    /**
-     * Slider input element for controlling number of active agents
-     * @type {HTMLInputElement}
-     */
-    // track the slider label number of the current neighborhood number
-    let neighborhoodNumber = document.getElementById('sim4-neighbour-number');
-    
-    /**
-     * Label element displaying current slider value
-     * @type {HTMLSpanElement}
-     */
-    let neighborhoodNumberLabel = document.getElementById('sim4-neighbour-label');
-    
-    // set initial slider value
-    neighborhoodNumberLabel.textContent = neighborhoodNumber.value;
-    activeAgentCount = parseInt(neighborhoodNumber.value);
+        // redraw the scene to show the chlorinated house waterbodies
+        simulation.setChlorinationCoverage(parseInt(this.value));
+        drawScene();
+    });
+
+    // update chlorination efficacy slider and add event listener
+    chlorinationEfficacySlider.addEventListener('input', function() {
+        chlorinationEfficacyLabel.textContent = this.value;
+        simulation.setChlorinationEfficacy(parseInt(this.value));
+    });
+
+    // update latrine slider and add event listener
+    latrineSlider.addEventListener('input', function() {
+        latrineLabel.textContent = this.value;
+
+        // redraw the scene to show the latrines
+        simulation.setLatrineCoverage(parseInt(this.value));
+        drawScene();
+    });
+
+    // update school closure controls, they apply from the start of the next day
+    schoolClosureToggle.addEventListener('change', function() {
+        simulation.setSchoolClosure(this.checked);
+    });
+
+    schoolClosureDaysInput.addEventListener('change', function() {
+        simulation.setSchoolClosureDays(parseDayList(this.value));
+    });
+
+    schoolClosureContaminationToggle.addEventListener('change', function() {
+        simulation.setReactiveSchoolClosure(this.checked, parseInt(schoolClosureSlider.value));
+    });
+
+    holidaysInput.addEventListener('change', function() {
+        simulation.setHolidays(parseDayList(this.value));
+    });
+
+    schoolClosureSlider.addEventListener('input', function() {
+        schoolClosureLabel.textContent = this.value === '0' ? 'off' : this.value;
+        simulation.setReactiveSchoolClosure(schoolClosureContaminationToggle.checked, parseInt(this.value));
+    });
 
     /**
-     * Slider input element for controlling vaccination coverage
-     * @type {HTMLInputElement}
+     * Build the itinerary table of the selected agent: one row per time window with its hours and place
+     * the cells follow the disabled state of the editor buttons, so a running simulation stays read-only
+     * @returns {void}
      */
-    let vaccinationSlider = document.getElementById('sim4-vaccination-slider');
-    
+    function buildItineraryTable() {
+        const state = simulation.getState();
+        const agent = state.agents[parseInt(itineraryAgentSelect.value)];
+        const places = [{id: 'house', name: 'Home'}].concat(Object.values(state.locations).filter(location => location.isDestination));
+        const isDisabled = itineraryAddButton.disabled;
+
+        itineraryTable.innerHTML = '';
+
+        // header row
+        const headerRow = itineraryTable.insertRow();
+        ['from', 'to', 'place', ''].forEach((text) => {
+            headerRow.appendChild(document.createElement('th')).textContent = text;
+        });
+
+        agent.itinerary.forEach((entry, entryIndex) => {
+            const tableRow = itineraryTable.insertRow();
+
+            ['startHour', 'endHour'].forEach((key) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 0;
+                input.max = 24;
+                input.step = 1;
+                input.className = 'itinerary-input';
+                input.dataset.key = key;
+                input.value = entry[key];
+                input.disabled = isDisabled;
+                tableRow.insertCell().appendChild(input);
+            });
+
+            const placeSelect = document.createElement('select');
+            placeSelect.dataset.key = 'locationId';
+            places.forEach((place) => {
+                placeSelect.add(new Option(place.name, place.id, false, place.id === entry.locationId));
+            });
+            placeSelect.disabled = isDisabled;
+            tableRow.insertCell().appendChild(placeSelect);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'time-bar-button';
+            removeButton.textContent = 'x';
+            removeButton.dataset.remove = entryIndex;
+            removeButton.disabled = isDisabled;
+            tableRow.insertCell().appendChild(removeButton);
+        });
+
+        // an empty itinerary keeps the agent at home all day
+        if (agent.itinerary.length === 0) {
+            const cell = itineraryTable.insertRow().insertCell();
+            cell.colSpan = 4;
+            cell.textContent = 'at home all day';
+        }
+    }
+
     /**
-     * Label element displaying current vaccination coverage
-     * @type {HTMLSpanElement}
-     */
-    let vaccinationLabel = document.getElementById('sim4-vaccination-label');
-    
-    // set initial vaccination slider value
-    vaccinationLabel.textContent = vaccinationSlider.value;
-    vaccinationCoverage = parseInt(vaccinationSlider.value);
+     * Read the time windows from the itinerary table
+     * @returns {Array<{startHour: number, endHour: number, locationId: string}>}
+     */
+    function readItineraryTable() {
+        return Array.from(itineraryTable.rows)
+            .filter(tableRow => tableRow.querySelector('select'))
+            .map(tableRow => ({
+                startHour: parseInt(tableRow.querySelector('[data-key="startHour"]').value),
+                endHour: parseInt(tableRow.querySelector('[data-key="endHour"]').value),
+                locationId: tableRow.querySelector('[data-key="locationId"]').value
+            }))
+            .filter(entry => !Number.isNaN(entry.startHour) && !Number.isNaN(entry.endHour));
+    }
 
     /**
-     * Slider input element for controlling rapid test coverage
-     * @type {HTMLInputElement}
+     * Give the selected agent a new itinerary and show it as the engine kept it
+     * @param {Array<{startHour: number, endHour: number, locationId: string}>|null} itinerary - null restores the school day
+     * @returns {void}
      */
-    let rapidTestSlider = document.getElementById('sim4-rapid-test-slider');
+    function updateItinerary(itinerary) {
+        simulation.setAgentItinerary(parseInt(itineraryAgentSelect.value), itinerary);
+        buildItineraryTable();
+    }
 
     /**
-     * Label element displaying current rapid test coverage
-     * @type {HTMLSpanElement}
+     * Enable or disable the itinerary editor, the agent selector stays enabled to inspect itineraries while running
+     * @param {boolean} disabled - whether the editor is disabled
+     * @returns {void}
      */
-    let rapidTestLabel = document.getElementById('sim4-rapid-test-label');
-
-    // set initial rapid test slider value
-    rapidTestLabel.textContent = rapidTestSlider.value;
-    rapidTestCoverage = parseInt(rapidTestSlider.value);
+    function setItineraryEditorDisabled(disabled) {
+        itineraryTable.querySelectorAll('input, select, button').forEach((element) => {
+            element.disabled = disabled;
+        });
+        itineraryAddButton.disabled = disabled;
+        itineraryDefaultButton.disabled = disabled;
+    }
 
     /**
-     * Updates which agents are active based on slider value
-     * Agents with index less than count are made active, others inactive
-     * @param {number} count - Number of agents to activate
+     * One option per agent in the itinerary agent selector, the first agent is selected
      * @returns {void}
      */
-    //  declare function to update active agent based on slider value
-    function updateActiveAgents(count) {
-        // update agent active state based on the slider value
-        activeAgentCount = count;
+    function buildItineraryAgentOptions() {
+        itineraryAgentSelect.length = 0;
 
-        // update isActive flag for each agent
-        agents.forEach((agent, agentIndex) => {
-            agent.isActive = agentIndex < activeAgentCount;
+        simulation.getState().agents.forEach((agent, agentIndex) => {
+            itineraryAgentSelect.add(new Option(`Agent ${agentIndex + 1}`, agentIndex));
         });
+    }
+
+    buildItineraryAgentOptions();
+    buildItineraryTable();
 
-        // redraw the scene to reflect changes
+    itineraryAgentSelect.addEventListener('change', function() {
+        buildItineraryTable();
         drawScene();
-    }
+    });
 
-    // update vaccination coverage based on slider value
-    function updateVaccinationCoverage(coverage) {
-        vaccinationCoverage = coverage;
+    // edited hours and places, the engine drops windows ending before they start
+    itineraryTable.addEventListener('change', function() {
+        updateItinerary(readItineraryTable());
+    });
 
-        // reset all agent vaccination status
-        agents.forEach((agent, agentIndex) => {
-            agent.isVaccinated = false;
-        });
+    itineraryTable.addEventListener('click', function(event) {
+        if (event.target.dataset.remove === undefined) return;
 
-        // assign vaccination randomly to the community
-        assignVaccination();
+        const removedIndex = parseInt(event.target.dataset.remove);
+        updateItinerary(readItineraryTable().filter((entry, entryIndex) => entryIndex !== removedIndex));
+    });
 
-        // redraw the scene to show agent vaccination ring as the number of slider change
-        drawScene();
-    }   
-    
-    // updatate rapid test coverage based on slider value
-    function updateRapidTestCoverage(coverage) {
-        rapidTestCoverage = coverage;
-
-        // reset all agent test status
-        agents.forEach((agent, agentIndex) => {
-            agent.isTested = false;
-            agent.isIsolated = false;
-            agent.isolationStartDay = 0;
-            agent.isolationEndDay = 0;
-        });
-    }
+    // new one-hour window at the market after the last window of the day
+    itineraryAddButton.addEventListener('click', function() {
+        const itinerary = readItineraryTable();
+        const startHour = Math.min(23, itinerary.reduce((latest, entry) => Math.max(latest, entry.endHour), 0));
+        updateItinerary(itinerary.concat([{startHour: startHour, endHour: startHour + 1, locationId: 'market'}]));
+    });
 
+    // back to school hours at school
+    itineraryDefaultButton.addEventListener('click', function() {
+        updateItinerary(null);
+    });
 
+    // show or hide asymptomatic carriers, only changes the drawing so it works while running
+    xrayToggle.addEventListener('change', drawScene);
 
-    // update slider initial value and add event listener
-    neighborhoodNumber.addEventListener('input', function() {
-        neighborhoodNumberLabel.textContent = this.value;
+    // restart from the initial state with the new seed
+    seedInput.addEventListener('change', function() {
+        const seed = parseInt(this.value);
 
-        // update active agents based on the slider value
-        updateActiveAgents(parseInt(this.value));
+        // ignore anything that is not a number and show the seed in use again
+        if (!Number.isNaN(seed)) {
+            simulation.setSeed(seed);
+        }
+        this.value = simulation.getState().seed;
+
+        updateTimeIndicator();
+        drawScene();
     });
 
-    // update vaccination slider and add event listener
-    vaccinationSlider.addEventListener('input', function() {
-        // update vaccination label and coverage value
-        vaccinationLabel.textContent = this.value;
+    /**
+     * Show the settings of a loaded scenario on the controls
+     * @returns {void}
+     */
+    function updateControlsFromConfig() {
+        const config = simulation.config;
+
+        neighborhoodNumber.value = config.activeAgentCount;
+        neighborhoodNumberLabel.textContent = config.activeAgentCount;
+        vaccinationSlider.value = config.vaccinationCoverage;
+        vaccinationLabel.textContent = config.vaccinationCoverage;
+        rapidTestSlider.value = config.rapidTestCoverage;
+        rapidTestLabel.textContent = config.rapidTestCoverage;
+        asymptomaticSlider.value = config.asymptomaticRate;
+        asymptomaticLabel.textContent = config.asymptomaticRate;
+        schoolChlorinationToggle.checked = config.chlorinateSchoolWater;
+        chlorinationSlider.value = config.chlorinationCoverage;
+        chlorinationLabel.textContent = config.chlorinationCoverage;
+        chlorinationEfficacySlider.value = config.chlorinationEfficacy;
+        chlorinationEfficacyLabel.textContent = config.chlorinationEfficacy;
+        latrineSlider.value = config.latrineCoverage;
+        latrineLabel.textContent = config.latrineCoverage;
+        schoolClosureToggle.checked = config.closeSchool;
+        schoolClosureDaysInput.value = config.schoolClosureDays.join(', ');
+        schoolClosureContaminationToggle.checked = config.closeSchoolOnContamination;
+        schoolClosureSlider.value = config.schoolClosureCaseThreshold;
+        schoolClosureLabel.textContent = config.schoolClosureCaseThreshold === 0 ? 'off' : config.schoolClosureCaseThreshold;
+        holidaysInput.value = config.holidays.join(', ');
+        buildItineraryAgentOptions();
+        buildItineraryTable();
+        seedInput.value = config.seed;
+    }
 
-        updateVaccinationCoverage(parseInt(this.value));
+    // save the setup as a scenario file, or load one and start over from it
+    CholeraScenario.attachScenarioControls({
+        simulation: simulation,
+        fileName: 'sim4-scenario.json',
+        saveButton: saveScenarioButton,
+        loadButton: loadScenarioButton,
+        fileInput: document.getElementById('sim4-scenario-file'),
+        messageElement: document.getElementById('sim4-scenario-message'),
+        onLoad: function() {
+            updateControlsFromConfig();
+            resetSimulation();
+        }
     });
 
-    // update rapid test slider and add event listener
-    rapidTestSlider.addEventListener('input', function() {
-        // update rapid test label and coverage value
-        rapidTestLabel.textContent = this.value;
-        updateRapidTestCoverage(parseInt(this.value));
-        console.log('Rapid Test Coverage updated to:', rapidTestCoverage);
+    // keep the current state as a snapshot, or restore one and continue from there with changed controls
+    CholeraScenario.attachSnapshotControls({
+        simulation: simulation,
+        name: 'sim4',
+        takeButton: document.getElementById('sim4-take-snapshot-button'),
+        snapshotSelect: document.getElementById('sim4-snapshot-select'),
+        restoreButton: document.getElementById('sim4-restore-snapshot-button'),
+        deleteButton: document.getElementById('sim4-delete-snapshot-button'),
+        downloadButton: document.getElementById('sim4-download-snapshot-button'),
+        openButton: document.getElementById('sim4-open-snapshot-button'),
+        fileInput: document.getElementById('sim4-snapshot-file'),
+        messageElement: document.getElementById('sim4-snapshot-message'),
+        onRestore: function() {
+            updateControlsFromConfig();
+            stopSimulation();
+
+            // the restored run can be reset to its start like a paused one
+            resetButton.disabled = false;
+        }
     });
 
-    // initialise active agents based on the initital slider value
-    updateActiveAgents(activeAgentCount);
+    // change how many simulated hours pass per real second
+    speedSelect.addEventListener('change', function() {
+        speedMultiplier = parseFloat(this.value);
+    });
 
-    // initialise vaccination coverage based on the initial slider value
-    updateVaccinationCoverage(vaccinationCoverage);
+    /**
+     * Advance the simulation from the time bar buttons, while running or paused
+     * Stepping begins the run like the start button, so the settings stay fixed until reset
+     * @param {function(): void} advance - engine call advancing the time
+     * @returns {void}
+     */
+    function stepSimulation(advance) {
+        advance();
+
+        // the run has begun, allow reset and keep the settings fixed
+        resetButton.disabled = false;
+        seedInput.disabled = true;
+        loadScenarioButton.disabled = true;
+        neighborhoodNumber.disabled = true;
+        vaccinationSlider.disabled = true;
+        rapidTestSlider.disabled = true;
+        asymptomaticSlider.disabled = true;
+        schoolChlorinationToggle.disabled = true;
+        chlorinationSlider.disabled = true;
+        chlorinationEfficacySlider.disabled = true;
+        latrineSlider.disabled = true;
+        schoolClosureToggle.disabled = true;
+        schoolClosureDaysInput.disabled = true;
+        schoolClosureContaminationToggle.disabled = true;
+        schoolClosureSlider.disabled = true;
+        holidaysInput.disabled = true;
+        setItineraryEditorDisabled(true);
+
+        updateTimeIndicator();
+        drawScene();
+    }
+
+    stepHourButton.addEventListener('click', () => stepSimulation(() => simulation.runFor(1)));
+    skipDayButton.addEventListener('click', () => stepSimulation(() => simulation.skipToNextDay()));
 
     /**
      * Tracks whether the simulation is currently running
@@ -1293,16 +1250,17 @@
     function startSimulation() {
         if (isRunning) return;
 
-        // change the state 
+        // change the state
         isRunning = true;
-        
+
         // change helper button mode
         startButton.disabled = true;
         pauseButton.disabled = false;
         resetButton.disabled = false;
 
-        // Assign vaccination before starting simulation
-        assignVaccination();
+        // keep the seed fixed during the run
+        seedInput.disabled = true;
+        loadScenarioButton.disabled = true;
 
         // disable the neighborhood slider while simulation is running
         neighborhoodNumber.disabled = true;
@@ -1313,8 +1271,24 @@
         // disable the rapid test slider while simulation is running
         rapidTestSlider.disabled = true;
 
-        // Assign bathroom schedules for day 0 if not already assigned
-        assignDailyBathroomSchedules();
+        // disable the asymptomatic slider while simulation is running
+        asymptomaticSlider.disabled = true;
+
+        // disable the chlorination controls while simulation is running
+        schoolChlorinationToggle.disabled = true;
+        chlorinationSlider.disabled = true;
+        chlorinationEfficacySlider.disabled = true;
+
+        // disable the latrine slider while simulation is running
+        latrineSlider.disabled = true;
+
+        // disable the school closure controls while simulation is running
+        schoolClosureToggle.disabled = true;
+        schoolClosureDaysInput.disabled = true;
+        schoolClosureContaminationToggle.disabled = true;
+        schoolClosureSlider.disabled = true;
+        holidaysInput.disabled = true;
+        setItineraryEditorDisabled(true);
 
         // record the initial timestamp when simulation starts
         lastTimestamp = performance.now();
@@ -1350,6 +1324,25 @@
         // disable the rapid test slider while simulation is running
         rapidTestSlider.disabled = true;
 
+        // disable the asymptomatic slider while simulation is running
+        asymptomaticSlider.disabled = true;
+
+        // disable the chlorination controls while simulation is running
+        schoolChlorinationToggle.disabled = true;
+        chlorinationSlider.disabled = true;
+        chlorinationEfficacySlider.disabled = true;
+
+        // disable the latrine slider while simulation is running
+        latrineSlider.disabled = true;
+
+        // disable the school closure controls while simulation is running
+        schoolClosureToggle.disabled = true;
+        schoolClosureDaysInput.disabled = true;
+        schoolClosureContaminationToggle.disabled = true;
+        schoolClosureSlider.disabled = true;
+        holidaysInput.disabled = true;
+        setItineraryEditorDisabled(true);
+
         // cancel the animation frame
         cancelAnimationFrame(animationId);              // stop the animation
     }
@@ -1357,13 +1350,23 @@
     /**
      * Resets the simulation to initial state
      * Resets all agent positions, infection states, contamination states
-     * Re-infects agents 1 and 2 for simulation purposes
-     * Enables start button and slider, disables pause/reset buttons
      * Stops animation and redraws initial scene
      * @returns {void}
      */
     // Control helpers to reset the animation
     function resetSimulation() {
+        // reset agents, waterbodies, houses and time
+        simulation.reset();
+
+        stopSimulation();
+    }
+
+    /**
+     * Stops the animation and shows the current state of the simulation, after a reset or a restored snapshot
+     * Enables start button and sliders, disables pause/reset buttons
+     * @returns {void}
+     */
+    function stopSimulation() {
         // change the state
         isRunning = false;
 
@@ -1372,6 +1375,10 @@
         pauseButton.disabled = true;
         resetButton.disabled = true;
 
+        // allow a new seed for the next run
+        seedInput.disabled = false;
+        loadScenarioButton.disabled = false;
+
         // enable the neighborhood slider
         neighborhoodNumber.disabled = false;
 
@@ -1381,70 +1388,110 @@
         // enable the rapid test slider while simulation is running
         rapidTestSlider.disabled = false;
 
+        // enable the asymptomatic slider
+        asymptomaticSlider.disabled = false;
+
+        // enable the chlorination controls
+        schoolChlorinationToggle.disabled = false;
+        chlorinationSlider.disabled = false;
+        chlorinationEfficacySlider.disabled = false;
+
+        // enable the latrine slider
+        latrineSlider.disabled = false;
+
+        // enable the school closure controls
+        schoolClosureToggle.disabled = false;
+        schoolClosureDaysInput.disabled = false;
+        schoolClosureContaminationToggle.disabled = false;
+        schoolClosureSlider.disabled = false;
+        holidaysInput.disabled = false;
+        setItineraryEditorDisabled(false);
+
         // Stop the animation frame
         cancelAnimationFrame(animationId);
 
-        // reset time manager 
-        resetTimeManager(timeManager);
+        // clear the epidemic curve, the next draw starts again from the history of the simulation
+        epidemicChart.reset();
+        rtChart.reset();
+        transmissionTree.reset();
 
         // reset time indicator bar
         updateTimeIndicator();
 
-        // Reset the daily test flag
-        hasPerformedRapidTestToday = false;
-
-        // reset agent position and infection state
-        agents.forEach((agent, index) => {
-            agent.x = houses[index].x + 10;
-            agent.y = houses[index].y + 10;
-            agent.currentLocation = 'house';
-            agent.targetLocation = 'house';
-            agent.isInfected = index === 1 || index === 2 ? true : false;
-            agent.infectionStartDay = index === 1 || index === 2 ? 0 : null;
-            agent.isImmune = false;
-            agent.isAtSchool = false;
-            agent.schoolBathroomHour = null;
-            agent.houseBathroomHour = null;
-            agent.hasVisitedSchoolBathroomToday = false;
-            agent.hasVisitedHouseBathroomToday = false;
-            agent.isTravelingToBathroom = false;
-            agent.isVaccinated = false; 
-            agent.isTested = false;
-            agent.isIsolated = false;
-            agent.isolationStartDay = 0;
-            agent.isolationEndDay = 0;
-        });
-
-        // reset  waterbody contamination state
-        schoolWaterBody.isContaminated = false;
-        schoolWaterBody.infectedVisitCount = 0;
-        houseWaterBodies.forEach(waterBody => {
-            waterBody.isContaminated = false;
-            waterBody.contaminatedTime = 0;
-        });
-
-        // reset house infection state
-        houses.forEach(house => {
-            house.isInfected = false;
-        });
-
         // reset timestamp
         lastTimestamp = 0;
 
-        // Assign vaccination before starting simulation
-        assignVaccination();
-
-        // Assign initial bathroom schedules for day 0
-        assignDailyBathroomSchedules(); 
-
-        // redraw the initial scene
+        // redraw the scene
         drawScene();
     }
 
+    // run the current setup many times without drawing, and show the spread of the outcomes
+    CholeraBatch.attachBatchControls({
+        simulation: simulation,
+        runsInput: document.getElementById('sim4-batch-runs'),
+        daysInput: document.getElementById('sim4-batch-days'),
+        runButton: document.getElementById('sim4-batch-run-button'),
+        messageElement: document.getElementById('sim4-batch-message'),
+        outcomeTable: document.getElementById('sim4-batch-outcomes'),
+        chart: batchChart
+    });
+
+    // run a batch for every combination of one or two settings, a click on the heatmap loads a combination
+    CholeraSweep.attachSweepControls({
+        simulation: simulation,
+        parameters: [
+            { key: 'vaccinationCoverage', label: 'Vaccination (%)', control: vaccinationSlider },
+            { key: 'rapidTestCoverage', label: 'Rapid test (%)', control: rapidTestSlider },
+            { key: 'latrineCoverage', label: 'Latrines (%)', control: latrineSlider },
+            { key: 'chlorinationCoverage', label: 'Chlorinated houses (%)', control: chlorinationSlider },
+            { key: 'chlorinationEfficacy', label: 'Chlorination efficacy (%)', control: chlorinationEfficacySlider },
+            { key: 'asymptomaticRate', label: 'Asymptomatic (%)', control: asymptomaticSlider },
+            { key: 'activeAgentCount', label: 'Neighbours', control: neighborhoodNumber }
+        ],
+        xSelect: document.getElementById('sim4-sweep-x'),
+        ySelect: document.getElementById('sim4-sweep-y'),
+        stepsInput: document.getElementById('sim4-sweep-steps'),
+        runsInput: document.getElementById('sim4-sweep-runs'),
+        daysInput: document.getElementById('sim4-sweep-days'),
+        outcomeSelect: document.getElementById('sim4-sweep-outcome'),
+        runButton: document.getElementById('sim4-sweep-run-button'),
+        messageElement: document.getElementById('sim4-sweep-message'),
+        chartContainerId: 'sweep-graph-sim4',
+        wrapper: document.getElementById('sim4-wrapper'),
+        beforeLoad: resetSimulation
+    });
+
+    // copy a link to the current settings, or apply the settings of an opened link
+    CholeraShare.attachShareControls({
+        name: 'sim4',
+        wrapper: document.getElementById('sim4-wrapper'),
+        parameters: {
+            n: neighborhoodNumber,
+            vac: vaccinationSlider,
+            test: rapidTestSlider,
+            asym: asymptomaticSlider,
+            chlor: schoolChlorinationToggle,
+            chlorcov: chlorinationSlider,
+            chloreff: chlorinationEfficacySlider,
+            lat: latrineSlider,
+            close: schoolClosureToggle,
+            closedays: schoolClosureDaysInput,
+            closewater: schoolClosureContaminationToggle,
+            closecases: schoolClosureSlider,
+            holidays: holidaysInput,
+            xray: xrayToggle,
+            seed: seedInput,
+            speed: speedSelect
+        },
+        copyButton: document.getElementById('sim4-copy-link-button'),
+        messageElement: document.getElementById('sim4-scenario-message'),
+        beforeApply: resetSimulation
+    });
+
     // initial UI state and render with disabled pause button
     pauseButton.disabled = true;            // cannot pause until the simulation is running
     resetButton.disabled = true;             // cannot reset until the simulation is running
 
     drawScene();
 
-})();
\ No newline at end of file
+})();
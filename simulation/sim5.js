@@ -1,4 +1,21 @@
 (function () {
+    /**
+     * Simulating cholera spread across multiple communities
+     * Features include:
+     * - Several communities, each with their own waterbody
+     * - Agents commuting between their house and the community drawn each day from an editable mobility matrix
+     * - Infection, contamination and recovery spreading through the waterbodies of the communities they visit
+     * - Vaccination per community and daily rapid testing with isolation
+     * - Community latrines for a share of the agents
+     * - Travel restrictions: fewer trips, a chosen community closed from a given day, automatic closures above a case count
+     * - Epidemic curve of susceptible, exposed, infected, recovered, vaccinated and isolated agents per day
+     * - Live reproduction number Rt estimated from the infections of the finished days, with the Rt = 1 threshold
+     * - Transmission tree of the infections through the waterbodies, hovering a node rings its agents and waterbodies on the canvas
+     * - Clicking an agent, house or waterbody shows its live state and history, the clicked one stays ringed
+     *
+     * The epidemic logic lives in `CholeraEngine` (engine.js), this file only renders it and wires the controls
+     */
+
     /**
      * Initialise the canvas context
      * @type {HTMLCanvasElement}
@@ -11,344 +28,359 @@
     canvas.height = 400;  // Internal resolution
 
     /**
-     * Timestamp of the last animation frame (in milliseconds)
-     * Used for calculating delta time between frames
+     * How many simulated hours pass per real second
      * @type {number}
      */
-    // declare beginning last timestamp for delta time calculation to calculate howlong the simulation has been running
-    let lastTimestamp = 0;
+    const timeScale = 2;                            // 2 simulated hours per real second
+
+    /**
+     * Speed selector multiplying the time scale (0.25x to 50x)
+     * @type {HTMLSelectElement}
+     */
+    const speedSelect = document.getElementById('sim5-speed');
 
     /**
-     * Tracks current day to detect day changes
+     * Current speed multiplier from the speed selector
      * @type {number}
      */
-    let previousDay = 0;
+    let speedMultiplier = parseFloat(speedSelect.value);
 
     /**
-     * Time system for simulation scheduling with configurable granularity
-     * Tracks simulation time in abstract units that map to hours and days
-     * @type {{scheduleStartTime: number, currentSimulationTime: number, timeScale: number, currentDay: number}}
-     * @property {number} scheduleStartTime - Hour to start the day (8am)
-     * @property {number} currentSimulationTime - Elapsed time in real seconds
-     * @property {number} timeScale - How many simulated hours pass per real second
-     * @property {number} currentDay - Current day counter
+     * Buttons advancing the simulation by one hour or to the next day
+     * @type {HTMLButtonElement}
      */
-    const timeManager = {
-        scheduleStartTime: 8,           // Start at 8:00 AM
-        currentSimulationTime: 0,       // Elapsed time in seconds when  the simulation start running
-        timeScale: 2,                   // 2 simulated hours per real second (adjustable)
-        currentDay: 0,                  // initial simulation start at day 0                      
-    }
+    const stepHourButton = document.getElementById('sim5-step-hour-button');
+    const skipDayButton = document.getElementById('sim5-skip-day-button');
 
-    /** 
-     * Get Current hour of the day (0-23 hours)
-     * @param {Object} timeManager - the time manager object
-     * @returns {number} - current hour in 24-hour format
+    /**
+     * Seed input of the random number generator, the same seed replays the same epidemic
+     * @type {HTMLInputElement}
      */
-    function getCurrentHour(timeManager) {
-        const totalHours = timeManager.currentSimulationTime * timeManager.timeScale;
-        return Math.floor(totalHours + timeManager.scheduleStartTime) % 24;   // modulo 24 to wrap around after 23
-    }
+    let seedInput = document.getElementById('sim5-seed');
 
     /**
-     * Get current day number 
-     * @param {object} timeManager - the time manager object
-     * @returns {number} - current day number
-     */ 
-    function getCurrentDay(timeManager) {
-        const totalHours = timeManager.currentSimulationTime * timeManager.timeScale;
-        return Math.ceil((totalHours + timeManager.scheduleStartTime) / 24);        // calculate day number based on total hours
-    }
+     * Buttons saving the setup as a scenario file and loading one, see scenario.js
+     * @type {HTMLButtonElement}
+     */
+    const saveScenarioButton = document.getElementById('sim5-save-scenario-button');
+    const loadScenarioButton = document.getElementById('sim5-load-scenario-button');
 
-    /** 
-     * get Formatted time string (HH:MM) for display
-     * @param {object} timeManager - the time manager object
-     * @returns {string} - formatted time string
+    /**
+     * Slider input element for controlling the number of agents per community
+     * @type {HTMLInputElement}
      */
-    function getTimeString(timeManager) {
-        const hour = getCurrentHour(timeManager);
-        return `${hour.toString().padStart(2, '0')}:00`
-    }
+    let neighborhoodNumber = document.getElementById('sim5-neighbour-number');
 
     /**
-     * update time indicators bar position based on current simulation time
-     * make the bar head running following the time scalling
-     * @returns {void}
+     * Label element displaying current number of agents per community
+     * @type {HTMLSpanElement}
      */
-    function updateTimeIndicator() {
-        const currentHour = getCurrentHour(timeManager);      // get current hour by calling the function getCurrentHour and timeManager object
+    let neighborhoodNumberLabel = document.getElementById('sim5-neighbour-label');
 
-        // calculate percentage position (0-100%) of the time indicator based on current hour (0-23)
-        const percentage = (currentHour / 24) * 100;
+    /**
+     * Slider input element for controlling vaccination coverage in each community
+     * @type {HTMLInputElement}
+     */
+    let vaccinationSlider = document.getElementById('sim5-vaccination-slider');
 
-        // update indicator position
-        const indicatorHour = document.getElementById('sim5-time-indicator');
-        if (indicatorHour) {
-            indicatorHour.style.left = `${percentage}%`;            // set left position based on percentage
-        }
+    /**
+     * Label element displaying current vaccination coverage
+     * @type {HTMLSpanElement}
+     */
+    let vaccinationLabel = document.getElementById('sim5-vaccination-label');
 
-        // update time display
-        const timeDisplay = document.getElementById('sim5-current-time');
-        if (timeDisplay) {
-            timeDisplay.textContent = getTimeString(timeManager);
-        }
+    /**
+     * Slider input element for controlling rapid test coverage
+     * @type {HTMLInputElement}
+     */
+    let rapidTestSlider = document.getElementById('sim5-rapid-test-slider');
 
-        // update DAY display
-        const dayDisplay = document.getElementById('sim5-current-day');
-        if (dayDisplay) {
-            dayDisplay.textContent = getCurrentDay(timeManager);
-        }
-    }
+    /**
+     * Label element displaying current rapid test coverage
+     * @type {HTMLSpanElement}
+     */
+    let rapidTestLabel = document.getElementById('sim5-rapid-test-label');
 
     /**
-     * Update Simulation time manager to update the currentSimulationTime (total hour simulation has been running) and currentDay (how many day simulation has been running) based on elapsed time
-     * @param {object} timeManager - the time manager object
-     * @param {number} deltaTime - time elapsed since last update in milliseconds
-     * @returns {void}
+     * Slider input element for controlling the share of agents with a latrine
+     * @type {HTMLInputElement}
      */
-    function updateTimeManager(timeManager, deltaTime) {
-        timeManager.currentSimulationTime += deltaTime / 1000;          // convert ms to seconds
-        timeManager.currentDay = getCurrentDay(timeManager);            // update the property for current day
-    }
+    let latrineSlider = document.getElementById('sim5-latrine-slider');
 
-    /** 
-     * reset the time manager to initial state
-     * @param {object} timeManager - the time manager object
-     * @returns {void}
+    /**
+     * Label element displaying current latrine coverage
+     * @type {HTMLSpanElement}
      */
-    function resetTimeManager(timeManager) {
-        timeManager.currentSimulationTime = 0;
-        timeManager.currentDay = 0;
-    }
+    let latrineLabel = document.getElementById('sim5-latrine-label');
+
+    /**
+     * Slider input element for controlling the share of trips cancelled by travel restrictions
+     * @type {HTMLInputElement}
+     */
+    let mobilityReductionSlider = document.getElementById('sim5-mobility-reduction-slider');
 
+    /**
+     * Label element displaying current mobility reduction
+     * @type {HTMLSpanElement}
+     */
+    let mobilityReductionLabel = document.getElementById('sim5-mobility-reduction-label');
 
     /**
-     * Number of agents per community
+     * Slider input element for the case count closing a community automatically, 0 turns it off
+     * @type {HTMLInputElement}
      */
-    const AGENTS_PER_COMMUNITY = 10  // number of agent per community
+    let autoClosureSlider = document.getElementById('sim5-auto-closure-slider');
 
     /**
-     * Define community positions
-     * @type {Array<{x: number, y: number, id: number}>}
+     * Label element displaying current automatic closure threshold
+     * @type {HTMLSpanElement}
      */
-    const communitiesPositions = [
-        {x:  canvas.width * 2 / 4, y: canvas.height * 3 / 6},               //position 1
-        {x:  canvas.width * 3 / 8, y: canvas.height * 1 / 6},               //position 2
-        {x:  canvas.width * 5 / 8, y: canvas.height * 1 / 6},               //position 3
-        {x:  canvas.width * 1 / 8, y: canvas.height * 3 / 6},               //position 4
-        {x:  canvas.width * 7 / 8, y: canvas.height * 3 / 6},               //position 5
-        {x:  canvas.width * 1 / 4, y: canvas.height * 5 / 6},               //position 6
-        {x:  canvas.width * 3 / 4, y: canvas.height * 5 / 6},               //position 7
-    ]
+    let autoClosureLabel = document.getElementById('sim5-auto-closure-label');
 
     /**
-     * Create one waaterbody percommunity
-     * creating multiple communtiies with their own waterbody
-     * @type {Array<{x: number, y: number, communityId: number, isContaminated: boolean, contaminationThreshold: number}>}  
+     * Select element choosing the community closed to travel, and the day its closure starts
+     * @type {HTMLSelectElement}
      */
-    const waterbodies = communitiesPositions.map((pos, index) => ({
-        x: pos.x,
-        y: pos.y,
-        communityId: index,
-        isContaminated: index === 0 ? true : false, // only first waterbody is contaminated at start
-        contaminationThreshold: 3, // threshold to consider waterbody contaminated
-    }));
+    const closureCommunitySelect = document.getElementById('sim5-closure-community');
+    const closureDayInput = document.getElementById('sim5-closure-day');
 
-    /** 
-     * Generate agent position around each waterbody in circle
-     * @returns {Array<{x: number, y: number}>} Array of agent positions
-     */
-    function generateAgentPositions(centerX, centerY, radius, count) {
-        const positions = [];
-        const angleStep = (2 * Math.PI) / count;    // calculate angle step based on count, to space out agent between angle. the output is in radian
-
-        for (let i = 0; i < count; i++) {
-            const angle = i * angleStep;          // calculate angle for current agent
-            positions.push({
-                x: centerX + radius * Math.cos(angle), // calculate x position
-                y: centerY + radius * Math.sin(angle), // calculate y position
-            });
-        }
-        return positions;       // return array of positions
-    }
+    /**
+     * Table of daily visit probabilities between communities, one editable cell per pair
+     * @type {HTMLTableElement}
+     */
+    const mobilityTable = document.getElementById('sim5-mobility-table');
 
-    /** 
-     * Create all agent for all communities
-     * Each agent belong to a specific community and waterbody
-     * `agents` array holds all agents from all communities
-     * @type {Array<{x: number, y: number, communityId: number, isInfected:boolean, isActive: boolean}>}}
-     */
-    const agents = [];              // initialise an empty (global)array to hold all agents
-    const communityRadius = 35;     // radius around waterbody to place agents, distance from waterbody
-
-    // loop through each community position to generate 10 agents around 
-    /**
-     * For each community amke loop to generate agent position
-     * for each agent position generate agent object and push to (global) agents array
-     */
-    communitiesPositions.forEach((community, index) => {
-        // generate positions for agents around the (single) community waterbody
-        // output: array of positions
-        const agentPositions = generateAgentPositions(community.x, community.y, communityRadius, AGENTS_PER_COMMUNITY);
-
-        // generate agents for the community based on each agent position from the agentPositions array
-        agentPositions.forEach((pos, agentIndex) => {
-            //push agent to the (global) agents array
-            agents.push({
-                x: pos.x,               // agent starting x position
-                y: pos.y,               // agent starting y position
-                houseX: pos.x,          // agent house x position (initially same as starting position)
-                houseY: pos.y,          // agent house y position (initially same as starting position)
-                communityId: index,   // community identifier based on the community index
-                agentId: agentIndex,                 // agent index within community
-                speed: 1.5,
-                targetCommunityId: agentIndex % communitiesPositions.length,       // no target community at start
-                currentLocation: 'house',       // all agents start at house
-                targetLocation: 'house',        // all agents target house at start
-                isInfected: false,              // all agents start uninfected
-                isActive: true,                 // all agents are active/visible at start
-                isMobile: false,                // all agents are stationary at start
-            });
-        });
+    /**
+     * Button restoring the gravity-model mobility matrix
+     * @type {HTMLButtonElement}
+     */
+    const mobilityResetButton = document.getElementById('sim5-mobility-reset-button');
+
+    // set initial slider values
+    neighborhoodNumberLabel.textContent = neighborhoodNumber.value;
+    vaccinationLabel.textContent = vaccinationSlider.value;
+    rapidTestLabel.textContent = rapidTestSlider.value;
+    latrineLabel.textContent = latrineSlider.value;
+    mobilityReductionLabel.textContent = mobilityReductionSlider.value;
+    autoClosureLabel.textContent = autoClosureSlider.value === '0' ? 'off' : autoClosureSlider.value;
+
+    /**
+     * Headless simulation driving this canvas
+     * @type {object}
+     */
+    const simulation = CholeraEngine.createSimulation({
+        layout: 'communities',
+        width: canvas.width,
+        height: canvas.height,
+        seed: seedInput.value === '' ? null : parseInt(seedInput.value),   // a random seed is drawn when the field is empty
+        agentsPerCommunity: parseInt(neighborhoodNumber.value),
+        vaccinationCoverage: parseInt(vaccinationSlider.value),
+        rapidTestCoverage: parseInt(rapidTestSlider.value),
+        latrineCoverage: parseInt(latrineSlider.value),
+        mobilityReduction: parseInt(mobilityReductionSlider.value),
+        autoClosureThreshold: parseInt(autoClosureSlider.value),
+        closedCommunityId: closureCommunitySelect.value === '' ? null : parseInt(closureCommunitySelect.value),
+        closureStartDay: parseInt(closureDayInput.value),
+        vaccinationEffectiveness: 69,           // vaccination effectiveness set to 69%
+        rapidTestSensitivity: 91,               // rapid test sensitivity set to 91%
+        isolationDuration: 3,                   // isolation duration set to 3 days
+        communityRadius: 35                     // radius around waterbody to place agents, distance from waterbody
     });
-    
+
+    // show the seed in use so the run can be replayed
+    seedInput.value = simulation.getState().seed;
+
     /**
-     * Activate agents for specific communities based on simulation day
-     * day 1: only community 0 agent active
-     * day 2+: all communities active 
-     * @param {number} currentDay - current simulation day
-     * @returns {void}
+     * Epidemic curve under the canvas, drawn from the per-day history of the simulation
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
      */
-    function activateAgentsForDay() {
-        // get current day
-        const currentDay = getCurrentDay(timeManager);
-
-        // loop through all agents to set active state based on current day
-        agents.forEach((agent) => {
-            if (currentDay === 1) {
-                // only community 0 agents are active on day 1
-                agent.isActive = true;               // set active state only for community 0 on the first day
-                agent.isMobile = (agent.communityId === 0);                                 // all agents are stationary on day 1
-            } if (currentDay >= 2) {
-                // all agents active from day 2 onwards
-                agent.isActive = true;
-                agent.isMobile = true;                                 // all agents are mobile from day 2 onwards
-            }
-        });
-    }
+    const epidemicChart = CholeraChart.createEpidemicChart('infection-graph-sim5');
 
     /**
-     *  Resolve a location label (currentLocation) to actual x, y coordinates
-     * @param {string} locationLabelInput - locationLabel home or visit community
-     * @param {object} agent - agent object
-     * @returns {{x: number, y: number}} - x,y coordinates of the location
+     * Reproduction number Rt under the epidemic curve, estimated from the infection events of the simulation
+     * @type {{draw: function(Array<object>): void, reset: function(): void}}
      */
-    function resolveLocation(locationLabelInput, agent) {
-        switch(locationLabelInput) {
-            case 'house' : 
-                return { x: agent.houseX, y: agent.houseY };
-            case 'visitOtherCommunity' :
-                return { x: communitiesPositions[agent.targetCommunityId].x, y: communitiesPositions[agent.targetCommunityId].y };
-            default :
-                return { x: agent.houseX, y: agent.houseY }; // default to agent's home community 
+    const rtChart = CholeraChart.createRtChart('rt-graph-sim5');
+
+    /**
+     * Agents and waterbodies of the hovered node of the transmission tree, null while no node is hovered
+     * @type {{agentIndices: Array<number>, waterbodyIds: Array<string>}|null}
+     */
+    let transmissionHighlight = null;
+
+    /**
+     * Transmission tree under the Rt chart, hovering a node rings its agents and waterbodies on the canvas
+     * @type {{draw: function(object): void, reset: function(): void}}
+     */
+    const transmissionTree = CholeraChart.createTransmissionTree('tree-graph-sim5', {
+        getWaterbodyName: id => `Community ${simulation.getWaterbody(id).communityId + 1} water`,
+        onHover: (highlight) => {
+            transmissionHighlight = highlight;
+            drawScene();
         }
-    }
+    });
 
-    /** 
-     * Updater agent position to move towards the target location
-     * @return (void)
-    */
-    function updateAgentMovement() {
-        // updqate each agent position
-        agents.forEach ((agent) => {
-            // skip inactive or immobile agents
-            if (!agent.isActive || !agent.isMobile) return;
-
-            // Get target coordinates based on a target location label
-            // return x,y coordinates
-            const target =  resolveLocation(agent.targetLocation, agent);
-
-            // calculate direction vector to target
-            const dx = target.x - agent.x;
-            const dy = target.y - agent.y;
-            const distance = Math.hypot(dx, dy);    // calculate distance to target with Pythagorean theorem
-
-            // check if agent is close enough to target
-            if (distance < agent.speed) {
-                // snap to target position move agent directly to target
-                agent.x = target.x;
-                agent.y = target.y;
-
-                // update current location to target location
-                // change the initially target location become current location
-                agent.currentLocation = agent.targetLocation;
-
-                // Switching the target location
-                if (agent.currentLocation === 'house') {
-                    agent.targetLocation = 'visitOtherCommunity'
-                } else {
-                    // when arrive at other community, set target back to house
-                    agent.targetLocation = 'house';
-                }
+    /**
+     * Panel under the canvas with the live state and history of the clicked agent, house or waterbody
+     * @type {{draw: function(object): void}}
+     */
+    const inspector = CholeraInspector.attachInspector({
+        simulation: simulation,
+        canvas: canvas,
+        panel: document.getElementById('sim5-inspector'),
+        agentOffsetY: 1,                // stick figures reach from the top of the head to the feet
+        agentRadius: 11,
+        drawsExtraLocations: false,
+        onChange: drawScene
+    });
 
-                return; // Exit early if reached the target so agent not move further this frame (avoid overshooting and agent vibrating at the target)
-            }
+    /**
+     * Timestamp of the last animation frame (in milliseconds)
+     * Used for calculating delta time between frames
+     * @type {number}
+     */
+    // declare beginning last timestamp for delta time calculation to calculate howlong the simulation has been running
+    let lastTimestamp = 0;
 
-            // calculate agent step
-            const stepX = (dx / distance) * agent.speed;
-            const stepY = (dy / distance) * agent.speed;
+    /**
+     * Longest real time (in milliseconds) simulated in one frame
+     * Stops a background tab from jumping hours ahead when it becomes visible again
+     * @type {number}
+     */
+    const maxFrameTime = 100;
 
-            // make agent move closer to the step
-            agent.x += stepX;
-            agent.y += stepY;
-        });
+    /**
+     * update time indicators bar position based on current simulation time
+     * make the bar head running following the time scalling
+     * @returns {void}
+     */
+    function updateTimeIndicator() {
+        const state = simulation.getState();
+
+        // calculate percentage position (0-100%) of the time indicator based on current hour (0-23)
+        const percentage = (state.hour / 24) * 100;
+
+        // update indicator position
+        const indicatorHour = document.getElementById('sim5-time-indicator');
+        if (indicatorHour) {
+            indicatorHour.style.left = `${percentage}%`;            // set left position based on percentage
+        }
+
+        // update time display
+        const timeDisplay = document.getElementById('sim5-current-time');
+        if (timeDisplay) {
+            timeDisplay.textContent = state.timeString;
+        }
+
+        // update DAY display
+        const dayDisplay = document.getElementById('sim5-current-day');
+        if (dayDisplay) {
+            dayDisplay.textContent = state.day;
+        }
+
+        // update weekday display
+        const weekdayDisplay = document.getElementById('sim5-current-weekday');
+        if (weekdayDisplay) {
+            weekdayDisplay.textContent = state.weekdayName;
+        }
     }
 
     /**
-     * DrawWater function
+     * Draws one waterbody per community
+     * Color darkens with the Vibrio concentration (lightblue = clean, darkblue = heavily contaminated)
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
      */
-    function drawWaterbody() {
+    function drawWaterbody(state) {
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 1.5;
         ctx.lineJoin = 'round';
         ctx.lineCap = 'round'; 
 
         // draw waterbody for each community
-        waterbodies.forEach((waterbody) => {
+        state.waterbodies.forEach((waterbody) => {
             ctx.beginPath();
             ctx.arc(waterbody.x, waterbody.y, 15, 0, Math.PI * 2);
-            ctx.fillStyle = waterbody.isContaminated ? 'darkblue' : 'lightblue';
+            ctx.fillStyle = CholeraEngine.getWaterColor(waterbody.concentration);
             ctx.fill();
             ctx.strokeStyle = 'black';
             ctx.stroke();
+
+            // community number, matching the rows and columns of the mobility table
+            ctx.fillStyle = 'black';
+            ctx.font = 'bold 11px monospace';
+            ctx.textAlign = 'left';
+            ctx.fillText(waterbody.communityId + 1, waterbody.x + 18, waterbody.y - 12);
         })
     }
 
+    /**
+     * Draws a latrine as a small brown hut with a door
+     * @param {{x: number, y: number}} latrine - the latrine to draw
+     * @returns {void}
+     */
+    function drawLatrine(latrine) {
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = 1.5;
+
+        // hut
+        ctx.beginPath();
+        ctx.rect(latrine.x - 5, latrine.y - 7, 10, 14);
+        ctx.fillStyle = 'saddlebrown';
+        ctx.fill();
+        ctx.stroke();
+
+        // door
+        ctx.beginPath();
+        ctx.rect(latrine.x - 2, latrine.y - 1, 4, 8);
+        ctx.fillStyle = 'black';
+        ctx.fill();
+    }
+
+    /**
+     * Draws the latrine of every community where at least one agent uses a latrine
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawLatrines(state) {
+        state.latrines.forEach((latrine) => {
+            if (state.agents.some(agent => agent.communityId === latrine.communityId && agent.hasLatrine)) {
+                drawLatrine(latrine);
+            }
+        });
+    }
+
     /**
      * Draws all agents as stick figures
      * Only draws active agents
      * Outline color changes to red when agent is infected
+     * @param {object} state - simulation state from `simulation.getState()`
      * @returns {void}
      */
-    function drawAgent() {
-        agents.forEach((agent) => {
+    function drawAgent(state) {
+        state.agents.forEach((agent) => {
             // check if agent active or not
             if (!agent.isActive) return;         // skip inactive agents
 
-            ctx.strokeStyle = agent.isInfected ? 'red' : 'black';
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            // red when infected (symptomatic), purple while exposed (incubating)
+            // asymptomatic carriers show no symptoms and stay unmarked
+            ctx.strokeStyle = agent.isInfected && !agent.isAsymptomatic ? 'red' : agent.isExposed ? 'purple' : 'black';
             ctx.lineWidth = 2.5;
             ctx.lineJoin = 'round';
             ctx.lineCap = 'round'; 
 
             // draw head
             ctx.beginPath();
-            ctx.arc(agent.x, agent.y-10, 4, 0, Math.PI * 2);
+            ctx.arc(x, y-10, 4, 0, Math.PI * 2);
             ctx.stroke();
 
             // draw test indicator if agent is tested
             if (agent.isTested) {
                 ctx.beginPath();
-                ctx.arc(agent.x, agent.y-12, 2, 0, Math.PI * 2);
+                ctx.arc(x, y-12, 2, 0, Math.PI * 2);
                 ctx.fillStyle = 'orange';
                 ctx.fill();
             }
@@ -356,28 +388,28 @@
 
             //draw body
             ctx.beginPath();
-            ctx.moveTo(agent.x, agent.y-6);
-            ctx.lineTo(agent.x, agent.y+4);
+            ctx.moveTo(x, y-6);
+            ctx.lineTo(x, y+4);
             ctx.stroke();
             
             //draw arms
             // ctx.beginPath();
-            ctx.moveTo(agent.x-8, agent.y);
-            ctx.lineTo(agent.x, agent.y-6);
-            ctx.lineTo(agent.x+8, agent.y);
+            ctx.moveTo(x-8, y);
+            ctx.lineTo(x, y-6);
+            ctx.lineTo(x+8, y);
             ctx.stroke();
 
             //draw legs
             ctx.beginPath();
-            ctx.moveTo(agent.x-6, agent.y+12);
-            ctx.lineTo(agent.x, agent.y+4);
-            ctx.lineTo(agent.x+6, agent.y+12);
+            ctx.moveTo(x-6, y+12);
+            ctx.lineTo(x, y+4);
+            ctx.lineTo(x+6, y+12);
             ctx.stroke();
 
             // draw vaccination ring if agent is vaccinated
             if (agent.isVaccinated) {
                 ctx.beginPath();
-                ctx.arc(agent.x, agent.y-12, 10, 0, Math.PI * 2);
+                ctx.arc(x, y-12, 10, 0, Math.PI * 2);
                 ctx.strokeStyle = 'green';
                 ctx.lineWidth = 2;
                 ctx.stroke();
@@ -385,17 +417,106 @@
         });     
     }
 
+    /**
+     * Mark communities closed to travel with a dashed red circle around their houses
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawClosures(state) {
+        state.communities.forEach((community) => {
+            if (!community.isClosed) return;
+
+            ctx.beginPath();
+            ctx.arc(community.x, community.y, 55, 0, Math.PI * 2);
+            ctx.strokeStyle = 'red';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]); // dashed line
+            ctx.stroke();
+            ctx.setLineDash([]); // reset to solid line
+
+            ctx.fillStyle = 'red';
+            ctx.font = 'bold 11px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('closed', community.x, community.y + 68);
+        });
+    }
+
+    /**
+     * Draw isolation boxes around isolated agents
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawIsolationBoxes(state) {
+        state.agents.forEach((agent) => {
+            if (!agent.isActive || !agent.isIsolated) return;
+
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            // draw isolation box
+            ctx.strokeStyle = 'grey';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 3]); // dashed line
+            ctx.strokeRect(x - 25, y - 35, 50, 50);
+            ctx.setLineDash([]); // reset to solid line
+        });
+    }
+
+    /**
+     * Draw a gold ring around the agents and waterbodies of the hovered node of the transmission tree
+     * @param {object} state - simulation state from `simulation.getState()`
+     * @returns {void}
+     */
+    function drawTransmissionHighlight(state) {
+        if (!transmissionHighlight) return;
+
+        ctx.strokeStyle = 'gold';
+        ctx.lineWidth = 4;
+
+        transmissionHighlight.waterbodyIds.forEach((id) => {
+            const waterbody = simulation.getWaterbody(id);
+            if (!waterbody) return;
+
+            ctx.beginPath();
+            ctx.arc(waterbody.x, waterbody.y, 21, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        transmissionHighlight.agentIndices.forEach((agentIndex) => {
+            const agent = state.agents[agentIndex];
+            if (!agent || !agent.isActive) return;
+
+            // draw between the last two simulation ticks for smooth movement
+            const { x, y } = CholeraEngine.interpolatePosition(agent, state.interpolation);
+
+            ctx.beginPath();
+            ctx.arc(x, y - 5, 14, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+
     /** 
      * draw the entire simulation frame
      */
     function drawScene() {
+        const state = simulation.getState();
+
         // clear the canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
         // draw scene elements
-        drawWaterbody();
-        drawAgent();
-
+        drawClosures(state);
+        drawWaterbody(state);
+        drawLatrines(state);
+        drawAgent(state);
+        drawIsolationBoxes(state);
+        drawTransmissionHighlight(state);
+        inspector.draw(state);
+
+        // update the epidemic curve with the latest counts
+        epidemicChart.draw(state.history);
+        rtChart.draw(simulation.getReproductionNumbers());
+        transmissionTree.draw(simulation.getTransmissionTree());
     }
     
     /**
@@ -408,42 +529,292 @@
 
     /**
      * Main animation loop function
-     * Updates agent movement, infection states, and redraws the scene
+     * Advances the simulation by the elapsed time and redraws the scene
      * @param {DOMHighResTimeStamp} timestamp - Current time provided by requestAnimationFrame
      * @returns {void}
      */
     function animate(timestamp) {
         // calculate delta time since the last frame (in milliseconds)
-        const deltaTime = timestamp - lastTimestamp;
+        const deltaTime = Math.min(timestamp - lastTimestamp, maxFrameTime);
         lastTimestamp = timestamp; // update last timestamp for next frame calculation
 
-        // update time manager with elapsed time
-        updateTimeManager(timeManager, deltaTime);
+        // advance the simulation, converting real milliseconds to simulated hours
+        simulation.step((deltaTime / 1000) * timeScale * speedMultiplier);
 
         // update time indicator position
         updateTimeIndicator();
 
-        // check if the day changed
-        const currentDay = getCurrentDay(timeManager);
-        if (currentDay !== previousDay) {
-            // store current day as previous day for next check
-            previousDay = currentDay;
+        // draw entire screen
+        drawScene();
+
+        // request next animation frame to continue the animation loop
+        animationId = requestAnimationFrame(animate);
+    }
+
+     // restart from the initial state with the new seed
+    seedInput.addEventListener('change', function() {
+        const seed = parseInt(this.value);
 
-            // activate agents for the new day
-            activateAgentsForDay();
+        // ignore anything that is not a number and show the seed in use again
+        if (!Number.isNaN(seed)) {
+            simulation.setSeed(seed);
         }
+        this.value = simulation.getState().seed;
 
-        // Update agent position based on movement logic
-        updateAgentMovement();
+        updateTimeIndicator();
+        drawScene();
+    });
 
-        // draw entire screen
+    /**
+     * Show the settings of a loaded scenario on the controls
+     * @returns {void}
+     */
+    function updateControlsFromConfig() {
+        const config = simulation.config;
+
+        neighborhoodNumber.value = config.agentsPerCommunity;
+        neighborhoodNumberLabel.textContent = config.agentsPerCommunity;
+        vaccinationSlider.value = config.vaccinationCoverage;
+        vaccinationLabel.textContent = config.vaccinationCoverage;
+        rapidTestSlider.value = config.rapidTestCoverage;
+        rapidTestLabel.textContent = config.rapidTestCoverage;
+        latrineSlider.value = config.latrineCoverage;
+        latrineLabel.textContent = config.latrineCoverage;
+        mobilityReductionSlider.value = config.mobilityReduction;
+        mobilityReductionLabel.textContent = config.mobilityReduction;
+        autoClosureSlider.value = config.autoClosureThreshold;
+        autoClosureLabel.textContent = config.autoClosureThreshold === 0 ? 'off' : config.autoClosureThreshold;
+        buildClosureCommunityOptions();
+        closureCommunitySelect.value = config.closedCommunityId === null ? '' : config.closedCommunityId;
+        closureDayInput.value = config.closureStartDay;
+        buildMobilityTable();
+        seedInput.value = config.seed;
+    }
+
+    // save the setup as a scenario file, or load one and start over from it
+    CholeraScenario.attachScenarioControls({
+        simulation: simulation,
+        fileName: 'sim5-scenario.json',
+        saveButton: saveScenarioButton,
+        loadButton: loadScenarioButton,
+        fileInput: document.getElementById('sim5-scenario-file'),
+        messageElement: document.getElementById('sim5-scenario-message'),
+        onLoad: function() {
+            updateControlsFromConfig();
+            resetSimulation();
+        }
+    });
+
+    // keep the current state as a snapshot, or restore one and continue from there with changed controls
+    CholeraScenario.attachSnapshotControls({
+        simulation: simulation,
+        name: 'sim5',
+        takeButton: document.getElementById('sim5-take-snapshot-button'),
+        snapshotSelect: document.getElementById('sim5-snapshot-select'),
+        restoreButton: document.getElementById('sim5-restore-snapshot-button'),
+        deleteButton: document.getElementById('sim5-delete-snapshot-button'),
+        downloadButton: document.getElementById('sim5-download-snapshot-button'),
+        openButton: document.getElementById('sim5-open-snapshot-button'),
+        fileInput: document.getElementById('sim5-snapshot-file'),
+        messageElement: document.getElementById('sim5-snapshot-message'),
+        onRestore: function() {
+            updateControlsFromConfig();
+            stopSimulation();
+
+            // the restored run can be reset to its start like a paused one
+            resetButton.disabled = false;
+        }
+    });
+
+    /**
+     * Build the mobility table: one row per home community, one column per visited community
+     * values are shown in percent, the diagonal (staying home) is not editable
+     * @returns {void}
+     */
+    function buildMobilityTable() {
+        const matrix = simulation.getState().mobilityMatrix;
+
+        mobilityTable.innerHTML = '';
+
+        // header row with the visited communities
+        const headerRow = mobilityTable.insertRow();
+        headerRow.appendChild(document.createElement('th')).textContent = 'from \\ to';
+        matrix.forEach((row, toId) => {
+            headerRow.appendChild(document.createElement('th')).textContent = toId + 1;
+        });
+
+        matrix.forEach((row, fromId) => {
+            const tableRow = mobilityTable.insertRow();
+            tableRow.appendChild(document.createElement('th')).textContent = fromId + 1;
+
+            row.forEach((probability, toId) => {
+                const cell = tableRow.insertCell();
+                if (fromId === toId) {
+                    cell.textContent = '-';
+                    return;
+                }
+
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 0;
+                input.max = 100;
+                input.step = 0.1;
+                input.className = 'mobility-input';
+                input.dataset.from = fromId;
+                input.dataset.to = toId;
+                input.value = (probability * 100).toFixed(1);
+                cell.appendChild(input);
+            });
+        });
+    }
+
+    /**
+     * Enable or disable all cells of the mobility table
+     * @param {boolean} disabled - whether the cells are disabled
+     * @returns {void}
+     */
+    function setMobilityTableDisabled(disabled) {
+        mobilityTable.querySelectorAll('input').forEach((input) => {
+            input.disabled = disabled;
+        });
+        mobilityResetButton.disabled = disabled;
+    }
+
+    buildMobilityTable();
+
+    // update the edited probability, the engine keeps it between 0 and 100%
+    mobilityTable.addEventListener('change', function(event) {
+        const input = event.target;
+        const fromId = parseInt(input.dataset.from);
+        const toId = parseInt(input.dataset.to);
+        const percentage = parseFloat(input.value);
+
+        if (!Number.isNaN(percentage)) {
+            simulation.setMobilityProbability(fromId, toId, percentage / 100);
+        }
+        input.value = (simulation.getState().mobilityMatrix[fromId][toId] * 100).toFixed(1);
+    });
+
+    // go back to the gravity-model defaults
+    mobilityResetButton.addEventListener('click', function() {
+        simulation.resetMobilityMatrix();
+        buildMobilityTable();
+    });
+
+    // update neighbour slider and add event listener
+    neighborhoodNumber.addEventListener('input', function() {
+        neighborhoodNumberLabel.textContent = this.value;
+
+        // rebuild the houses around each waterbody for the new number of agents
+        simulation.setAgentsPerCommunity(parseInt(this.value));
+        buildMobilityTable();
         drawScene();
+    });
 
-        // request next animation frame to continue the animation loop
-        animationId = requestAnimationFrame(animate);
+    // update vaccination slider and add event listener
+    vaccinationSlider.addEventListener('input', function() {
+        vaccinationLabel.textContent = this.value;
+
+        // redraw the scene to show agent vaccination ring as the number of slider change
+        simulation.setVaccinationCoverage(parseInt(this.value));
+        drawScene();
+    });
+
+    // update rapid test slider and add event listener
+    rapidTestSlider.addEventListener('input', function() {
+        rapidTestLabel.textContent = this.value;
+        simulation.setRapidTestCoverage(parseInt(this.value));
+    });
+
+    /**
+     * One option per community in the closure selector after 'none', numbered like the canvas and the mobility table
+     * @returns {void}
+     */
+    function buildClosureCommunityOptions() {
+        closureCommunitySelect.length = 1;          // keep the 'none' option
+
+        simulation.getState().communities.forEach((community) => {
+            const option = document.createElement('option');
+            option.value = community.id;
+            option.textContent = community.id + 1;
+            closureCommunitySelect.appendChild(option);
+        });
+    }
+
+    buildClosureCommunityOptions();
+
+    /**
+     * Send the chosen community closure to the simulation
+     * @returns {void}
+     */
+    function updateCommunityClosure() {
+        const communityId = closureCommunitySelect.value === '' ? null : parseInt(closureCommunitySelect.value);
+        const startDay = Math.max(1, parseInt(closureDayInput.value) || 1);
+
+        closureDayInput.value = startDay;
+        simulation.setCommunityClosure(communityId, startDay);
+    }
+
+    closureCommunitySelect.addEventListener('change', updateCommunityClosure);
+    closureDayInput.addEventListener('change', updateCommunityClosure);
+
+    // update mobility reduction slider and add event listener
+    mobilityReductionSlider.addEventListener('input', function() {
+        mobilityReductionLabel.textContent = this.value;
+        simulation.setMobilityReduction(parseInt(this.value));
+    });
+
+    // update automatic closure slider and add event listener
+    autoClosureSlider.addEventListener('input', function() {
+        autoClosureLabel.textContent = this.value === '0' ? 'off' : this.value;
+        simulation.setAutoClosureThreshold(parseInt(this.value));
+    });
+
+    // update latrine slider and add event listener
+    latrineSlider.addEventListener('input', function() {
+        latrineLabel.textContent = this.value;
+
+        // redraw the scene to show the latrines
+        simulation.setLatrineCoverage(parseInt(this.value));
+        drawScene();
+    });
+
+    // change how many simulated hours pass per real second
+    speedSelect.addEventListener('change', function() {
+        speedMultiplier = parseFloat(this.value);
+    });
+
+    /**
+     * Advance the simulation from the time bar buttons, while running or paused
+     * Stepping begins the run like the start button, so the settings stay fixed until reset
+     * @param {function(): void} advance - engine call advancing the time
+     * @returns {void}
+     */
+    function stepSimulation(advance) {
+        advance();
+
+        // the run has begun, allow reset and keep the settings fixed
+        resetButton.disabled = false;
+        seedInput.disabled = true;
+        loadScenarioButton.disabled = true;
+        neighborhoodNumber.disabled = true;
+        vaccinationSlider.disabled = true;
+        rapidTestSlider.disabled = true;
+        latrineSlider.disabled = true;
+        mobilityReductionSlider.disabled = true;
+        autoClosureSlider.disabled = true;
+        closureCommunitySelect.disabled = true;
+        closureDayInput.disabled = true;
+        setMobilityTableDisabled(true);
+
+        updateTimeIndicator();
+        drawScene();
     }
 
-     /**
+    stepHourButton.addEventListener('click', () => stepSimulation(() => simulation.runFor(1)));
+    skipDayButton.addEventListener('click', () => stepSimulation(() => simulation.skipToNextDay()));
+
+    /**
      * Tracks whether the simulation is currently running
      * @type {boolean}
      */
@@ -482,8 +853,20 @@
         pauseButton.disabled = false;
         resetButton.disabled = false;
 
-        // initialise agent assignment based on current day 
-        activateAgentsForDay();
+        // keep the seed fixed during the run
+        seedInput.disabled = true;
+        loadScenarioButton.disabled = true;
+
+        // disable the sliders while simulation is running
+        neighborhoodNumber.disabled = true;
+        vaccinationSlider.disabled = true;
+        rapidTestSlider.disabled = true;
+        latrineSlider.disabled = true;
+        mobilityReductionSlider.disabled = true;
+        autoClosureSlider.disabled = true;
+        closureCommunitySelect.disabled = true;
+        closureDayInput.disabled = true;
+        setMobilityTableDisabled(true);
 
         // record the initial timestamp when simulation starts
         lastTimestamp = performance.now();
@@ -520,12 +903,22 @@
     /**
      * Resets the simulation to initial state
      * Resets all agent positions, infection states, contamination states
-     * Re-infects agents 1 and 2 for simulation purposes
-     * Enables start button and slider, disables pause/reset buttons
      * Stops animation and redraws initial scene
      * @returns {void}
      */
     function resetSimulation() {
+        // reset agents, waterbodies, houses and time
+        simulation.reset();
+
+        stopSimulation();
+    }
+
+    /**
+     * Stops the animation and shows the current state of the simulation, after a reset or a restored snapshot
+     * Enables start button and sliders, disables pause/reset buttons
+     * @returns {void}
+     */
+    function stopSimulation() {
         // change the state
         isRunning = false;
 
@@ -534,16 +927,25 @@
         pauseButton.disabled = true;
         resetButton.disabled = true;
 
-        // reset all agents to initial state
-        agents.forEach((agent) => {
-            agent.x = agent.houseX;
-            agent.y = agent.houseY;
-            agent.currentLocation = 'house';
-            agent.targetLocation = 'house';
-            agent.isInfected = false;
-            agent.isActive = true;
-            agent.isMobile = false;
-        });
+        // allow a new seed for the next run
+        seedInput.disabled = false;
+        loadScenarioButton.disabled = false;
+
+        // enable the sliders
+        neighborhoodNumber.disabled = false;
+        vaccinationSlider.disabled = false;
+        rapidTestSlider.disabled = false;
+        latrineSlider.disabled = false;
+        mobilityReductionSlider.disabled = false;
+        autoClosureSlider.disabled = false;
+        closureCommunitySelect.disabled = false;
+        closureDayInput.disabled = false;
+        setMobilityTableDisabled(false);
+
+        // clear the epidemic curve, the next draw starts again from the history of the simulation
+        epidemicChart.reset();
+        rtChart.reset();
+        transmissionTree.reset();
 
         // reset timestamp
         lastTimestamp = 0;
@@ -551,17 +953,35 @@
         // Stop the animation frame
         cancelAnimationFrame(animationId);
 
-        // reset time manager 
-        resetTimeManager(timeManager);
-
         // reset time indicator bar
         updateTimeIndicator();
 
-        // redraw the initial scene
+        // redraw the scene
         drawScene();
     }
 
     
+    // copy a link to the current settings, or apply the settings of an opened link
+    CholeraShare.attachShareControls({
+        name: 'sim5',
+        wrapper: document.getElementById('sim5_wrapper'),
+        parameters: {
+            n: neighborhoodNumber,
+            vac: vaccinationSlider,
+            test: rapidTestSlider,
+            lat: latrineSlider,
+            mob: mobilityReductionSlider,
+            auto: autoClosureSlider,
+            closecom: closureCommunitySelect,
+            closeday: closureDayInput,
+            seed: seedInput,
+            speed: speedSelect
+        },
+        copyButton: document.getElementById('sim5-copy-link-button'),
+        messageElement: document.getElementById('sim5-scenario-message'),
+        beforeApply: resetSimulation
+    });
+
     // initial UI state and render with disabled pause button
     pauseButton.disabled = true;            // cannot pause until the simulation is running
     resetButton.disabled = true;             // cannot reset until the simulation is running
@@ -0,0 +1,208 @@
+(function () {
+    /**
+     * Parameter sweep of sim4: compare interventions over a grid of one or two settings
+     * Features include:
+     * - Vary one or two settings (e.g. vaccination x rapid test coverage) over evenly spaced values
+     * - A batch of runs per combination, spread over short slices of time like the batch of runs
+     * - Heatmap of the median of the chosen outcome: agents infected, attack rate, peak day or outbreak duration
+     * - Clicking a cell loads its settings into the live simulation
+     *
+     * The sweep itself lives in `CholeraEngine` (engine.js), see `createSweep`
+     */
+
+    /**
+     * Evenly spaced values over the range of a slider, on positions the slider can take
+     * @param {HTMLInputElement} slider - range input whose min, max and step are used
+     * @param {number} steps - number of values, at least 2
+     * @returns {Array<number>}
+     */
+    function getGridValues(slider, steps) {
+        const min = parseFloat(slider.min);
+        const max = parseFloat(slider.max);
+        const step = parseFloat(slider.step) || 1;
+
+        const values = [];
+        for (let index = 0; index < steps; index++) {
+            const value = min + ((max - min) * index) / (steps - 1);
+            values.push(min + Math.round((value - min) / step) * step);
+        }
+
+        // many steps over a short range round to the same value
+        return [...new Set(values)];
+    }
+
+    /**
+     * Fill a select with one option per item
+     * @param {HTMLSelectElement} select - select to fill
+     * @param {Array<{key: string, label: string}>} items - value and text of each option
+     * @returns {void}
+     */
+    function addOptions(select, items) {
+        items.forEach((item) => {
+            select.add(new Option(item.label, item.key));
+        });
+    }
+
+    /**
+     * Wire the sweep controls of one simulation wrapper
+     * @param {object} options
+     * @param {object} options.simulation - the `CholeraEngine` simulation whose setup is varied
+     * @param {Array<{key: string, label: string, control: HTMLInputElement}>} options.parameters
+     *     settings that can be swept: config key, name and the slider changing it in the live simulation, whose range is swept
+     * @param {HTMLSelectElement} options.xSelect - setting along the x axis
+     * @param {HTMLSelectElement} options.ySelect - setting along the y axis, or none
+     * @param {HTMLInputElement} options.stepsInput - values per setting
+     * @param {HTMLInputElement} options.runsInput - runs per combination
+     * @param {HTMLInputElement} options.daysInput - simulated days per run
+     * @param {HTMLSelectElement} options.outcomeSelect - outcome shown on the heatmap
+     * @param {HTMLButtonElement} options.runButton - button starting the sweep, or stopping it while it runs
+     * @param {HTMLElement} options.messageElement - element showing the progress and the loaded cell
+     * @param {string} options.chartContainerId - id of the element holding the heatmap
+     * @param {HTMLElement} options.wrapper - element scrolled into view when a cell is loaded
+     * @param {function(): void} options.beforeLoad - called before the settings of a cell are loaded, to stop a running simulation
+     * @returns {void}
+     */
+    function attachSweepControls(options) {
+        const chart = CholeraChart.createHeatmap(options.chartContainerId, loadCell);
+
+        /**
+         * Sweep in progress, null when none runs
+         * @type {object|null}
+         */
+        let sweep = null;
+
+        /**
+         * Stops the sweep in progress
+         * @type {function(): void}
+         */
+        let stopSweep = null;
+
+        /**
+         * Summary of the last finished sweep, redrawn when another outcome is chosen
+         * @type {object|null}
+         */
+        let lastSummary = null;
+
+        addOptions(options.xSelect, options.parameters);
+        options.ySelect.add(new Option('none', ''));
+        addOptions(options.ySelect, options.parameters);
+        addOptions(options.outcomeSelect, CholeraBatch.OUTCOMES);
+
+        // vaccination x rapid test coverage to begin with
+        options.xSelect.value = options.parameters[0].key;
+        options.ySelect.value = options.parameters.length > 1 ? options.parameters[1].key : '';
+
+        /**
+         * Settings by their config key
+         * @param {string} key - config key
+         * @returns {{key: string, label: string, control: HTMLInputElement}}
+         */
+        function getParameter(key) {
+            return options.parameters.find(parameter => parameter.key === key);
+        }
+
+        /**
+         * Draw the chosen outcome of the last sweep
+         * @returns {void}
+         */
+        function drawSummary() {
+            if (!lastSummary) return;
+
+            const [xParameter, yParameter] = lastSummary.parameters;
+            const outcome = CholeraBatch.OUTCOMES.find(item => item.key === options.outcomeSelect.value);
+
+            chart.draw(lastSummary.cells.map((cell) => {
+                const bands = cell.summary[outcome.key];
+                return {
+                    x: cell.values[xParameter.key],
+                    y: yParameter ? cell.values[yParameter.key] : null,
+                    value: bands ? bands.median : null,
+                    values: cell.values
+                };
+            }), {
+                xLabel: getParameter(xParameter.key).label,
+                yLabel: yParameter ? getParameter(yParameter.key).label : '',
+                valueLabel: outcome.label
+            });
+        }
+
+        /**
+         * Move the sliders of the live simulation to the settings of a cell
+         * @param {{values: Object<string, number>}} cell - clicked heatmap cell
+         * @returns {void}
+         */
+        function loadCell(cell) {
+            options.beforeLoad();
+
+            const descriptions = Object.keys(cell.values).map((key) => {
+                CholeraShare.applyControl(getParameter(key).control, String(cell.values[key]));
+                return `${getParameter(key).label}: ${cell.values[key]}`;
+            });
+
+            options.messageElement.textContent = `Loaded ${descriptions.join(', ')} into the simulation.`;
+            options.wrapper.scrollIntoView();
+        }
+
+        /**
+         * Show the heatmap of the finished combinations, also after the sweep was stopped early
+         * @returns {void}
+         */
+        function finishSweep() {
+            lastSummary = sweep.getSummary();
+            const progress = sweep.getProgress();
+            sweep = null;
+
+            options.runButton.textContent = 'run sweep';
+            [options.xSelect, options.ySelect, options.stepsInput, options.runsInput, options.daysInput].forEach((control) => {
+                control.disabled = false;
+            });
+
+            options.messageElement.textContent = `${progress.cellsDone} of ${progress.cells} cells done.`;
+            drawSummary();
+        }
+
+        /**
+         * Show how many combinations are done
+         * @returns {void}
+         */
+        function showProgress() {
+            const progress = sweep.getProgress();
+            options.messageElement.textContent = `Cell ${progress.cellsDone + 1} of ${progress.cells}...`;
+        }
+
+        options.runButton.addEventListener('click', function() {
+            // a second click stops the sweep and shows the cells finished so far
+            if (sweep) {
+                stopSweep();
+                return;
+            }
+
+            const steps = CholeraBatch.readWholeNumber(options.stepsInput);
+            const keys = [options.xSelect.value, options.ySelect.value].filter((key, index) => key !== '' && (index === 0 || key !== options.xSelect.value));
+            const parameters = keys.map((key) => {
+                const parameter = getParameter(key);
+                return {key: key, values: getGridValues(parameter.control, steps)};
+            });
+
+            sweep = CholeraEngine.createSweep(options.simulation.getScenario(), {
+                parameters: parameters,
+                runs: CholeraBatch.readWholeNumber(options.runsInput),
+                days: CholeraBatch.readWholeNumber(options.daysInput)
+            });
+
+            options.runButton.textContent = 'stop sweep';
+            [options.xSelect, options.ySelect, options.stepsInput, options.runsInput, options.daysInput].forEach((control) => {
+                control.disabled = true;
+            });
+            lastSummary = null;
+            chart.reset();
+            stopSweep = CholeraBatch.runInSlices(sweep.advanceDay, showProgress, finishSweep);
+        });
+
+        options.outcomeSelect.addEventListener('change', drawSummary);
+    }
+
+    window.CholeraSweep = {
+        attachSweepControls: attachSweepControls
+    };
+}) ();